@@ -1,4 +1,12 @@
 -- Mock feedback data - simplified for D1
+-- Category taxonomy (centroids are computed on first use)
+INSERT INTO categories (name, description) VALUES
+('Performance', 'Speed, latency, timeouts, crashes and resource usage'),
+('Billing', 'Pricing, invoices, payments, refunds and plans'),
+('UI', 'Layout, navigation, design and usability of the interface'),
+('Docs', 'Documentation, guides, examples and API reference'),
+('Auth', 'Login, sign-up, passwords, SSO and account access');
+
 -- Discord feedback
 INSERT INTO feedback (source, message, sentiment, author) VALUES
 ('Discord', 'The new update is incredible! Performance has improved so much.', 'positive', 'TechEnthusiast#1234'),
@@ -0,0 +1,39 @@
+/**
+ * Register the Discord application commands used by /api/discord/interactions
+ *
+ * Usage:
+ *   DISCORD_APPLICATION_ID=... DISCORD_BOT_TOKEN=... node register-discord-commands.mjs
+ *
+ * Set DISCORD_GUILD_ID as well to register them for one server only; guild
+ * commands update instantly, which is handy while testing.
+ */
+
+import { DISCORD_COMMANDS } from './src/discord.js';
+
+const { DISCORD_APPLICATION_ID, DISCORD_BOT_TOKEN, DISCORD_GUILD_ID } = process.env;
+
+if (!DISCORD_APPLICATION_ID || !DISCORD_BOT_TOKEN) {
+  console.error('DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN are required');
+  process.exit(1);
+}
+
+const scope = DISCORD_GUILD_ID ? `/guilds/${DISCORD_GUILD_ID}` : '';
+const url = `https://discord.com/api/v10/applications/${DISCORD_APPLICATION_ID}${scope}/commands`;
+
+// PUT replaces the whole command list, so removed commands disappear too
+const response = await fetch(url, {
+  method: 'PUT',
+  headers: {
+    'Content-Type': 'application/json',
+    Authorization: `Bot ${DISCORD_BOT_TOKEN}`
+  },
+  body: JSON.stringify(DISCORD_COMMANDS)
+});
+
+if (!response.ok) {
+  console.error(`Failed to register commands: ${response.status} ${await response.text()}`);
+  process.exit(1);
+}
+
+const commands = await response.json();
+console.log(`Registered ${commands.length} commands: ${commands.map(command => command.name).join(', ')}`);
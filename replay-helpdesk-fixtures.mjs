@@ -0,0 +1,38 @@
+/**
+ * Replay the helpdesk webhook fixtures against a running worker
+ *
+ * Usage:
+ *   HELPDESK_WEBHOOK_TOKEN=... node replay-helpdesk-fixtures.mjs [fixture.json ...]
+ *
+ * Posts to WORKER_URL (default http://localhost:8787, i.e. `npm run dev`). With no
+ * arguments every file in test/fixtures/helpdesk is sent in name order, so a
+ * ticket's created payload arrives before its update.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const { HELPDESK_WEBHOOK_TOKEN, WORKER_URL = 'http://localhost:8787' } = process.env;
+const FIXTURE_DIR = 'test/fixtures/helpdesk';
+
+if (!HELPDESK_WEBHOOK_TOKEN) {
+  console.error('HELPDESK_WEBHOOK_TOKEN is required');
+  process.exit(1);
+}
+
+const files = process.argv.length > 2
+  ? process.argv.slice(2)
+  : (await readdir(FIXTURE_DIR)).filter(name => name.endsWith('.json')).sort().map(name => join(FIXTURE_DIR, name));
+
+for (const file of files) {
+  const response = await fetch(`${WORKER_URL}/api/ingest/helpdesk`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${HELPDESK_WEBHOOK_TOKEN}`
+    },
+    body: await readFile(file, 'utf8')
+  });
+
+  console.log(`${file}: ${response.status} ${await response.text()}`);
+}
@@ -8,22 +8,270 @@ CREATE TABLE feedback (
     source TEXT NOT NULL,           -- Source of feedback (Discord, Support, GitHub, Reddit, X, Email)
     message TEXT NOT NULL,          -- The actual feedback message
     timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,  -- When the feedback was received
-    sentiment TEXT,                 -- Sentiment analysis result (positive, negative, neutral)
-    category TEXT,                  -- Optional category/topic classification
+    sentiment TEXT,                 -- Sentiment analysis result (positive, negative, neutral); NULL until analyzed
+    sentiment_score REAL,           -- -1.0 (very negative) to 1.0 (very positive); NULL when the model gave only a label
+    sentiment_confidence REAL,      -- Model confidence in the sentiment (0.0-1.0)
+    emotions TEXT,                  -- JSON array of detected emotions (frustration, delight, confusion, anger)
+    sentiment_status TEXT,          -- analyzed, fallback (reply had no label, neutral assumed) or failed (model call failed)
+    sentiment_model TEXT,           -- Model that produced the sentiment ('manual' for corrections via the API)
+    sentiment_version INTEGER,      -- SENTIMENT_ANALYZER version that produced the sentiment (NULL before versioning or when manual)
+    analyzed_at DATETIME,           -- When sentiment was last analyzed
+    category TEXT,                  -- Primary category: set by the submitter or a person, else the classifier's best match
+    categorized_at DATETIME,        -- When the classifier last assigned categories (feedback_categories); NULL until then
     author TEXT,                    -- Optional author/user identifier
-    metadata TEXT                   -- JSON field for additional source-specific data
+    metadata TEXT,                  -- JSON field for additional source-specific data
+    external_id TEXT,               -- The item's id in its source system, unique per source (used for idempotent ingestion)
+    duplicate_of INTEGER REFERENCES feedback(id) ON DELETE SET NULL,  -- Canonical item this is a near-duplicate of
+    duplicate_score REAL,           -- Embedding similarity to the canonical item when it was linked
+    urgency TEXT,                   -- Urgency level from the notification workflow (CRITICAL, HIGH, NORMAL)
+    urgency_confidence REAL,        -- Classifier confidence for the urgency level (0.0-1.0)
+    urgency_reason TEXT,            -- Short explanation of the urgency level
+    aspects_analyzed_at DATETIME,   -- When aspects were last extracted into feedback_aspects; NULL until then
+    cluster_id INTEGER,             -- Theme cluster (clusters.id), NULL until the feedback has been clustered
+    processing_status TEXT NOT NULL DEFAULT 'processed',  -- Async pipeline state (queued, retrying, processed, failed)
+    processing_error TEXT           -- Last error from the ingestion queue consumer
 );
 
 -- Create indexes for common queries
 CREATE INDEX idx_feedback_source ON feedback(source);
 CREATE INDEX idx_feedback_timestamp ON feedback(timestamp DESC);
 CREATE INDEX idx_feedback_sentiment ON feedback(sentiment);
+CREATE UNIQUE INDEX idx_feedback_source_external_id ON feedback(source, external_id);
+CREATE INDEX idx_feedback_duplicate_of ON feedback(duplicate_of);
+CREATE INDEX idx_feedback_processing_status ON feedback(processing_status);
+CREATE INDEX idx_feedback_sentiment_status ON feedback(sentiment_status);
+-- Same expression as the intensity sort in src/index.js (FEEDBACK_SORTS), or SQLite won't use it
+CREATE INDEX idx_feedback_intensity ON feedback(IFNULL(ABS(sentiment_score), -1) DESC, id DESC);
+CREATE INDEX idx_feedback_aspects_analyzed_at ON feedback(aspects_analyzed_at);
+CREATE INDEX idx_feedback_categorized_at ON feedback(categorized_at);
+CREATE INDEX idx_feedback_cluster_id ON feedback(cluster_id);
+
+-- Full-text index over message and author, kept in sync with feedback by triggers
+-- (external content table: the text itself lives only in feedback)
+DROP TABLE IF EXISTS feedback_fts;
+
+CREATE VIRTUAL TABLE feedback_fts USING fts5(
+    message,
+    author,
+    content='feedback',
+    content_rowid='id',
+    tokenize='porter unicode61'
+);
+
+CREATE TRIGGER feedback_fts_insert AFTER INSERT ON feedback BEGIN
+    INSERT INTO feedback_fts(rowid, message, author) VALUES (new.id, new.message, new.author);
+END;
+
+CREATE TRIGGER feedback_fts_delete AFTER DELETE ON feedback BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, message, author) VALUES ('delete', old.id, old.message, old.author);
+END;
+
+CREATE TRIGGER feedback_fts_update AFTER UPDATE OF message, author ON feedback BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, message, author) VALUES ('delete', old.id, old.message, old.author);
+    INSERT INTO feedback_fts(rowid, message, author) VALUES (new.id, new.message, new.author);
+END;
+
+-- Daily rollups per source and sentiment, read by the stats API instead of
+-- counting the feedback table. Triggers keep them current on every write; the
+-- scheduled job re-derives recent days and POST /api/stats/rebuild recomputes all.
+-- sentiment is '' (not NULL) for unanalyzed feedback so the unique key matches it.
+DROP TABLE IF EXISTS feedback_stats;
 
--- Optional: Create a table for aggregated stats (can be populated via triggers or scheduled jobs)
 CREATE TABLE feedback_stats (
     id INTEGER PRIMARY KEY,
-    source TEXT,
-    sentiment TEXT,
+    day TEXT NOT NULL,              -- UTC date (YYYY-MM-DD) of the feedback timestamp
+    source TEXT NOT NULL,
+    sentiment TEXT NOT NULL DEFAULT '',
     count INTEGER DEFAULT 0,
-    last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+    last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (day, source, sentiment)
+);
+
+CREATE TRIGGER feedback_stats_insert AFTER INSERT ON feedback BEGIN
+    INSERT INTO feedback_stats (day, source, sentiment, count)
+    VALUES (date(new.timestamp), new.source, IFNULL(new.sentiment, ''), 1)
+    ON CONFLICT (day, source, sentiment) DO UPDATE SET count = count + 1, last_updated = CURRENT_TIMESTAMP;
+END;
+
+CREATE TRIGGER feedback_stats_delete AFTER DELETE ON feedback BEGIN
+    UPDATE feedback_stats SET count = count - 1, last_updated = CURRENT_TIMESTAMP
+    WHERE day = date(old.timestamp) AND source = old.source AND sentiment = IFNULL(old.sentiment, '');
+END;
+
+CREATE TRIGGER feedback_stats_update AFTER UPDATE OF source, sentiment, timestamp ON feedback BEGIN
+    UPDATE feedback_stats SET count = count - 1, last_updated = CURRENT_TIMESTAMP
+    WHERE day = date(old.timestamp) AND source = old.source AND sentiment = IFNULL(old.sentiment, '');
+    INSERT INTO feedback_stats (day, source, sentiment, count)
+    VALUES (date(new.timestamp), new.source, IFNULL(new.sentiment, ''), 1)
+    ON CONFLICT (day, source, sentiment) DO UPDATE SET count = count + 1, last_updated = CURRENT_TIMESTAMP;
+END;
+
+-- Inbound email that was held back instead of becoming feedback (auto-replies, bounces)
+DROP TABLE IF EXISTS email_quarantine;
+
+CREATE TABLE email_quarantine (
+    id INTEGER PRIMARY KEY,
+    kind TEXT NOT NULL,             -- Why it was held back: auto-reply or bounce
+    reason TEXT,                    -- The header or pattern that identified it
+    sender TEXT,                    -- Envelope sender
+    recipient TEXT,                 -- Envelope recipient
+    subject TEXT,
+    message_id TEXT,
+    body TEXT,                      -- Decoded text body, truncated
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_email_quarantine_received_at ON email_quarantine(received_at DESC);
+
+-- Where each scheduled source poller (Reddit, X) left off
+DROP TABLE IF EXISTS poller_cursors;
+
+CREATE TABLE poller_cursors (
+    source TEXT PRIMARY KEY,        -- Feedback source the poller collects (matches feedback.source)
+    cursor TEXT,                    -- Source-specific position, e.g. newest post time or id seen (JSON while catching up)
+    last_polled_at DATETIME,        -- Last successful poll
+    last_error TEXT,                -- Error from the most recent failed poll, NULL after a success
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ingestion queue messages that kept failing, kept for inspection and replay
+DROP TABLE IF EXISTS dead_letters;
+
+CREATE TABLE dead_letters (
+    id INTEGER PRIMARY KEY,
+    queue TEXT NOT NULL,            -- Queue the message came from
+    feedback_id INTEGER,            -- Feedback row the message was processing
+    body TEXT NOT NULL,             -- JSON message body, re-sent as-is on replay
+    error TEXT,                     -- Error from the final attempt
+    attempts INTEGER,               -- Delivery attempts made before giving up
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    replayed_at DATETIME            -- Set when the message was re-queued
+);
+
+CREATE INDEX idx_dead_letters_created_at ON dead_letters(created_at DESC);
+
+-- Sentiment reanalysis runs: rows scored by an older analyzer version are re-scored
+-- into reanalysis_results for review, and only written to feedback on commit
+DROP TABLE IF EXISTS reanalysis_runs;
+
+CREATE TABLE reanalysis_runs (
+    id INTEGER PRIMARY KEY,
+    analyzer_version INTEGER NOT NULL,  -- SENTIMENT_ANALYZER version the run scores with
+    status TEXT NOT NULL DEFAULT 'running',  -- running, ready (all rows scored), committed or discarded
+    cursor INTEGER NOT NULL DEFAULT 0,  -- Highest feedback id processed so far; runs resume after it
+    total INTEGER NOT NULL DEFAULT 0,   -- Rows that needed re-scoring when the run started
+    processed INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,  -- Rows the model couldn't score (left as they were)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME                -- When the run was committed or discarded
+);
+
+DROP TABLE IF EXISTS reanalysis_results;
+
+CREATE TABLE reanalysis_results (
+    run_id INTEGER NOT NULL REFERENCES reanalysis_runs(id) ON DELETE CASCADE,
+    feedback_id INTEGER NOT NULL,
+    old_sentiment TEXT,
+    new_sentiment TEXT NOT NULL,
+    new_score REAL,
+    new_confidence REAL,
+    new_emotions TEXT,              -- JSON array, as in feedback.emotions
+    new_status TEXT NOT NULL,       -- analyzed or fallback
+    analyzed_at DATETIME NOT NULL,
+    PRIMARY KEY (run_id, feedback_id)
+);
+
+-- Aspect-based sentiment: the product aspects each message talks about, with the
+-- sentiment about that aspect alone and the quote it was read from
+DROP TABLE IF EXISTS feedback_aspects;
+
+CREATE TABLE feedback_aspects (
+    id INTEGER PRIMARY KEY,
+    feedback_id INTEGER NOT NULL REFERENCES feedback(id) ON DELETE CASCADE,
+    aspect TEXT NOT NULL,           -- Normalized aspect name (lowercase), e.g. "export"
+    sentiment TEXT NOT NULL,        -- positive, negative or neutral, for this aspect only
+    quote TEXT,                     -- Supporting words from the message
+    quote_start INTEGER,            -- Character offsets of the quote in feedback.message;
+    quote_end INTEGER,              -- NULL when the model paraphrased instead of quoting
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_feedback_aspects_feedback_id ON feedback_aspects(feedback_id);
+CREATE INDEX idx_feedback_aspects_aspect ON feedback_aspects(aspect, sentiment);
+
+-- Category taxonomy, managed through /api/categories. centroid is the embedding of
+-- "name: description", used when the LLM classifier is unavailable
+DROP TABLE IF EXISTS categories;
+
+CREATE TABLE categories (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    description TEXT,               -- What belongs in the category; shown to the classifier
+    centroid TEXT,                  -- JSON embedding array; NULL until first computed
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Categories assigned to each feedback item by the classifier
+DROP TABLE IF EXISTS feedback_categories;
+
+CREATE TABLE feedback_categories (
+    feedback_id INTEGER NOT NULL REFERENCES feedback(id) ON DELETE CASCADE,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    confidence REAL NOT NULL,       -- LLM confidence, or centroid similarity (0.0-1.0)
+    method TEXT NOT NULL,           -- llm or centroid
+    PRIMARY KEY (feedback_id, category_id)
+);
+
+CREATE INDEX idx_feedback_categories_category_id ON feedback_categories(category_id);
+
+-- Feedback themes from the periodic clustering job, replaced on every run.
+-- Membership is feedback.cluster_id; sentiment mix and growth are read from there.
+DROP TABLE IF EXISTS clusters;
+
+CREATE TABLE clusters (
+    id INTEGER PRIMARY KEY,         -- Never reused across runs
+    name TEXT NOT NULL,             -- LLM-written theme name
+    summary TEXT,                   -- LLM-written one-sentence summary
+    size INTEGER NOT NULL,          -- Members when the cluster was built
+    representative_ids TEXT NOT NULL,  -- JSON array of the most central feedback ids, most central first
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Feature analysis runs: best/worst features over the whole corpus, built in
+-- batches (map) into feature_analysis_mentions and ranked on completion (reduce).
+-- Incremental runs start from the previous run's mentions and only read newer feedback.
+DROP TABLE IF EXISTS feature_analysis_runs;
+
+CREATE TABLE feature_analysis_runs (
+    id INTEGER PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'running',  -- running or complete
+    trigger TEXT NOT NULL,              -- schedule or manual
+    base_run_id INTEGER,                -- Run whose mentions an incremental run started from; NULL for a full run
+    recomputed_at DATETIME NOT NULL,    -- When the full run this one builds on started
+    cursor INTEGER NOT NULL DEFAULT 0,  -- Highest feedback id read so far; runs resume after it
+    max_id INTEGER NOT NULL DEFAULT 0,  -- Highest feedback id when the run started; newer rows wait for the next run
+    total INTEGER NOT NULL DEFAULT 0,   -- Rows this run has to read
+    processed INTEGER NOT NULL DEFAULT 0,
+    covered INTEGER NOT NULL DEFAULT 0, -- Rows counted so far, including those inherited from the base run
+    positive_count INTEGER NOT NULL DEFAULT 0,
+    negative_count INTEGER NOT NULL DEFAULT 0,
+    best_features TEXT,                 -- JSON [{ feature, mentions, ids }] (ids: newest 200 mentions), set on completion
+    worst_features TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME
+);
+
+DROP TABLE IF EXISTS feature_analysis_mentions;
+
+-- One row per feedback item praising (positive) or criticizing (negative) a
+-- feature; a feature's mentions are counted from these rows
+CREATE TABLE feature_analysis_mentions (
+    run_id INTEGER NOT NULL REFERENCES feature_analysis_runs(id) ON DELETE CASCADE,
+    sentiment TEXT NOT NULL,            -- positive (praised) or negative (criticized)
+    feature TEXT NOT NULL,              -- Normalized feature name
+    feedback_id INTEGER NOT NULL REFERENCES feedback(id) ON DELETE CASCADE,
+    PRIMARY KEY (run_id, sentiment, feature, feedback_id)
 );
@@ -0,0 +1,74 @@
+/**
+ * Aspect-based sentiment
+ * Breaks a feedback message into the product aspects it mentions, each with its
+ * own sentiment and the quote it was read from
+ */
+
+// Sentiment labels, shared with the rest of the worker
+export const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+// Longest aspect name kept, and most aspects kept per message
+const MAX_ASPECT_LENGTH = 60;
+const MAX_ASPECTS = 10;
+
+/**
+ * Extract [{ aspect, sentiment, quote, start, end }] from a message using Workers AI.
+ * Aspect names are normalized (lowercase, single spaces) so they group across
+ * messages. start/end are the quote's character offsets in the message, or null
+ * when the model paraphrased instead of quoting. A reply that isn't a JSON array
+ * yields no aspects; a failed model call throws so the message can be retried.
+ */
+export async function extractAspects(message, env) {
+  const response = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are an aspect-based sentiment analyzer. List each product feature, service or aspect the customer feedback talks about, with the sentiment expressed about that aspect alone and the shortest exact quote from the feedback that shows it. Respond ONLY with a JSON array, no markdown: [{"aspect": "short noun phrase", "sentiment": "positive|negative|neutral", "quote": "exact words from the feedback"}]. Respond with [] when no specific aspect is mentioned.'
+      },
+      {
+        role: 'user',
+        content: message
+      }
+    ]
+  });
+
+  let parsed;
+  try {
+    const responseText = response.response?.trim() || '[]';
+    parsed = JSON.parse(responseText.replace(/```json\n?|```\n?/g, '').trim());
+  } catch (error) {
+    console.error('Error parsing aspects:', error);
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  const seen = new Set();
+  const aspects = [];
+  for (const item of parsed) {
+    const aspect = normalizeAspect(item?.aspect);
+    const sentiment = String(item?.sentiment || '').toLowerCase();
+    if (!aspect || !SENTIMENTS.includes(sentiment) || seen.has(aspect)) continue;
+    seen.add(aspect);
+
+    const quote = typeof item.quote === 'string' ? item.quote.trim() : '';
+    const start = quote ? message.toLowerCase().indexOf(quote.toLowerCase()) : -1;
+    aspects.push({
+      aspect,
+      sentiment,
+      quote: start === -1 ? quote || null : message.slice(start, start + quote.length),
+      start: start === -1 ? null : start,
+      end: start === -1 ? null : start + quote.length
+    });
+  }
+
+  return aspects.slice(0, MAX_ASPECTS);
+}
+
+/**
+ * Canonical form of an aspect name, or null when nothing usable is left
+ */
+export function normalizeAspect(name) {
+  if (typeof name !== 'string') return null;
+  const aspect = name.toLowerCase().replace(/\s+/g, ' ').trim().slice(0, MAX_ASPECT_LENGTH);
+  return aspect || null;
+}
@@ -0,0 +1,105 @@
+/**
+ * Category classification against the managed taxonomy (the categories table)
+ * Asks the LLM first and falls back to the nearest category centroid by embedding
+ */
+
+// Most categories assigned to one message
+const MAX_CATEGORIES = 3;
+
+// LLM answers below this confidence are dropped
+const MIN_LLM_CONFIDENCE = 0.4;
+
+// Centroid fallback: a category must be at least this similar to the message,
+// and within CENTROID_MARGIN of the best match, to be assigned
+const MIN_CENTROID_SIMILARITY = 0.5;
+const CENTROID_MARGIN = 0.05;
+
+/**
+ * Pick categories for a message from `taxonomy` ([{ id, name, description, centroid }]).
+ * Returns [{ id, name, confidence, method }], best first, where method is 'llm' or
+ * 'centroid'. An empty array means nothing in the taxonomy fits. The centroid
+ * fallback is used when the model call fails or its reply isn't a JSON array;
+ * it needs the message embedding and category centroids. Returns null when
+ * neither could run, so the caller can try again later.
+ */
+export async function classifyCategories(message, embedding, taxonomy, env) {
+  if (taxonomy.length === 0) return [];
+
+  const fromModel = await askModel(message, taxonomy, env);
+  if (fromModel) return fromModel;
+
+  if (!embedding || !taxonomy.some(category => category.centroid)) return null;
+  return nearestCentroids(embedding, taxonomy);
+}
+
+/**
+ * Text embedded as a category's centroid
+ */
+export function centroidText(category) {
+  return category.description ? `${category.name}: ${category.description}` : category.name;
+}
+
+async function askModel(message, taxonomy, env) {
+  const list = taxonomy.map(category => `- ${category.name}${category.description ? `: ${category.description}` : ''}`).join('\n');
+
+  let reply;
+  try {
+    const response = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a feedback classifier. Assign customer feedback to the categories it belongs to, using only the category names you are given. Respond ONLY with a JSON array, no markdown: [{"category": "exact category name", "confidence": 0.0-1.0}]. Respond with [] when no category fits.'
+        },
+        {
+          role: 'user',
+          content: `Categories:\n${list}\n\nFeedback: "${message}"`
+        }
+      ]
+    });
+    reply = JSON.parse((response.response?.trim() || '').replace(/```json\n?|```\n?/g, '').trim());
+  } catch (error) {
+    console.error('Error classifying categories:', error);
+    return null;
+  }
+  if (!Array.isArray(reply)) return null;
+
+  const byName = new Map(taxonomy.map(category => [category.name.toLowerCase(), category]));
+  const assigned = new Map();
+  for (const item of reply) {
+    const category = byName.get(String(item?.category || '').trim().toLowerCase());
+    const confidence = typeof item?.confidence === 'number' ? Math.min(1, Math.max(0, item.confidence)) : 0.5;
+    if (!category || confidence < MIN_LLM_CONFIDENCE || assigned.has(category.id)) continue;
+    assigned.set(category.id, { id: category.id, name: category.name, confidence, method: 'llm' });
+  }
+
+  return [...assigned.values()].sort((a, b) => b.confidence - a.confidence).slice(0, MAX_CATEGORIES);
+}
+
+function nearestCentroids(embedding, taxonomy) {
+  const scored = taxonomy
+    .filter(category => category.centroid)
+    .map(category => ({
+      id: category.id,
+      name: category.name,
+      confidence: cosineSimilarity(embedding, category.centroid),
+      method: 'centroid'
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const best = scored[0]?.confidence ?? 0;
+  return scored
+    .filter(match => match.confidence >= MIN_CENTROID_SIMILARITY && match.confidence >= best - CENTROID_MARGIN)
+    .slice(0, MAX_CATEGORIES);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
@@ -0,0 +1,97 @@
+/**
+ * Theme clustering over feedback embeddings
+ * Spherical k-means (cosine similarity) with deterministic initialization, so
+ * re-clustering unchanged data gives the same themes
+ */
+
+// Upper bound on the number of themes, whatever the corpus size
+const MAX_CLUSTERS = 20;
+
+/**
+ * Number of clusters for n items: about sqrt(n / 2), at least 1
+ */
+export function chooseClusterCount(n) {
+  return Math.max(1, Math.min(MAX_CLUSTERS, Math.ceil(Math.sqrt(n / 2))));
+}
+
+/**
+ * Cluster vectors into k groups. Returns { assignments, similarities, centroids }:
+ * the cluster index of each vector, its cosine similarity to that cluster's
+ * centroid, and the unit-length centroids.
+ */
+export function kMeans(vectors, k, maxIterations = 25) {
+  const points = vectors.map(normalize);
+  const centroids = initialCentroids(points, Math.min(k, points.length));
+  const assignments = new Array(points.length).fill(-1);
+  const similarities = new Array(points.length).fill(0);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+    points.forEach((point, index) => {
+      let best = 0;
+      let bestSimilarity = -Infinity;
+      centroids.forEach((centroid, cluster) => {
+        const similarity = dot(point, centroid);
+        if (similarity > bestSimilarity) {
+          best = cluster;
+          bestSimilarity = similarity;
+        }
+      });
+      similarities[index] = bestSimilarity;
+      if (assignments[index] !== best) {
+        assignments[index] = best;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+
+    centroids.forEach((centroid, cluster) => {
+      const members = points.filter((_, index) => assignments[index] === cluster);
+      // An emptied cluster keeps its old centroid
+      if (members.length > 0) centroids[cluster] = normalize(sum(members));
+    });
+  }
+
+  return { assignments, similarities, centroids };
+}
+
+/**
+ * Farthest-point initialization: start from the first point, then repeatedly
+ * take the point least similar to every centroid chosen so far
+ */
+function initialCentroids(points, k) {
+  if (points.length === 0) return [];
+
+  const centroids = [points[0]];
+  const closest = points.map(point => dot(point, points[0]));
+  while (centroids.length < k) {
+    let next = 0;
+    closest.forEach((similarity, index) => {
+      if (similarity < closest[next]) next = index;
+    });
+    centroids.push(points[next]);
+    points.forEach((point, index) => {
+      closest[index] = Math.max(closest[index], dot(point, points[next]));
+    });
+  }
+  return centroids;
+}
+
+function normalize(vector) {
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map(value => value / norm);
+}
+
+function sum(vectors) {
+  const total = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    for (let i = 0; i < vector.length; i++) total[i] += vector[i];
+  }
+  return total;
+}
+
+function dot(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += a[i] * b[i];
+  return total;
+}
@@ -0,0 +1,138 @@
+/**
+ * Discord interaction helpers
+ * Verifies interaction signatures, defines the application commands and maps
+ * command invocations to feedback records
+ */
+
+export const InteractionType = {
+  PING: 1,
+  APPLICATION_COMMAND: 2
+};
+
+export const InteractionResponseType = {
+  PONG: 1,
+  CHANNEL_MESSAGE_WITH_SOURCE: 4,
+  DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE: 5
+};
+
+// Message flag that makes a reply visible only to the invoking user
+export const EPHEMERAL = 1 << 6;
+
+const CommandType = {
+  CHAT_INPUT: 1,
+  MESSAGE: 3
+};
+
+const STRING_OPTION = 3;
+
+/**
+ * Application commands to register with Discord (see register-discord-commands.mjs)
+ */
+export const DISCORD_COMMANDS = [
+  {
+    name: 'feedback',
+    type: CommandType.CHAT_INPUT,
+    description: 'Send feedback to the product team',
+    options: [
+      {
+        type: STRING_OPTION,
+        name: 'message',
+        description: 'What would you like to tell us?',
+        required: true,
+        max_length: 2000
+      }
+    ]
+  },
+  {
+    name: 'Send to feedback',
+    type: CommandType.MESSAGE
+  }
+];
+
+const encoder = new TextEncoder();
+
+/**
+ * Check the Ed25519 signature Discord puts on every interaction request.
+ * The signed message is the X-Signature-Timestamp header followed by the raw body.
+ */
+export async function verifyDiscordSignature(publicKeyHex, signatureHex, timestamp, body) {
+  if (!/^[0-9a-f]{128}$/i.test(signatureHex || '') || !timestamp) return false;
+
+  try {
+    const key = await crypto.subtle.importKey('raw', hexToBytes(publicKeyHex), { name: 'Ed25519' }, false, ['verify']);
+    return await crypto.subtle.verify('Ed25519', key, hexToBytes(signatureHex), encoder.encode(timestamp + body));
+  } catch (error) {
+    console.error('Error verifying Discord signature:', error);
+    return false;
+  }
+}
+
+/**
+ * Map a /feedback or "Send to feedback" invocation to a feedback record.
+ * Returns { feedback } or { error } with a message to show the user.
+ */
+export function discordCommandToFeedback(interaction) {
+  const { data } = interaction;
+  const invoker = interaction.member?.user || interaction.user;
+  const guildId = interaction.guild_id || null;
+  const channelId = interaction.channel_id || interaction.channel?.id || null;
+
+  if (data.type === CommandType.CHAT_INPUT && data.name === 'feedback') {
+    const message = data.options?.find(option => option.name === 'message')?.value?.trim();
+    if (!message) return { error: 'Please include a message.' };
+
+    return {
+      feedback: {
+        source: 'Discord',
+        message,
+        author: formatUser(invoker),
+        externalId: `interaction:${interaction.id}`,
+        metadata: {
+          command: 'feedback',
+          guildId,
+          channelId,
+          channelLink: channelLink(guildId, channelId)
+        }
+      }
+    };
+  }
+
+  if (data.type === CommandType.MESSAGE && data.name === 'Send to feedback') {
+    const target = data.resolved?.messages?.[data.target_id];
+    if (!target?.content?.trim()) return { error: 'That message has no text to send.' };
+
+    return {
+      feedback: {
+        source: 'Discord',
+        message: target.content.trim(),
+        author: formatUser(target.author),
+        // Keyed by the message, so sending the same message twice doesn't duplicate it
+        externalId: `message:${target.id}`,
+        metadata: {
+          command: 'Send to feedback',
+          guildId,
+          channelId,
+          messageId: target.id,
+          messageLink: `${channelLink(guildId, channelId)}/${target.id}`,
+          submittedBy: formatUser(invoker)
+        }
+      }
+    };
+  }
+
+  return { error: `Unknown command: ${data.name}` };
+}
+
+function channelLink(guildId, channelId) {
+  return `https://discord.com/channels/${guildId || '@me'}/${channelId}`;
+}
+
+function formatUser(user) {
+  if (!user) return null;
+  // Users who migrated to unique usernames have discriminator "0"
+  return user.discriminator && user.discriminator !== '0' ? `${user.username}#${user.discriminator}` : user.username;
+}
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
@@ -0,0 +1,257 @@
+/**
+ * Inbound email helpers
+ * A small MIME parser plus the heuristics that turn an email into feedback:
+ * picking the text body, stripping quoted replies and signatures, and spotting
+ * auto-replies and bounces
+ */
+
+/**
+ * Parse a raw RFC 5322 message (as bytes) into { headers, text }.
+ * `headers` maps lower-cased names to decoded values (repeated headers keep the first);
+ * `text` is the text/plain body, or the text/html body with tags removed.
+ */
+export function parseEmail(bytes) {
+  const part = parsePart(bytesToBinary(bytes));
+  const bodies = collectTextBodies(part);
+  const text = bodies.plain ?? (bodies.html != null ? htmlToText(bodies.html) : '');
+
+  return { headers: part.headers, text: normalizeNewlines(text) };
+}
+
+/**
+ * Remove quoted replies, forwarded history and signatures, keeping what the sender wrote
+ */
+export function stripReplyAndSignature(text) {
+  const lines = text.split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Everything after a reply header or signature separator is history or boilerplate
+    if (isReplyHeader(trimmed, lines[i + 1]) || SIGNATURE_SEPARATORS.some(pattern => pattern.test(line))) break;
+    if (trimmed.startsWith('>')) continue;
+
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+}
+
+/**
+ * Identify automated mail that shouldn't become feedback.
+ * Returns { kind: 'bounce' | 'auto-reply', reason } or null for mail from a person.
+ */
+export function classifyAutomatedEmail(headers, from) {
+  const sender = (from || headers['from'] || '').toLowerCase();
+  const contentType = (headers['content-type'] || '').toLowerCase();
+  const subject = headers['subject'] || '';
+
+  if (/(^|<)(mailer-daemon|postmaster)@/.test(sender)) {
+    return { kind: 'bounce', reason: `sent by ${sender}` };
+  }
+  if (contentType.startsWith('multipart/report') && contentType.includes('delivery-status')) {
+    return { kind: 'bounce', reason: 'delivery status report' };
+  }
+  if (headers['x-failed-recipients']) {
+    return { kind: 'bounce', reason: 'X-Failed-Recipients header' };
+  }
+
+  const autoSubmitted = (headers['auto-submitted'] || 'no').toLowerCase();
+  if (autoSubmitted !== 'no') {
+    return { kind: 'auto-reply', reason: `Auto-Submitted: ${autoSubmitted}` };
+  }
+  if (headers['x-autoreply'] || headers['x-autorespond'] || headers['x-auto-response-suppress']?.toLowerCase().includes('all')) {
+    return { kind: 'auto-reply', reason: 'auto-responder header' };
+  }
+  const precedence = (headers['precedence'] || '').toLowerCase();
+  if (['auto_reply', 'bulk', 'junk'].includes(precedence)) {
+    return { kind: 'auto-reply', reason: `Precedence: ${precedence}` };
+  }
+  if (/^(auto(matic)?[ -]?reply|out of (the )?office|automatische antwort)\b/i.test(subject)) {
+    return { kind: 'auto-reply', reason: `subject "${subject}"` };
+  }
+
+  return null;
+}
+
+/**
+ * Pull the bare address out of a header like "Jane Doe <jane@example.com>".
+ * Returns null unless what's left looks like an address.
+ */
+export function emailAddress(value) {
+  const match = /<([^>]+)>/.exec(value || '');
+  const address = (match ? match[1] : value || '').trim().toLowerCase();
+  return ADDRESS_PATTERN.test(address) ? address : null;
+}
+
+// local@domain.tld, without spaces, brackets, quotes or other header punctuation
+const ADDRESS_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:"]+$/;
+
+const SIGNATURE_SEPARATORS = [
+  /^-- ?$/,
+  /^_{5,}\s*$/,
+  /^Sent from my /i,
+  /^Get Outlook for /i
+];
+
+function isReplyHeader(line, nextLine) {
+  if (/^-+\s*(Original|Forwarded) Message\s*-+$/i.test(line)) return true;
+  if (/^On .+wrote:$/i.test(line)) return true;
+  // Clients often wrap "On <date>, <name> wrote:" across two lines
+  if (/^On .+/i.test(line) && nextLine && /^.*wrote:$/i.test(nextLine.trim()) && !/^On /i.test(nextLine.trim())) {
+    return `${line} ${nextLine.trim()}`.length < 200;
+  }
+  return false;
+}
+
+/**
+ * Parse one MIME entity (headers + body) from a binary string
+ */
+function parsePart(raw) {
+  const separator = /\r?\n\r?\n/.exec(raw);
+  const headerBlock = separator ? raw.slice(0, separator.index) : raw;
+  const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+  const headers = parseHeaders(headerBlock);
+
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundary = headerParam(contentType, 'boundary');
+
+  if (contentType.toLowerCase().startsWith('multipart/') && boundary) {
+    return { headers, parts: splitMultipart(body, boundary).map(parsePart) };
+  }
+
+  return { headers, body };
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  // Unfold continuation lines, then split name: value
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) {
+      headers[name] = decodeEncodedWords(line.slice(colon + 1).trim());
+    }
+  }
+  return headers;
+}
+
+function headerParam(value, name) {
+  const match = new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i').exec(value);
+  return match ? match[1] ?? match[2] : null;
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  const segments = body.split(delimiter);
+
+  // segments[0] is the preamble; a segment starting with "--" is the closing delimiter
+  for (const segment of segments.slice(1)) {
+    if (segment.startsWith('--')) break;
+    parts.push(segment.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, ''));
+  }
+  return parts;
+}
+
+/**
+ * Find the first text/plain and text/html bodies, skipping attachments
+ */
+function collectTextBodies(part, found = {}) {
+  if (part.parts) {
+    part.parts.forEach(child => collectTextBodies(child, found));
+    return found;
+  }
+
+  const contentType = (part.headers['content-type'] || 'text/plain').toLowerCase();
+  const disposition = (part.headers['content-disposition'] || '').toLowerCase();
+  if (disposition.startsWith('attachment')) return found;
+
+  const key = contentType.startsWith('text/plain') ? 'plain' : contentType.startsWith('text/html') ? 'html' : null;
+  if (key && found[key] == null) {
+    found[key] = decodeBody(part.body, part.headers['content-transfer-encoding'], headerParam(contentType, 'charset'));
+  }
+  return found;
+}
+
+function decodeBody(body, transferEncoding, charset) {
+  const encoding = (transferEncoding || '7bit').toLowerCase();
+  let binary = body;
+
+  if (encoding === 'base64') {
+    try {
+      binary = atob(body.replace(/[^A-Za-z0-9+/=]/g, ''));
+    } catch {
+      binary = '';
+    }
+  } else if (encoding === 'quoted-printable') {
+    binary = body
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  return decodeCharset(binary, charset);
+}
+
+/**
+ * Decode RFC 2047 encoded words, e.g. =?UTF-8?B?...?= or =?ISO-8859-1?Q?...?=
+ */
+function decodeEncodedWords(value) {
+  return value
+    // Whitespace between adjacent encoded words is not part of the text
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (whole, charset, encoding, text) => {
+      try {
+        const binary = encoding.toUpperCase() === 'B'
+          ? atob(text)
+          : text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return decodeCharset(binary, charset);
+      } catch {
+        return whole;
+      }
+    });
+}
+
+function decodeCharset(binary, charset) {
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0) & 0xff);
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * One character per byte, so multi-byte bodies survive until their charset is known
+ */
+function bytesToBinary(bytes) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return binary;
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function normalizeNewlines(text) {
+  return text.replace(/\r\n?/g, '\n');
+}
@@ -0,0 +1,106 @@
+/**
+ * GitHub webhook helpers
+ * Verifies webhook signatures and maps issue, issue_comment and discussion
+ * events to feedback records
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Check an X-Hub-Signature-256 header ("sha256=<hex>") against the raw body.
+ * crypto.subtle.verify compares in constant time.
+ */
+export async function verifyGithubSignature(secret, body, signatureHeader) {
+  const match = /^sha256=([0-9a-f]{64})$/i.exec(signatureHeader || '');
+  if (!match) return false;
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  const signature = new Uint8Array(match[1].match(/../g).map(byte => parseInt(byte, 16)));
+
+  return crypto.subtle.verify('HMAC', key, signature, encoder.encode(body));
+}
+
+/**
+ * Map a webhook delivery to a feedback record for ingestFeedback.
+ * Returns { feedback } or { ignored: reason } for events we don't collect.
+ */
+export function githubEventToFeedback(event, payload) {
+  const handler = EVENT_HANDLERS[event];
+  if (!handler) return { ignored: `event ${event} is not collected` };
+
+  if (payload.sender?.type === 'Bot') return { ignored: 'sent by a bot' };
+
+  const action = payload.action;
+  if (!handler.actions.includes(action)) return { ignored: `${event}.${action} is not collected` };
+
+  const feedback = handler.toFeedback(payload);
+  if (!feedback.message.trim()) return { ignored: 'empty body' };
+
+  return { feedback: { source: 'GitHub', ...feedback } };
+}
+
+const EVENT_HANDLERS = {
+  issues: {
+    actions: ['opened'],
+    toFeedback: ({ issue, repository }) => ({
+      message: joinTitleAndBody(issue.title, issue.body),
+      author: issue.user?.login || null,
+      externalId: `issue:${issue.id}`,
+      metadata: {
+        event: 'issues',
+        repo: repository?.full_name,
+        issueNumber: issue.number,
+        isPullRequest: Boolean(issue.pull_request),
+        labels: labelNames(issue.labels),
+        url: issue.html_url
+      }
+    })
+  },
+  issue_comment: {
+    actions: ['created'],
+    toFeedback: ({ comment, issue, repository }) => ({
+      message: comment.body || '',
+      author: comment.user?.login || null,
+      externalId: `issue_comment:${comment.id}`,
+      metadata: {
+        event: 'issue_comment',
+        repo: repository?.full_name,
+        issueNumber: issue.number,
+        issueTitle: issue.title,
+        isPullRequest: Boolean(issue.pull_request),
+        labels: labelNames(issue.labels),
+        url: comment.html_url
+      }
+    })
+  },
+  discussion: {
+    actions: ['created'],
+    toFeedback: ({ discussion, repository }) => ({
+      message: joinTitleAndBody(discussion.title, discussion.body),
+      author: discussion.user?.login || null,
+      externalId: `discussion:${discussion.id}`,
+      metadata: {
+        event: 'discussion',
+        repo: repository?.full_name,
+        discussionNumber: discussion.number,
+        discussionCategory: discussion.category?.name || null,
+        labels: labelNames(discussion.labels),
+        url: discussion.html_url
+      }
+    })
+  }
+};
+
+function joinTitleAndBody(title, body) {
+  return [title, body].filter(Boolean).join('\n\n');
+}
+
+function labelNames(labels) {
+  return (labels || []).map(label => (typeof label === 'string' ? label : label.name));
+}
@@ -0,0 +1,195 @@
+/**
+ * Helpdesk webhook helpers
+ * Authenticates ticket webhooks and normalizes Zendesk- and Freshdesk-style
+ * ticket payloads into one ticket shape, then into feedback records
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Check an "Authorization: Bearer <token>" header against the configured token.
+ * Compares digests so the check takes the same time however much of the token matches.
+ */
+export async function verifyHelpdeskToken(expected, authorizationHeader) {
+  const match = /^Bearer\s+(.+)$/i.exec(authorizationHeader || '');
+  if (!match) return false;
+
+  const [a, b] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(expected)),
+    crypto.subtle.digest('SHA-256', encoder.encode(match[1].trim()))
+  ]);
+  const left = new Uint8Array(a);
+  const right = new Uint8Array(b);
+
+  let difference = 0;
+  for (let i = 0; i < left.length; i++) difference |= left[i] ^ right[i];
+  return difference === 0;
+}
+
+/**
+ * Normalize a ticket webhook payload.
+ * Returns { event: 'created' | 'updated', ticket }, { ignored: reason } or { error }.
+ *
+ * ticket: { id, subject, description, priority, status, tags, url,
+ *           requester: { name, email }, comments: [{ key, body }] }
+ * where `comments` holds only public comments from the requester.
+ */
+export function parseHelpdeskWebhook(payload) {
+  if (!payload || typeof payload !== 'object') return { error: 'payload must be a JSON object' };
+
+  const parsed = payload.freshdesk_webhook ? fromFreshdesk(payload.freshdesk_webhook) : fromZendesk(payload);
+  if (parsed.error || parsed.ignored) return parsed;
+
+  if (parsed.ticket.id == null || parsed.ticket.id === '') return { error: 'ticket id is required' };
+  if (!parsed.ticket.subject && !parsed.ticket.description && !parsed.ticket.comments.length) {
+    return { ignored: 'ticket has no text' };
+  }
+
+  return parsed;
+}
+
+/**
+ * Map a normalized ticket to a feedback record for ingestFeedback
+ */
+export function ticketToFeedback(ticket) {
+  return {
+    source: 'Support',
+    message: joinTicketText([ticket.subject, ticket.description, ...ticket.comments.map(comment => comment.body)]),
+    author: ticket.requester.email || ticket.requester.name,
+    externalId: `ticket:${ticket.id}`,
+    metadata: ticketMetadata(ticket, ticket.comments.map(comment => comment.key))
+  };
+}
+
+/**
+ * Metadata for a ticket. `commentKeys` records which comments are already part
+ * of the stored message, so updates only append new ones.
+ */
+export function ticketMetadata(ticket, commentKeys) {
+  return {
+    ticketId: ticket.id,
+    subject: ticket.subject,
+    priority: ticket.priority,
+    status: ticket.status,
+    tags: ticket.tags,
+    requester: ticket.requester,
+    url: ticket.url,
+    commentKeys
+  };
+}
+
+export function joinTicketText(parts) {
+  return parts.map(part => (part || '').trim()).filter(Boolean).join('\n\n');
+}
+
+const ZENDESK_EVENTS = {
+  'ticket.created': 'created',
+  'ticket.updated': 'updated',
+  'zen:event-type:ticket.created': 'created',
+  'zen:event-type:ticket.comment_added': 'updated'
+};
+
+/**
+ * Zendesk-style payload: { type, ticket: { id, subject, description, priority,
+ * status, tags, url, requester, requester_id, comments } }
+ */
+function fromZendesk(payload) {
+  const event = ZENDESK_EVENTS[payload.type || payload.event];
+  if (!event) return { ignored: `event ${payload.type || payload.event} is not collected` };
+
+  const ticket = payload.ticket || payload.detail;
+  if (!ticket) return { error: 'ticket is required' };
+
+  const requesterId = ticket.requester?.id ?? ticket.requester_id ?? null;
+  const comments = (ticket.comments || [])
+    .filter(comment => comment.public !== false)
+    // Agent replies aren't customer feedback; keep comments without an author to be safe
+    .filter(comment => comment.author_id == null || requesterId == null || comment.author_id === requesterId)
+    .map(comment => ({ key: comment.id != null ? `id:${comment.id}` : textKey(comment.body), body: comment.body || comment.plain_body || '' }))
+    .filter(comment => comment.body.trim());
+
+  return {
+    event,
+    ticket: {
+      id: ticket.id,
+      subject: ticket.subject || null,
+      description: ticket.description || null,
+      priority: ticket.priority ? String(ticket.priority).toLowerCase() : null,
+      status: ticket.status ? String(ticket.status).toLowerCase() : null,
+      tags: normalizeTags(ticket.tags),
+      url: ticket.url || null,
+      requester: {
+        name: ticket.requester?.name || null,
+        email: ticket.requester?.email?.toLowerCase() || null
+      },
+      comments
+    }
+  };
+}
+
+const FRESHDESK_PRIORITIES = { 1: 'low', 2: 'medium', 3: 'high', 4: 'urgent' };
+
+/**
+ * Freshdesk-style payload, as built from automation placeholders:
+ * { freshdesk_webhook: { triggered_event, ticket_id, ticket_subject, ticket_description,
+ *   ticket_priority, ticket_status, ticket_tags, ticket_url, ticket_requester_name,
+ *   ticket_requester_email, ticket_latest_public_comment } }
+ */
+function fromFreshdesk(hook) {
+  const trigger = String(hook.triggered_event || '').toLowerCase();
+  // e.g. "{ticket_action:created}", "{ticket_action:updated}" or "{note_type:public}"
+  const event = /created/.test(trigger) ? 'created' : /update|note|repl/.test(trigger) ? 'updated' : null;
+  if (!event) return { ignored: `event ${hook.triggered_event} is not collected` };
+
+  // Freshdesk only sends the latest public comment, so it's keyed by its text
+  const latest = stripHtml(hook.ticket_latest_public_comment || '');
+  const description = stripHtml(hook.ticket_description || '');
+  const comments = latest && latest !== description ? [{ key: textKey(latest), body: latest }] : [];
+
+  const priority = hook.ticket_priority;
+
+  return {
+    event,
+    ticket: {
+      id: hook.ticket_id,
+      subject: hook.ticket_subject || null,
+      description: description || null,
+      priority: FRESHDESK_PRIORITIES[priority] || (priority ? String(priority).toLowerCase() : null),
+      status: hook.ticket_status ? String(hook.ticket_status).toLowerCase() : null,
+      tags: normalizeTags(hook.ticket_tags),
+      url: hook.ticket_url || null,
+      requester: {
+        name: hook.ticket_requester_name || null,
+        email: hook.ticket_requester_email?.toLowerCase() || null
+      },
+      comments
+    }
+  };
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+function stripHtml(text) {
+  return text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Stable key for a comment without an id (32-bit FNV-1a of its text)
+ */
+function textKey(text) {
+  let hash = 0x811c9dc5;
+  for (const char of (text || '').trim()) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `text:${hash.toString(16)}`;
+}
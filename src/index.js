@@ -3,6 +3,23 @@
  * Collects feedback from multiple sources, analyzes sentiment, and provides an API
  */
 
+import {
+  EPHEMERAL,
+  InteractionResponseType,
+  InteractionType,
+  discordCommandToFeedback,
+  verifyDiscordSignature
+} from './discord.js';
+import { SENTIMENTS, extractAspects, normalizeAspect } from './aspects.js';
+import { centroidText, classifyCategories } from './categories.js';
+import { chooseClusterCount, kMeans } from './clustering.js';
+import { classifyAutomatedEmail, emailAddress, parseEmail, stripReplyAndSignature } from './email.js';
+import { githubEventToFeedback, verifyGithubSignature } from './github.js';
+import { joinTicketText, parseHelpdeskWebhook, ticketMetadata, ticketToFeedback, verifyHelpdeskToken } from './helpdesk.js';
+import { extractKeyphrases, keyphraseCandidates } from './keyphrases.js';
+import { POLLERS } from './pollers.js';
+import { analyzeUrgency } from './urgency.js';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -10,8 +27,8 @@ export default {
     // CORS headers for API access
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key',
     };
 
     // Handle CORS preflight
@@ -24,14 +41,148 @@ export default {
       return handlePostFeedback(request, env, corsHeaders);
     }
     
+    if (url.pathname === '/api/feedback/bulk' && request.method === 'POST') {
+      return handleBulkImport(request, url, env, corsHeaders);
+    }
+    
     if (url.pathname === '/api/feedback' && request.method === 'GET') {
-      return handleGetFeedback(env, corsHeaders);
+      return handleGetFeedback(url, env, corsHeaders);
+    }
+    
+    const feedbackItemMatch = url.pathname.match(/^\/api\/feedback\/(\d+)$/);
+    if (feedbackItemMatch) {
+      const feedbackId = Number(feedbackItemMatch[1]);
+      if (request.method === 'GET') {
+        return handleGetFeedbackItem(feedbackId, env, corsHeaders);
+      }
+      if (request.method === 'PATCH') {
+        return handlePatchFeedback(feedbackId, request, env, corsHeaders);
+      }
+      if (request.method === 'DELETE') {
+        return handleDeleteFeedback(feedbackId, env, corsHeaders);
+      }
+    }
+    
+    if (url.pathname === '/api/ingest/github' && request.method === 'POST') {
+      return handleGithubWebhook(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/ingest/helpdesk' && request.method === 'POST') {
+      return handleHelpdeskWebhook(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/discord/interactions' && request.method === 'POST') {
+      return handleDiscordInteraction(request, env, ctx, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/email/quarantine' && request.method === 'GET') {
+      return handleGetEmailQuarantine(url, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/dead-letters' && request.method === 'GET') {
+      return handleGetDeadLetters(url, env, corsHeaders);
+    }
+    
+    const replayMatch = url.pathname.match(/^\/api\/dead-letters\/(\d+)\/replay$/);
+    if (replayMatch && request.method === 'POST') {
+      return handleReplayDeadLetter(Number(replayMatch[1]), env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/export' && request.method === 'GET') {
+      return handleExport(url, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/search' && request.method === 'GET') {
+      return handleSearch(url, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/sentiment/retry-failed' && request.method === 'POST') {
+      return handleRetryFailedSentiment(env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/reanalysis' && request.method === 'POST') {
+      return handleStartReanalysis(env, corsHeaders);
+    }
+    
+    const reanalysisMatch = url.pathname.match(/^\/api\/reanalysis\/(\d+)(?:\/(advance|commit|discard))?$/);
+    if (reanalysisMatch) {
+      const runId = Number(reanalysisMatch[1]);
+      const action = reanalysisMatch[2];
+      if (!action && request.method === 'GET') {
+        return handleGetReanalysis(runId, env, corsHeaders);
+      }
+      if (action && request.method === 'POST') {
+        return handleReanalysisAction(runId, action, env, corsHeaders);
+      }
+    }
+    
+    if (url.pathname === '/api/stats/rebuild' && request.method === 'POST') {
+      return handleRebuildStats(env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/stats/timeseries' && request.method === 'GET') {
+      return handleStatsTimeseries(url, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/categories' && request.method === 'GET') {
+      return handleGetCategories(env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/categories' && request.method === 'POST') {
+      return handleCreateCategory(request, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/categories/backfill' && request.method === 'POST') {
+      return handleCategoryBackfill(url, env, corsHeaders);
+    }
+    
+    const categoryMatch = url.pathname.match(/^\/api\/categories\/(\d+)$/);
+    if (categoryMatch && request.method === 'PATCH') {
+      return handleUpdateCategory(Number(categoryMatch[1]), request, env, corsHeaders);
+    }
+    if (categoryMatch && request.method === 'DELETE') {
+      return handleDeleteCategory(Number(categoryMatch[1]), env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/clusters' && request.method === 'GET') {
+      return handleGetClusters(url, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/clusters/rebuild' && request.method === 'POST') {
+      return handleRebuildClusters(env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/aspects' && request.method === 'GET') {
+      return handleGetAspects(url, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/aspects/extract' && request.method === 'POST') {
+      return handleExtractAspects(env, corsHeaders);
     }
     
     if (url.pathname === '/api/analyze-features' && request.method === 'GET') {
       return handleFeatureAnalysis(env, corsHeaders);
     }
     
+    if (url.pathname === '/api/feature-analysis/runs' && request.method === 'POST') {
+      return handleStartFeatureAnalysis(url, env, corsHeaders);
+    }
+    
+    if (url.pathname === '/api/feature-analysis/runs' && request.method === 'GET') {
+      return handleGetFeatureAnalysisRuns(url, env, corsHeaders);
+    }
+    
+    const featureRunMatch = url.pathname.match(/^\/api\/feature-analysis\/runs\/(\d+)(?:\/(advance|mentions))?$/);
+    if (featureRunMatch && !featureRunMatch[2] && request.method === 'GET') {
+      return handleGetFeatureAnalysisRun(Number(featureRunMatch[1]), env, corsHeaders);
+    }
+    if (featureRunMatch && featureRunMatch[2] === 'mentions' && request.method === 'GET') {
+      return handleGetFeatureMentions(Number(featureRunMatch[1]), url, env, corsHeaders);
+    }
+    if (featureRunMatch && featureRunMatch[2] === 'advance' && request.method === 'POST') {
+      return handleAdvanceFeatureAnalysis(Number(featureRunMatch[1]), env, corsHeaders);
+    }
+    
     if (url.pathname === '/api/similar-feedback' && request.method === 'GET') {
       return handleSimilarFeedback(url, env, corsHeaders);
     }
@@ -46,15 +197,121 @@ export default {
 
     return new Response('Not Found', { status: 404, headers: corsHeaders });
   },
+
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(runScheduledJobs(controller.cron, env));
+  },
+
+  async email(message, env, ctx) {
+    await handleInboundEmail(message, env);
+  },
+
+  async queue(batch, env, ctx) {
+    await processFeedbackBatch(batch, env);
+  },
+};
+
+/**
+ * Jobs to run for each cron trigger configured in wrangler.jsonc
+ */
+const SCHEDULED_JOBS = {
+  '*/10 * * * *': [pollSources, advanceReanalysisRuns, advanceFeatureAnalysisRuns],
+  '*/30 * * * *': [refreshRecentStats, retryFailedSentiment, extractPendingAspects, categorizePendingFeedback, scheduleFeatureAnalysis],
+  '0 */6 * * *': [rebuildClusters],
 };
 
+/**
+ * Run every job registered for a cron trigger. Jobs are independent, so one
+ * failing doesn't stop the others.
+ */
+async function runScheduledJobs(cron, env) {
+  const jobs = SCHEDULED_JOBS[cron] || [];
+  const results = await Promise.allSettled(jobs.map(job => job(env)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Scheduled job ${jobs[index].name} failed:`, result.reason);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Run every configured source poller (see src/pollers.js). New posts go through
+ * ingestFeedback like any other feedback; the cursor only advances once a poll's
+ * posts are all stored, so a failed run is retried from the same place.
+ */
+async function pollSources(env) {
+  const pollers = POLLERS.map(poller => ({ poller, config: poller.config(env) })).filter(({ config }) => config);
+
+  const results = await Promise.allSettled(pollers.map(({ poller, config }) => runPoller(poller, config, env)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Polling ${pollers[index].poller.source} failed:`, result.reason);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Poll one source from its stored cursor, recording the outcome in poller_cursors
+ */
+async function runPoller(poller, config, env) {
+  const state = await env.DB.prepare(
+    'SELECT cursor FROM poller_cursors WHERE source = ?'
+  ).bind(poller.source).first();
+
+  try {
+    const { items, cursor } = await poller.poll(config, state?.cursor ?? null);
+
+    let created = 0;
+    for (const item of items) {
+      const result = await ingestFeedback(env, {
+        ...item,
+        message: item.message.slice(0, MAX_MESSAGE_LENGTH),
+        timestamp: item.timestamp ? toSqlTimestamp(item.timestamp) : null
+      });
+      if (result.created) created++;
+    }
+
+    await env.DB.prepare(
+      `INSERT INTO poller_cursors (source, cursor, last_polled_at, last_error, updated_at)
+       VALUES (?, ?, CURRENT_TIMESTAMP, NULL, CURRENT_TIMESTAMP)
+       ON CONFLICT (source) DO UPDATE SET
+         cursor = excluded.cursor, last_polled_at = excluded.last_polled_at, last_error = NULL, updated_at = excluded.updated_at`
+    ).bind(poller.source, cursor ?? null).run();
+
+    return { source: poller.source, fetched: items.length, created };
+  } catch (error) {
+    await env.DB.prepare(
+      `INSERT INTO poller_cursors (source, last_error, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (source) DO UPDATE SET last_error = excluded.last_error, updated_at = excluded.updated_at`
+    ).bind(poller.source, error.message).run();
+    throw error;
+  }
+}
+
 /**
  * POST /api/feedback - Create new feedback entry
+ *
+ * Send `external_id` (unique per source) or an Idempotency-Key header to make
+ * retries safe: re-posting the same item returns the original id and sentiment.
+ * Idempotency keys are stored with an "idem:" prefix so they can't collide with
+ * upstream ids.
+ *
+ * With the FEEDBACK_QUEUE binding, the raw row is stored and the response is 202;
+ * sentiment, embedding and urgency are filled in by the queue consumer. Without
+ * it, the whole pipeline runs before responding.
  */
 async function handlePostFeedback(request, env, corsHeaders) {
   try {
     const body = await request.json();
     const { source, message, author, category } = body;
+    const idempotencyKey = request.headers.get('Idempotency-Key');
+    const externalId = body.external_id ?? (idempotencyKey ? `${IDEMPOTENCY_KEY_PREFIX}${idempotencyKey}` : null);
 
     if (!source || !message) {
       return new Response(
@@ -63,46 +320,34 @@ async function handlePostFeedback(request, env, corsHeaders) {
       );
     }
 
-    // Analyze sentiment using Workers AI
-    const sentiment = await analyzeSentiment(message, env);
-
-    // Store in D1
-    const result = await env.DB.prepare(
-      `INSERT INTO feedback (source, message, sentiment, category, author) 
-       VALUES (?, ?, ?, ?, ?)`
-    )
-      .bind(source, message, sentiment, category || null, author || null)
-      .run();
-
-    const feedbackId = result.meta.last_row_id;
+    if (env.FEEDBACK_QUEUE) {
+      const result = await enqueueFeedback(env, { source, message, author, category, externalId });
 
-    // Generate embedding and store in Vectorize (async, don't wait)
-    try {
-      const embedding = await generateEmbedding(message, env);
-      await env.VECTORIZE.insert([
-        {
-          id: feedbackId.toString(),
-          values: embedding,
-          metadata: {
-            source,
-            sentiment,
-            timestamp: new Date().toISOString()
-          }
-        }
-      ]);
-    } catch (error) {
-      console.error('Error storing embedding:', error);
-      // Don't fail the request if vectorize fails
+      return new Response(
+        JSON.stringify({
+          success: true,
+          id: result.id,
+          sentiment: result.sentiment,
+          processingStatus: result.processingStatus,
+          duplicate: !result.created,
+          duplicateOf: result.duplicateOf ?? null
+        }),
+        { status: result.created ? 202 : 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
     }
 
+    const result = await ingestFeedback(env, { source, message, author, category, externalId });
+
     return new Response(
       JSON.stringify({ 
         success: true, 
-        id: feedbackId,
-        sentiment 
+        id: result.id,
+        sentiment: result.sentiment,
+        duplicate: !result.created,
+        duplicateOf: result.duplicateOf ?? null
       }),
       { 
-        status: 201, 
+        status: result.created ? 201 : 200, 
         headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
       }
     );
@@ -115,341 +360,3995 @@ async function handlePostFeedback(request, env, corsHeaders) {
   }
 }
 
+const IDEMPOTENCY_KEY_PREFIX = 'idem:';
+
 /**
- * GET /api/feedback - Retrieve all feedback
+ * POST /api/ingest/github - GitHub webhook for issues, issue comments and discussions
+ *
+ * Configure the webhook with content type application/json and the secret in
+ * GITHUB_WEBHOOK_SECRET. Redeliveries are deduplicated by the GitHub object id.
  */
-async function handleGetFeedback(env, corsHeaders) {
+async function handleGithubWebhook(request, env, corsHeaders) {
   try {
-    const { results } = await env.DB.prepare(
-      `SELECT * FROM feedback ORDER BY timestamp DESC`
-    ).all();
+    if (!env.GITHUB_WEBHOOK_SECRET) {
+      return new Response(
+        JSON.stringify({ error: 'GitHub webhook secret is not configured' }),
+        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
 
-    // Get statistics
-    const stats = await getStats(env);
+    // Verify against the exact bytes GitHub signed
+    const body = await request.text();
+    const valid = await verifyGithubSignature(env.GITHUB_WEBHOOK_SECRET, body, request.headers.get('X-Hub-Signature-256'));
+    if (!valid) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid signature' }),
+        { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const event = request.headers.get('X-GitHub-Event');
+    if (event === 'ping') {
+      return new Response(
+        JSON.stringify({ success: true, ping: true }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const mapped = githubEventToFeedback(event, JSON.parse(body));
+    if (mapped.ignored) {
+      return new Response(
+        JSON.stringify({ success: true, ignored: mapped.ignored }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const result = await ingestFeedback(env, mapped.feedback);
 
     return new Response(
-      JSON.stringify({ feedback: results, stats }),
-      { 
-        status: 200, 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
-      }
+      JSON.stringify({
+        success: true,
+        id: result.id,
+        sentiment: result.sentiment,
+        duplicate: !result.created,
+        duplicateOf: result.duplicateOf ?? null
+      }),
+      { status: result.created ? 201 : 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   } catch (error) {
-    console.error('Error getting feedback:', error);
+    console.error('Error handling GitHub webhook:', error);
     return new Response(
-      JSON.stringify({ error: 'Failed to retrieve feedback', details: error.message }),
+      JSON.stringify({ error: 'Failed to ingest GitHub event', details: error.message }),
       { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   }
 }
 
 /**
- * Analyze sentiment using Workers AI
+ * POST /api/ingest/helpdesk - Support-desk ticket webhooks (Zendesk- or Freshdesk-style)
+ *
+ * Authenticated with "Authorization: Bearer <HELPDESK_WEBHOOK_TOKEN>". A ticket
+ * becomes one feedback row keyed by its ticket id. When a later delivery carries
+ * public requester comments the row hasn't seen, they're appended to the message
+ * and the sentiment and embedding are recomputed; priority, status and tags are
+ * refreshed on every delivery.
  */
-async function analyzeSentiment(message, env) {
+async function handleHelpdeskWebhook(request, env, corsHeaders) {
   try {
-    const response = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a sentiment analyzer. Analyze the sentiment of the following text and respond with ONLY one word: "positive", "negative", or "neutral". No explanation needed.'
-        },
-        {
-          role: 'user',
-          content: message
-        }
-      ]
-    });
+    if (!env.HELPDESK_WEBHOOK_TOKEN) {
+      return new Response(
+        JSON.stringify({ error: 'Helpdesk webhook token is not configured' }),
+        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
 
-    // Extract sentiment from response
-    const sentiment = response.response?.toLowerCase().trim() || 'neutral';
-    
-    // Normalize to one of our three categories
-    if (sentiment.includes('positive')) return 'positive';
-    if (sentiment.includes('negative')) return 'negative';
-    return 'neutral';
+    const authorized = await verifyHelpdeskToken(env.HELPDESK_WEBHOOK_TOKEN, request.headers.get('Authorization'));
+    if (!authorized) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid token' }),
+        { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    let payload;
+    try {
+      payload = await request.json();
+    } catch {
+      return new Response(
+        JSON.stringify({ error: 'Body must be JSON' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const parsed = parseHelpdeskWebhook(payload);
+    if (parsed.error) {
+      return new Response(
+        JSON.stringify({ error: parsed.error }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+    if (parsed.ignored) {
+      return new Response(
+        JSON.stringify({ success: true, ignored: parsed.ignored }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const feedback = ticketToFeedback(parsed.ticket);
+    const existing = await env.DB.prepare(
+      'SELECT * FROM feedback WHERE source = ? AND external_id = ?'
+    ).bind(feedback.source, feedback.externalId).first();
+
+    // Created and updated events are handled alike, so out-of-order deliveries still converge
+    if (!existing) {
+      const result = await ingestFeedback(env, { ...feedback, message: feedback.message.slice(0, MAX_MESSAGE_LENGTH) });
+      return new Response(
+        JSON.stringify({ success: true, id: result.id, sentiment: result.sentiment, created: result.created, newComments: 0 }),
+        { status: result.created ? 201 : 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const updated = await updateTicketFeedback(existing, parsed.ticket, env);
+
+    return new Response(
+      JSON.stringify({ success: true, id: updated.feedback.id, sentiment: updated.feedback.sentiment, created: false, newComments: updated.newComments }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
   } catch (error) {
-    console.error('Error analyzing sentiment:', error);
-    return 'neutral'; // Default to neutral on error
+    console.error('Error handling helpdesk webhook:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to ingest helpdesk ticket', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
   }
 }
 
 /**
- * Generate embedding vector using Workers AI
- * Uses BGE Base model which outputs 768-dimensional vectors
+ * Fold a ticket update into its feedback row: append unseen comments (re-analyzing
+ * sentiment and re-embedding when the text changes) and refresh the ticket metadata
  */
-async function generateEmbedding(text, env) {
-  try {
-    const response = await env.AI.run('@cf/baai/bge-base-en-v1.5', {
-      text: [text]
-    });
-    
-    // The model returns { data: [[...768 numbers]] }
-    return response.data[0];
-  } catch (error) {
-    console.error('Error generating embedding:', error);
-    throw error;
+async function updateTicketFeedback(existing, ticket, env) {
+  const previous = parseMetadata(existing.metadata);
+  const seen = new Set(previous.commentKeys || []);
+  const fresh = ticket.comments.filter(comment => !seen.has(comment.key));
+
+  const message = fresh.length
+    ? joinTicketText([existing.message, ...fresh.map(comment => comment.body)]).slice(0, MAX_MESSAGE_LENGTH)
+    : existing.message;
+  const metadata = {
+    ...previous,
+    ...ticketMetadata(ticket, [...seen, ...fresh.map(comment => comment.key)])
+  };
+
+  // New text means the stored aspects are incomplete; the aspect job picks the row up again
+  let feedback = await env.DB.prepare(
+    'UPDATE feedback SET message = ?, metadata = ?, aspects_analyzed_at = ? WHERE id = ? RETURNING *'
+  ).bind(message, JSON.stringify(metadata), fresh.length ? null : existing.aspects_analyzed_at, existing.id).first();
+
+  if (fresh.length) {
+    feedback = await storeSentimentAnalysis(env, existing.id, await analyzeSentiment(message, env));
+    try {
+      await syncFeedbackVector(feedback, env, { reembed: true });
+    } catch (error) {
+      console.error('Error updating embedding:', error);
+    }
   }
+
+  return { feedback, newComments: fresh.length };
 }
 
 /**
- * Get aggregated statistics
+ * Parse a stored metadata column, treating missing or malformed JSON as empty
  */
-async function getStats(env) {
+function parseMetadata(metadata) {
   try {
-    // Count by source
-    const { results: sourceStats } = await env.DB.prepare(
-      `SELECT source, COUNT(*) as count FROM feedback GROUP BY source`
-    ).all();
-
-    // Count by sentiment
-    const { results: sentimentStats } = await env.DB.prepare(
-      `SELECT sentiment, COUNT(*) as count FROM feedback GROUP BY sentiment`
-    ).all();
-
-    // Total count
-    const { results: totalResult } = await env.DB.prepare(
-      `SELECT COUNT(*) as total FROM feedback`
-    ).all();
-
-    return {
-      bySource: sourceStats,
-      bySentiment: sentimentStats,
-      total: totalResult[0]?.total || 0
-    };
-  } catch (error) {
-    console.error('Error getting stats:', error);
-    return { bySource: [], bySentiment: [], total: 0 };
+    const parsed = JSON.parse(metadata || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
   }
 }
 
 /**
- * GET /api/similar-feedback?id=X - Find similar feedback using Vectorize
+ * POST /api/discord/interactions - Discord interactions endpoint
+ *
+ * Handles PING, the /feedback slash command and the "Send to feedback" message
+ * command. Commands are acknowledged right away with an ephemeral deferred
+ * reply; once the feedback is stored, the reply is edited to show the sentiment.
  */
-async function handleSimilarFeedback(url, env, corsHeaders) {
+async function handleDiscordInteraction(request, env, ctx, corsHeaders) {
   try {
-    const feedbackId = url.searchParams.get('id');
-    
-    if (!feedbackId) {
+    if (!env.DISCORD_PUBLIC_KEY) {
       return new Response(
-        JSON.stringify({ error: 'id parameter is required' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        JSON.stringify({ error: 'Discord public key is not configured' }),
+        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
     }
 
-    // Get the original feedback
-    const { results } = await env.DB.prepare(
-      'SELECT * FROM feedback WHERE id = ?'
-    ).bind(feedbackId).all();
-
-    if (results.length === 0) {
+    const body = await request.text();
+    const valid = await verifyDiscordSignature(
+      env.DISCORD_PUBLIC_KEY,
+      request.headers.get('X-Signature-Ed25519'),
+      request.headers.get('X-Signature-Timestamp'),
+      body
+    );
+    if (!valid) {
       return new Response(
-        JSON.stringify({ error: 'Feedback not found' }),
-        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        JSON.stringify({ error: 'Invalid request signature' }),
+        { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
     }
 
-    const originalFeedback = results[0];
-
-    // Generate embedding for the feedback message
-    const embedding = await generateEmbedding(originalFeedback.message, env);
-
-    // Query Vectorize for similar vectors
-    const similarVectors = await env.VECTORIZE.query(embedding, {
-      topK: 6, // Get 6 results (including itself)
-      returnValues: false,
-      returnMetadata: true
-    });
+    const interaction = JSON.parse(body);
+    const reply = (data) => new Response(
+      JSON.stringify(data),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
 
-    // Filter out the original feedback and get the IDs
-    const similarIds = similarVectors.matches
-      .filter(match => match.id !== feedbackId)
-      .slice(0, 5) // Get top 5 similar
-      .map(match => match.id);
+    if (interaction.type === InteractionType.PING) {
+      return reply({ type: InteractionResponseType.PONG });
+    }
 
-    if (similarIds.length === 0) {
+    if (interaction.type !== InteractionType.APPLICATION_COMMAND) {
       return new Response(
-        JSON.stringify({ 
+        JSON.stringify({ error: `Unsupported interaction type: ${interaction.type}` }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const mapped = discordCommandToFeedback(interaction);
+    if (mapped.error) {
+      return reply({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: mapped.error, flags: EPHEMERAL }
+      });
+    }
+
+    // Discord wants an answer within 3 seconds; sentiment analysis can take longer
+    ctx.waitUntil(completeDiscordFeedback(interaction, mapped.feedback, env));
+
+    return reply({
+      type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { flags: EPHEMERAL }
+    });
+  } catch (error) {
+    console.error('Error handling Discord interaction:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to handle interaction', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+const DISCORD_API_BASE = 'https://discord.com/api/v10';
+
+const SENTIMENT_EMOJI = {
+  positive: '😊',
+  negative: '😡',
+  neutral: '😐'
+};
+
+/**
+ * Store the feedback for a deferred Discord command, then edit the deferred reply
+ */
+async function completeDiscordFeedback(interaction, feedback, env) {
+  let content;
+  try {
+    const result = await ingestFeedback(env, feedback);
+    const sentiment = `${SENTIMENT_EMOJI[result.sentiment] || ''} ${result.sentiment || 'unknown'}`.trim();
+    content = result.created
+      ? `Thanks! Your feedback was recorded (#${result.id}). Detected sentiment: ${sentiment}`
+      : `This was already sent to feedback (#${result.id}). Detected sentiment: ${sentiment}`;
+  } catch (error) {
+    console.error('Error storing Discord feedback:', error);
+    content = 'Sorry, something went wrong while saving your feedback. Please try again.';
+  }
+
+  const base = env.DISCORD_API_BASE || DISCORD_API_BASE;
+  try {
+    const response = await fetch(
+      `${base}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`,
+      {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content })
+      }
+    );
+
+    if (!response.ok) {
+      console.error(`Error editing Discord reply: ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Error editing Discord reply:', error);
+  }
+}
+
+/**
+ * Email Routing handler - turns mail sent to the feedback address into feedback
+ *
+ * The text body is stripped of quoted replies and signatures, the sender becomes
+ * the author, and the subject and Message-ID go into metadata. Auto-replies and
+ * bounces are quarantined rather than rejected (rejecting a bounce would only
+ * produce another one). Errors are rethrown so the sending server retries;
+ * retries are deduplicated by Message-ID.
+ */
+async function handleInboundEmail(message, env) {
+  if (message.rawSize > MAX_EMAIL_BYTES) {
+    message.setReject('Message too large');
+    return;
+  }
+
+  try {
+    const raw = new Uint8Array(await new Response(message.raw).arrayBuffer());
+    const { headers, text } = parseEmail(raw);
+    const subject = headers['subject'] || null;
+    const messageId = headers['message-id']?.replace(/^<|>$/g, '') || null;
+
+    const automated = classifyAutomatedEmail(headers, message.from);
+    if (automated) {
+      await env.DB.prepare(
+        `INSERT INTO email_quarantine (kind, reason, sender, recipient, subject, message_id, body)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      ).bind(
+        automated.kind,
+        automated.reason,
+        message.from,
+        message.to,
+        subject,
+        messageId,
+        text.slice(0, MAX_MESSAGE_LENGTH)
+      ).run();
+      return;
+    }
+
+    const body = stripReplyAndSignature(text);
+    if (!body) {
+      message.setReject('No feedback text found in message');
+      return;
+    }
+
+    await ingestFeedback(env, {
+      source: 'Email',
+      message: body.slice(0, MAX_MESSAGE_LENGTH),
+      author: emailAddress(headers['from']) || message.from,
+      externalId: messageId,
+      metadata: {
+        subject,
+        messageId,
+        inReplyTo: headers['in-reply-to']?.replace(/^<|>$/g, '') || null,
+        to: message.to
+      }
+    });
+  } catch (error) {
+    console.error('Error ingesting email:', error);
+    throw error;
+  }
+}
+
+// Email Routing accepts up to 25 MiB; feedback never needs that much
+const MAX_EMAIL_BYTES = 1024 * 1024;
+
+/**
+ * GET /api/email/quarantine - Auto-replies and bounces held back from ingestion, newest first
+ */
+async function handleGetEmailQuarantine(url, env, corsHeaders) {
+  try {
+    const limit = parseLimit(url.searchParams.get('limit'), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const { results } = await env.DB.prepare(
+      'SELECT * FROM email_quarantine ORDER BY received_at DESC, id DESC LIMIT ?'
+    ).bind(limit).all();
+
+    return new Response(
+      JSON.stringify({ quarantined: results }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error fetching email quarantine:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to fetch email quarantine', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Shared ingestion path for every source: sentiment analysis, embedding,
+ * near-duplicate detection and D1 insert. When (source, externalId) was stored
+ * before, nothing is analyzed or inserted and the original row is returned with
+ * created: false. `duplicateOf` is { id, score } when the message closely
+ * matches existing feedback, linking it to that item's canonical row.
+ */
+async function ingestFeedback(env, feedback) {
+  const externalId = feedback.externalId != null && feedback.externalId !== '' ? String(feedback.externalId) : null;
+
+  if (externalId) {
+    const existing = await findFeedbackByExternalId(env, feedback.source, externalId);
+    if (existing) {
+      return storedIngestResult(existing);
+    }
+  }
+
+  // Analyze sentiment using Workers AI
+  const analysis = await analyzeSentiment(feedback.message, env);
+  const sentiment = analysis.sentiment;
+
+  // Embed before inserting so a near-duplicate can be linked in the same write
+  let embedding = null;
+  let duplicateOf = null;
+  try {
+    embedding = await generateEmbedding(feedback.message, env);
+    duplicateOf = await findNearDuplicate(embedding, env);
+  } catch (error) {
+    console.error('Error generating embedding:', error);
+    // Don't fail the request if the embedding or duplicate lookup fails
+  }
+
+  // Store in D1
+  const inserted = await prepareFeedbackInsert(env, { ...feedback, externalId, sentiment, analysis, duplicateOf }).first();
+
+  if (!inserted) {
+    // A concurrent request stored the same external id first
+    const existing = await findFeedbackByExternalId(env, feedback.source, externalId);
+    return storedIngestResult(existing);
+  }
+
+  const feedbackId = inserted.id;
+
+  try {
+    await categorizeFeedback(env, { id: feedbackId, message: feedback.message }, embedding);
+  } catch (error) {
+    console.error('Error categorizing feedback:', error);
+    // Left uncategorized; the scheduled backfill picks it up
+  }
+
+  // Store the embedding in Vectorize
+  try {
+    if (!embedding) throw new Error('No embedding generated');
+    await env.VECTORIZE.insert([
+      {
+        id: feedbackId.toString(),
+        values: embedding,
+        metadata: {
+          source: feedback.source,
+          sentiment,
+          timestamp: new Date().toISOString()
+        }
+      }
+    ]);
+  } catch (error) {
+    console.error('Error storing embedding:', error);
+    // Don't fail the request if vectorize fails
+  }
+
+  return { id: feedbackId, sentiment, created: true, duplicateOf };
+}
+
+/**
+ * Store feedback unanalyzed and queue it for the pipeline in processFeedbackBatch.
+ * Same external-id handling as ingestFeedback. If the queue rejects the message,
+ * the row is dead-lettered straight away so it can be replayed.
+ */
+async function enqueueFeedback(env, feedback) {
+  const externalId = feedback.externalId != null && feedback.externalId !== '' ? String(feedback.externalId) : null;
+
+  if (externalId) {
+    const existing = await findFeedbackByExternalId(env, feedback.source, externalId);
+    if (existing) {
+      return storedIngestResult(existing);
+    }
+  }
+
+  const inserted = await prepareFeedbackInsert(env, { ...feedback, externalId, processingStatus: 'queued' }).first();
+
+  if (!inserted) {
+    // A concurrent request stored the same external id first
+    const existing = await findFeedbackByExternalId(env, feedback.source, externalId);
+    return storedIngestResult(existing);
+  }
+
+  const body = { feedbackId: inserted.id };
+  let processingStatus = 'queued';
+  try {
+    await env.FEEDBACK_QUEUE.send(body);
+  } catch (error) {
+    console.error('Error queueing feedback:', error);
+    await recordDeadLetter(env, body, error, 0);
+    processingStatus = 'failed';
+  }
+
+  return { id: inserted.id, sentiment: null, processingStatus, created: true, duplicateOf: null };
+}
+
+/**
+ * Queue consumer for FEEDBACK_QUEUE. Each message is { feedbackId } and runs
+ * through processQueuedFeedback; failures are retried with backoff, and after
+ * QUEUE_MAX_ATTEMPTS the message is moved to the dead_letters table.
+ */
+async function processFeedbackBatch(batch, env) {
+  // One message at a time keeps the AI calls within rate limits
+  for (const message of batch.messages) {
+    const feedbackId = message.body?.feedbackId;
+
+    try {
+      await processQueuedFeedback(feedbackId, env);
+      message.ack();
+    } catch (error) {
+      console.error(`Error processing feedback ${feedbackId} (attempt ${message.attempts}):`, error);
+
+      if (message.attempts >= QUEUE_MAX_ATTEMPTS) {
+        await recordDeadLetter(env, message.body, error, message.attempts, batch.queue);
+        message.ack();
+      } else {
+        await env.DB.prepare(
+          "UPDATE feedback SET processing_status = 'retrying', processing_error = ? WHERE id = ?"
+        ).bind(error.message, feedbackId).run();
+        message.retry({ delaySeconds: QUEUE_RETRY_BASE_SECONDS * 2 ** (message.attempts - 1) });
+      }
+    }
+  }
+}
+
+// Attempts before a message is dead-lettered; keep below max_retries in wrangler.jsonc
+const QUEUE_MAX_ATTEMPTS = 5;
+const QUEUE_RETRY_BASE_SECONDS = 10;
+
+/**
+ * Sentiment, embedding (with near-duplicate linking), categories and urgency for one queued row.
+ * Each step's result is saved as it completes, so a retry skips finished work.
+ * Unlike ingestFeedback, embedding failures throw so the message is retried.
+ */
+async function processQueuedFeedback(feedbackId, env) {
+  const feedback = await env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(feedbackId).first();
+
+  // Deleted while it waited in the queue
+  if (!feedback) return;
+
+  let sentiment = feedback.sentiment;
+  if (!sentiment) {
+    const analysis = await analyzeSentiment(feedback.message, env);
+    await storeSentimentAnalysis(env, feedbackId, analysis);
+    if (analysis.status === 'failed') throw new Error('Sentiment analysis failed');
+
+    sentiment = analysis.sentiment;
+  }
+
+  const embedding = await generateEmbedding(feedback.message, env);
+  const duplicateOf = feedback.duplicate_of
+    ? { id: feedback.duplicate_of, score: feedback.duplicate_score }
+    : await findNearDuplicate(embedding, env, feedbackId);
+
+  await env.VECTORIZE.upsert([
+    {
+      id: feedbackId.toString(),
+      values: embedding,
+      metadata: {
+        source: feedback.source,
+        sentiment,
+        timestamp: new Date().toISOString()
+      }
+    }
+  ]);
+
+  if (!feedback.categorized_at) {
+    await categorizeFeedback(env, feedback, embedding);
+  }
+
+  if (!feedback.urgency) {
+    const urgency = await analyzeUrgency(feedback.message, sentiment, env);
+    await env.DB.prepare(
+      'UPDATE feedback SET urgency = ?, urgency_confidence = ?, urgency_reason = ? WHERE id = ?'
+    ).bind(urgency.level, urgency.confidence, urgency.reason, feedbackId).run();
+  }
+
+  await env.DB.prepare(
+    `UPDATE feedback SET duplicate_of = ?, duplicate_score = ?, processing_status = 'processed', processing_error = NULL
+     WHERE id = ?`
+  ).bind(duplicateOf?.id ?? null, duplicateOf?.score ?? null, feedbackId).run();
+}
+
+/**
+ * Keep a message that couldn't be processed and mark its feedback row failed
+ */
+async function recordDeadLetter(env, body, error, attempts, queue = FEEDBACK_QUEUE_NAME) {
+  await env.DB.batch([
+    env.DB.prepare(
+      'INSERT INTO dead_letters (queue, feedback_id, body, error, attempts) VALUES (?, ?, ?, ?, ?)'
+    ).bind(queue, body?.feedbackId ?? null, JSON.stringify(body), error.message, attempts),
+    env.DB.prepare(
+      "UPDATE feedback SET processing_status = 'failed', processing_error = ? WHERE id = ?"
+    ).bind(error.message, body?.feedbackId ?? null)
+  ]);
+}
+
+const FEEDBACK_QUEUE_NAME = 'feedback-ingest';
+
+/**
+ * GET /api/dead-letters - Messages the ingestion queue gave up on, newest first
+ *
+ * Replayed messages are hidden unless ?all=true.
+ */
+async function handleGetDeadLetters(url, env, corsHeaders) {
+  try {
+    const limit = parseLimit(url.searchParams.get('limit'), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const includeReplayed = url.searchParams.get('all') === 'true';
+
+    const { results } = await env.DB.prepare(
+      `SELECT * FROM dead_letters ${includeReplayed ? '' : 'WHERE replayed_at IS NULL'}
+       ORDER BY created_at DESC, id DESC LIMIT ?`
+    ).bind(limit).all();
+
+    const deadLetters = results.map(row => ({ ...row, body: JSON.parse(row.body) }));
+
+    return new Response(
+      JSON.stringify({ deadLetters }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to fetch dead letters', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * POST /api/dead-letters/:id/replay - Put a dead-lettered message back on the queue
+ */
+async function handleReplayDeadLetter(deadLetterId, env, corsHeaders) {
+  try {
+    if (!env.FEEDBACK_QUEUE) {
+      return new Response(
+        JSON.stringify({ error: 'Feedback queue is not configured' }),
+        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const deadLetter = await env.DB.prepare('SELECT * FROM dead_letters WHERE id = ?').bind(deadLetterId).first();
+
+    if (!deadLetter) {
+      return new Response(
+        JSON.stringify({ error: 'Dead letter not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    await env.FEEDBACK_QUEUE.send(JSON.parse(deadLetter.body));
+
+    await env.DB.batch([
+      env.DB.prepare('UPDATE dead_letters SET replayed_at = CURRENT_TIMESTAMP WHERE id = ?').bind(deadLetterId),
+      env.DB.prepare(
+        "UPDATE feedback SET processing_status = 'queued', processing_error = NULL WHERE id = ?"
+      ).bind(deadLetter.feedback_id)
+    ]);
+
+    return new Response(
+      JSON.stringify({ success: true, id: deadLetterId, feedbackId: deadLetter.feedback_id }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error replaying dead letter:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to replay dead letter', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+// Similarity at or above which new feedback is linked as a duplicate (override with DUPLICATE_THRESHOLD)
+const DEFAULT_DUPLICATE_THRESHOLD = 0.92;
+
+/**
+ * Find the canonical feedback item that an embedding nearly duplicates.
+ * Duplicates always point at the canonical row, never at another duplicate.
+ * `excludeId` skips the row's own vector. Returns { id, score } or null.
+ */
+async function findNearDuplicate(embedding, env, excludeId = null) {
+  const threshold = parseFloat(env.DUPLICATE_THRESHOLD) || DEFAULT_DUPLICATE_THRESHOLD;
+  const { matches } = await env.VECTORIZE.query(embedding, {
+    topK: excludeId == null ? 1 : 2,
+    returnValues: false,
+    returnMetadata: false
+  });
+
+  // A retried row may already have its own vector stored
+  const best = matches.find(match => match.id !== String(excludeId));
+  if (!best || best.score < threshold) return null;
+
+  const match = await env.DB.prepare(
+    'SELECT id, duplicate_of FROM feedback WHERE id = ?'
+  ).bind(Number(best.id)).first();
+
+  // The vector may outlive a deleted row
+  if (!match) return null;
+
+  return { id: match.duplicate_of ?? match.id, score: best.score };
+}
+
+/**
+ * Shape a previously stored row like ingestFeedback's result
+ */
+function storedIngestResult(row) {
+  return {
+    id: row.id,
+    sentiment: row.sentiment,
+    processingStatus: row.processing_status,
+    created: false,
+    duplicateOf: row.duplicate_of ? { id: row.duplicate_of, score: row.duplicate_score } : null
+  };
+}
+
+/**
+ * Look up feedback previously stored with this source and external id
+ */
+async function findFeedbackByExternalId(env, source, externalId) {
+  return env.DB.prepare(
+    'SELECT id, sentiment, duplicate_of, duplicate_score, processing_status FROM feedback WHERE source = ? AND external_id = ?'
+  ).bind(source, externalId).first();
+}
+
+/**
+ * POST /api/feedback/bulk - Import historical feedback from NDJSON or CSV
+ *
+ * The format comes from ?format=ndjson|csv or the Content-Type header. CSV needs a
+ * header row; recognized columns are source, message, author, category, timestamp,
+ * external_id and metadata (a JSON object). Every line is validated on its own, so
+ * bad lines are reported back without blocking the rest of the import. Lines whose
+ * (source, external_id) is already stored are reported as duplicates.
+ *
+ * With the FEEDBACK_QUEUE binding, rows are stored raw and queued for analysis
+ * (202, up to MAX_BULK_RECORDS lines). Without it, sentiment and embeddings run
+ * before responding, so a request is limited to MAX_INLINE_BULK_RECORDS lines.
+ */
+async function handleBulkImport(request, url, env, corsHeaders) {
+  try {
+    const contentType = request.headers.get('Content-Type') || '';
+    const format = url.searchParams.get('format') || (contentType.includes('csv') ? 'csv' : 'ndjson');
+
+    if (format !== 'csv' && format !== 'ndjson') {
+      return new Response(
+        JSON.stringify({ error: 'format must be csv or ndjson' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const text = await request.text();
+    const parsed = format === 'csv' ? parseCsvRecords(text) : parseNdjsonRecords(text);
+
+    if (parsed.error) {
+      return new Response(
+        JSON.stringify({ error: parsed.error }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const queued = Boolean(env.FEEDBACK_QUEUE);
+    const maxRecords = queued ? MAX_BULK_RECORDS : MAX_INLINE_BULK_RECORDS;
+    if (parsed.records.length > maxRecords) {
+      return new Response(
+        JSON.stringify({ error: `Too many records: ${parsed.records.length} (max ${maxRecords} per request)` }),
+        { status: 413, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Validate every line up front; only valid lines reach the AI and D1
+    const report = [];
+    const accepted = [];
+    for (const record of parsed.records) {
+      const validation = record.error
+        ? { errors: [record.error] }
+        : validateFeedbackRecord(record.value);
+
+      if (validation.errors) {
+        report.push({ line: record.line, status: 'rejected', errors: validation.errors });
+      } else {
+        const entry = { line: record.line, status: 'inserted', feedback: validation.feedback };
+        report.push(entry);
+        accepted.push(entry);
+      }
+    }
+
+    // Skip lines that were imported before, so re-running an import is safe
+    const withExternalIds = accepted.filter(entry => entry.feedback.externalId);
+    for (let i = 0; i < withExternalIds.length; i += BULK_INSERT_BATCH_SIZE) {
+      const batch = withExternalIds.slice(i, i + BULK_INSERT_BATCH_SIZE);
+      const lookups = await env.DB.batch(batch.map(entry =>
+        env.DB.prepare('SELECT id, sentiment FROM feedback WHERE source = ? AND external_id = ?')
+          .bind(entry.feedback.source, entry.feedback.externalId)
+      ));
+      batch.forEach((entry, index) => {
+        const existing = lookups[index].results[0];
+        if (existing) markDuplicate(entry, existing);
+      });
+    }
+
+    const pending = accepted.filter(entry => entry.status === 'inserted');
+
+    // Sentiment analysis, a few AI calls at a time; queued rows get it from the consumer
+    if (queued) {
+      pending.forEach(entry => { entry.feedback.processingStatus = 'queued'; });
+    } else {
+      await mapWithConcurrency(pending, BULK_AI_CONCURRENCY, async (entry) => {
+        const analysis = await analyzeSentiment(entry.feedback.message, env);
+        entry.feedback.sentiment = analysis.sentiment;
+        entry.feedback.analysis = analysis;
+      });
+    }
+
+    // Insert in D1 batches; each batch is one round trip and one transaction
+    for (let i = 0; i < pending.length; i += BULK_INSERT_BATCH_SIZE) {
+      const batch = pending.slice(i, i + BULK_INSERT_BATCH_SIZE);
+      try {
+        const results = await env.DB.batch(batch.map(entry => prepareFeedbackInsert(env, entry.feedback)));
+        for (const [index, entry] of batch.entries()) {
+          const inserted = results[index].results[0];
+          if (inserted) {
+            entry.id = inserted.id;
+          } else {
+            // Same external id appeared earlier in this import
+            markDuplicate(entry, await findFeedbackByExternalId(env, entry.feedback.source, entry.feedback.externalId));
+          }
+        }
+      } catch (error) {
+        console.error('Error inserting bulk batch:', error);
+        batch.forEach(entry => {
+          entry.status = 'failed';
+          entry.errors = [`Database insert failed: ${error.message}`];
+        });
+      }
+    }
+
+    const inserted = pending.filter(entry => entry.status === 'inserted');
+    if (queued) {
+      await enqueueBulkFeedback(env, inserted);
+    } else {
+      await embedBulkFeedback(env, inserted);
+    }
+
+    const results = report.map(({ feedback, ...entry }) => ({
+      ...entry,
+      ...(entry.status === 'inserted'
+        ? (queued ? { processingStatus: feedback.processingStatus } : { sentiment: feedback.sentiment })
+        : {})
+    }));
+    const count = (status) => results.filter(entry => entry.status === status).length;
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        total: results.length,
+        inserted: count('inserted'),
+        duplicates: count('duplicate'),
+        rejected: count('rejected'),
+        failed: count('failed'),
+        results
+      }),
+      { status: queued && inserted.length > 0 ? 202 : 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error in bulk import:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to import feedback', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Queue freshly inserted bulk rows for the consumer, QUEUE_SEND_BATCH_SIZE
+ * messages per call. Rows whose messages couldn't be sent are dead-lettered
+ * so they can be replayed.
+ */
+async function enqueueBulkFeedback(env, entries) {
+  for (let i = 0; i < entries.length; i += QUEUE_SEND_BATCH_SIZE) {
+    const chunk = entries.slice(i, i + QUEUE_SEND_BATCH_SIZE);
+    try {
+      await env.FEEDBACK_QUEUE.sendBatch(chunk.map(entry => ({ body: { feedbackId: entry.id } })));
+    } catch (error) {
+      console.error('Error queueing bulk feedback:', error);
+      for (const entry of chunk) {
+        await recordDeadLetter(env, { feedbackId: entry.id }, error, 0);
+        entry.feedback.processingStatus = 'failed';
+      }
+    }
+  }
+}
+
+/**
+ * Embed freshly inserted bulk rows into Vectorize: one model call per chunk of
+ * messages, a few chunks at a time. Sets `embedded` on each entry.
+ */
+async function embedBulkFeedback(env, inserted) {
+  const chunks = [];
+  for (let i = 0; i < inserted.length; i += BULK_EMBEDDING_BATCH_SIZE) {
+    chunks.push(inserted.slice(i, i + BULK_EMBEDDING_BATCH_SIZE));
+  }
+
+  await mapWithConcurrency(chunks, BULK_AI_CONCURRENCY, async (chunk) => {
+    try {
+      const embeddings = await generateEmbeddings(chunk.map(entry => entry.feedback.message), env);
+      await env.VECTORIZE.insert(chunk.map((entry, index) => ({
+        id: entry.id.toString(),
+        values: embeddings[index],
+        metadata: {
+          source: entry.feedback.source,
+          sentiment: entry.feedback.sentiment,
+          timestamp: new Date().toISOString()
+        }
+      })));
+      chunk.forEach(entry => { entry.embedded = true; });
+    } catch (error) {
+      console.error('Error storing bulk embeddings:', error);
+      // Rows stay in D1; POST /api/backfill-embeddings can fill the gap later
+      chunk.forEach(entry => { entry.embedded = false; });
+    }
+  });
+}
+
+/**
+ * Report a bulk line as already stored under an existing feedback row
+ */
+function markDuplicate(entry, existing) {
+  entry.status = 'duplicate';
+  entry.id = existing.id;
+  entry.sentiment = existing.sentiment;
+}
+
+const MAX_BULK_RECORDS = 5000;
+// Each line costs a sentiment call when there's no queue to hand it to
+const MAX_INLINE_BULK_RECORDS = 200;
+const MAX_MESSAGE_LENGTH = 10000;
+const BULK_INSERT_BATCH_SIZE = 50;
+const BULK_EMBEDDING_BATCH_SIZE = 20;
+const BULK_AI_CONCURRENCY = 5;
+// Queues accept at most 100 messages per sendBatch call
+const QUEUE_SEND_BATCH_SIZE = 100;
+
+/**
+ * Validate one imported record. Returns { feedback } ready to insert, or { errors }.
+ */
+function validateFeedbackRecord(record) {
+  const errors = [];
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { errors: ['record must be an object'] };
+  }
+
+  const text = (value) => (typeof value === 'string' ? value.trim() : value);
+  const source = text(record.source);
+  const message = text(record.message);
+
+  if (!source || typeof source !== 'string') errors.push('source is required');
+  if (!message || typeof message !== 'string') {
+    errors.push('message is required');
+  } else if (message.length > MAX_MESSAGE_LENGTH) {
+    errors.push(`message is longer than ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  for (const field of ['author', 'category']) {
+    if (record[field] != null && typeof record[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  let timestamp = null;
+  if (record.timestamp != null && record.timestamp !== '') {
+    const date = new Date(record.timestamp);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`timestamp is not a valid date: ${record.timestamp}`);
+    } else if (date.getTime() > Date.now()) {
+      errors.push('timestamp is in the future');
+    } else {
+      timestamp = toSqlTimestamp(date);
+    }
+  }
+
+  let metadata = null;
+  if (record.metadata != null && record.metadata !== '') {
+    let value = record.metadata;
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        value = null;
+      }
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      metadata = JSON.stringify(value);
+    } else {
+      errors.push('metadata must be a JSON object');
+    }
+  }
+
+  const externalId = text(record.external_id);
+  if (externalId != null && typeof externalId !== 'string' && typeof externalId !== 'number') {
+    errors.push('external_id must be a string or number');
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    feedback: {
+      source,
+      message,
+      author: text(record.author) || null,
+      category: text(record.category) || null,
+      externalId: externalId === '' || externalId == null ? null : String(externalId),
+      timestamp,
+      metadata
+    }
+  };
+}
+
+/**
+ * Prepare the INSERT for a feedback record (timestamp defaults to now).
+ * `analysis` is analyzeSentiment's result, if sentiment was analyzed.
+ * Returns the new id, or no row when (source, externalId) already exists.
+ */
+function prepareFeedbackInsert(env, feedback) {
+  return env.DB.prepare(
+    `INSERT INTO feedback (source, message, sentiment, sentiment_score, sentiment_confidence, emotions, sentiment_status,
+                           sentiment_model, sentiment_version, analyzed_at, category, author, metadata, external_id,
+                           duplicate_of, duplicate_score, processing_status, timestamp)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+     ON CONFLICT (source, external_id) DO NOTHING
+     RETURNING id`
+  ).bind(
+    feedback.source,
+    feedback.message,
+    feedback.sentiment ?? null,
+    feedback.analysis?.score ?? null,
+    feedback.analysis?.confidence ?? null,
+    feedback.analysis ? JSON.stringify(feedback.analysis.emotions) : null,
+    feedback.analysis?.status ?? null,
+    feedback.analysis?.model ?? null,
+    feedback.analysis?.version ?? null,
+    feedback.analysis?.analyzedAt ?? null,
+    feedback.category || null,
+    feedback.author || null,
+    feedback.metadata == null || typeof feedback.metadata === 'string' ? feedback.metadata ?? null : JSON.stringify(feedback.metadata),
+    feedback.externalId ?? null,
+    feedback.duplicateOf?.id ?? null,
+    feedback.duplicateOf?.score ?? null,
+    feedback.processingStatus || 'processed',
+    feedback.timestamp ?? null
+  );
+}
+
+/**
+ * Parse NDJSON into [{ line, value }] or [{ line, error }], skipping blank lines
+ */
+function parseNdjsonRecords(text) {
+  const records = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) return;
+    try {
+      records.push({ line: index + 1, value: JSON.parse(raw) });
+    } catch {
+      records.push({ line: index + 1, error: 'invalid JSON' });
+    }
+  });
+  return { records };
+}
+
+/**
+ * Parse CSV with a header row into [{ line, value }], where line is the line the
+ * record starts on. Handles quoted fields with commas, quotes and line breaks.
+ */
+function parseCsvRecords(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return { error: 'CSV input is empty' };
+  }
+
+  const header = rows[0].fields.map(name => name.trim().toLowerCase());
+  if (!header.includes('source') || !header.includes('message')) {
+    return { error: 'CSV header must include source and message columns' };
+  }
+
+  const records = rows.slice(1)
+    .filter(row => row.fields.some(field => field.trim() !== ''))
+    .map(row => {
+      if (row.fields.length !== header.length) {
+        return { line: row.line, error: `expected ${header.length} columns, found ${row.fields.length}` };
+      }
+      return { line: row.line, value: Object.fromEntries(header.map((name, index) => [name, row.fields[index]])) };
+    });
+
+  return { records };
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+  }
+
+  return rows;
+}
+
+/**
+ * Run `fn` over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * GET /api/feedback - Retrieve feedback, newest first, one page at a time
+ *
+ * Query parameters:
+ *   source, sentiment, author - exact match filters
+ *   category     - primary category, or any category the classifier assigned
+ *   cluster      - theme cluster id (see GET /api/clusters)
+ *   ids          - comma-separated feedback ids, e.g. a feature's evidence from GET /api/analyze-features
+ *   since, until - date range (since inclusive, until exclusive)
+ *   contains     - case-insensitive substring match on the message
+ *   min_intensity - only feedback with |sentiment_score| >= this (0..1)
+ *   emotion      - only feedback showing this emotion (frustration, delight, confusion, anger)
+ *   sort         - newest (default) or intensity (strongest sentiment first, unscored last)
+ *   limit        - page size (default 50, max 200)
+ *   cursor       - opaque cursor from a previous page's `nextCursor`
+ *   stats=true   - also return aggregated statistics
+ */
+async function handleGetFeedback(url, env, corsHeaders) {
+  try {
+    const params = url.searchParams;
+    const filters = parseFeedbackFilters(params);
+    if (filters.error) {
+      return new Response(
+        JSON.stringify({ error: filters.error }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const sortName = params.get('sort') || 'newest';
+    const sort = FEEDBACK_SORTS[sortName];
+    if (!sort) {
+      return new Response(
+        JSON.stringify({ error: `sort must be one of: ${Object.keys(FEEDBACK_SORTS).join(', ')}` }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const limit = parseLimit(params.get('limit'), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    let cursor = null;
+
+    if (params.get('cursor')) {
+      cursor = decodeCursor(params.get('cursor'), sort);
+      if (!cursor) {
+        return new Response(
+          JSON.stringify({ error: 'Invalid cursor' }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+    }
+
+    const { feedback, nextCursor, hasMore } = await fetchFeedbackPage(env, filters, cursor, limit, sort);
+
+    const body = { feedback, nextCursor, hasMore };
+    if (params.get('stats') === 'true') {
+      body.stats = await getStats(env);
+    }
+
+    return new Response(
+      JSON.stringify(body),
+      { 
+        status: 200, 
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
+      }
+    );
+  } catch (error) {
+    console.error('Error getting feedback:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to retrieve feedback', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Fetch one page of feedback in `sort` order (newest first by default),
+ * after an optional decoded cursor
+ */
+async function fetchFeedbackPage(env, filters, cursor, limit, sort = FEEDBACK_SORTS.newest) {
+  const clauses = [...filters.clauses];
+  const bindings = [...filters.bindings];
+
+  if (cursor) {
+    clauses.push(`(${sort.order} < ? OR (${sort.order} = ? AND id < ?))`);
+    bindings.push(cursor.key, cursor.key, cursor.id);
+  }
+
+  const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+  // Fetch one extra row to know whether another page exists
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM feedback ${where} ORDER BY ${sort.order} DESC, id DESC LIMIT ?`
+  ).bind(...bindings, limit + 1).all();
+
+  const hasMore = results.length > limit;
+  const feedback = hasMore ? results.slice(0, limit) : results;
+  const last = feedback[feedback.length - 1];
+
+  return {
+    feedback,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort.key(last), last.id) : null,
+    lastCursor: last ? { key: sort.key(last), id: last.id } : null
+  };
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// List orders: `order` is the SQL sort key (ties broken by id) and `key` reads it off a row for the cursor
+const FEEDBACK_SORTS = {
+  newest: {
+    order: 'timestamp',
+    key: row => row.timestamp,
+    keyType: 'string'
+  },
+  intensity: {
+    // Matches idx_feedback_intensity in schema.sql
+    order: 'IFNULL(ABS(sentiment_score), -1)',
+    key: row => (row.sentiment_score == null ? -1 : Math.abs(row.sentiment_score)),
+    keyType: 'number'
+  }
+};
+
+/**
+ * Parse the shared feedback filters from query parameters into SQL clauses.
+ * Returns { clauses, bindings } or { error } when a parameter is malformed.
+ * Pass `alias` when the query joins other tables (e.g. 'f' for `feedback f`).
+ */
+function parseFeedbackFilters(params, alias = '') {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  const clauses = [];
+  const bindings = [];
+
+  for (const field of ['source', 'sentiment', 'author']) {
+    const value = params.get(field);
+    if (value) {
+      clauses.push(`${column(field)} = ?`);
+      bindings.push(value);
+    }
+  }
+
+  const cluster = params.get('cluster');
+  if (cluster) {
+    if (!/^\d+$/.test(cluster)) {
+      return { error: `Invalid cluster: ${cluster}` };
+    }
+    clauses.push(`${column('cluster_id')} = ?`);
+    bindings.push(Number(cluster));
+  }
+
+  // Bound as one JSON array, so the list isn't limited by D1's bound parameter count
+  const ids = params.get('ids');
+  if (ids) {
+    if (!/^\d+(,\d+)*$/.test(ids)) {
+      return { error: `ids must be comma-separated feedback ids: ${ids}` };
+    }
+    const list = ids.split(',').map(Number);
+    if (list.length > MAX_ID_FILTER) {
+      return { error: `At most ${MAX_ID_FILTER} ids can be requested at once` };
+    }
+    clauses.push(`${column('id')} IN (SELECT value FROM json_each(?))`);
+    bindings.push(JSON.stringify(list));
+  }
+
+  // The primary category, or any category the classifier assigned
+  const category = params.get('category');
+  if (category) {
+    clauses.push(
+      `(${column('category')} = ? OR EXISTS (SELECT 1 FROM feedback_categories fc JOIN categories c ON c.id = fc.category_id
+         WHERE fc.feedback_id = ${column('id')} AND c.name = ?))`
+    );
+    bindings.push(category, category);
+  }
+
+  for (const [param, operator] of [['since', '>='], ['until', '<']]) {
+    const value = params.get(param);
+    if (!value) continue;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid ${param} date: ${value}` };
+    }
+    clauses.push(`${column('timestamp')} ${operator} ?`);
+    bindings.push(toSqlTimestamp(date));
+  }
+
+  const contains = params.get('contains');
+  if (contains) {
+    clauses.push(`${column('message')} LIKE ? ESCAPE '\\'`);
+    bindings.push(`%${contains.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  const minIntensity = params.get('min_intensity');
+  if (minIntensity) {
+    const value = Number(minIntensity);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      return { error: `min_intensity must be a number from 0 to 1: ${minIntensity}` };
+    }
+    clauses.push(`ABS(${column('sentiment_score')}) >= ?`);
+    bindings.push(value);
+  }
+
+  const emotion = params.get('emotion');
+  if (emotion) {
+    if (!EMOTIONS.includes(emotion)) {
+      return { error: `emotion must be one of: ${EMOTIONS.join(', ')}` };
+    }
+    clauses.push(`EXISTS (SELECT 1 FROM json_each(${column('emotions')}) WHERE value = ?)`);
+    bindings.push(emotion);
+  }
+
+  return { clauses, bindings };
+}
+
+const MAX_ID_FILTER = 1000;
+
+/**
+ * Parse a `limit` query parameter, clamped to 1..max
+ */
+function parseLimit(value, defaultLimit, maxLimit) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) return defaultLimit;
+  return Math.min(limit, maxLimit);
+}
+
+/**
+ * Format a Date the way D1's CURRENT_TIMESTAMP stores it (UTC, "YYYY-MM-DD HH:MM:SS")
+ * so range comparisons on the timestamp column work as plain string comparisons
+ */
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Cursors are the (sort key, id) of the last row on a page, so paging stays
+ * stable while new feedback arrives
+ */
+function encodeCursor(key, id) {
+  return btoa(JSON.stringify([key, id]));
+}
+
+function decodeCursor(cursor, sort = FEEDBACK_SORTS.newest) {
+  try {
+    const [key, id] = JSON.parse(atob(cursor));
+    // A cursor from another sort order has the wrong kind of key
+    if (typeof key !== sort.keyType || !Number.isInteger(id)) return null;
+    return { key, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /api/feedback/:id - Retrieve a single feedback entry
+ */
+async function handleGetFeedbackItem(feedbackId, env, corsHeaders) {
+  try {
+    const [item, assigned] = await env.DB.batch([
+      env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(feedbackId),
+      env.DB.prepare(
+        `SELECT c.name, fc.confidence, fc.method FROM feedback_categories fc JOIN categories c ON c.id = fc.category_id
+         WHERE fc.feedback_id = ? ORDER BY fc.confidence DESC`
+      ).bind(feedbackId)
+    ]);
+    const feedback = item.results[0];
+
+    if (!feedback) {
+      return new Response(
+        JSON.stringify({ error: 'Feedback not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ feedback, categories: assigned.results }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error getting feedback item:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to retrieve feedback', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * PATCH /api/feedback/:id - Correct category, author, sentiment or metadata
+ */
+async function handlePatchFeedback(feedbackId, request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const updates = {};
+
+    for (const field of ['category', 'author']) {
+      if (field in body) {
+        if (body[field] !== null && typeof body[field] !== 'string') {
+          return new Response(
+            JSON.stringify({ error: `${field} must be a string or null` }),
+            { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+          );
+        }
+        updates[field] = body[field];
+      }
+    }
+
+    if ('sentiment' in body) {
+      if (!SENTIMENTS.includes(body.sentiment)) {
+        return new Response(
+          JSON.stringify({ error: `sentiment must be one of: ${SENTIMENTS.join(', ')}` }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+      updates.sentiment = body.sentiment;
+      // A person's label counts as analyzed and is never retried
+      updates.sentiment_status = 'analyzed';
+      updates.sentiment_model = 'manual';
+      updates.sentiment_version = null;
+      updates.analyzed_at = toSqlTimestamp(new Date());
+      // The model's score would contradict the new label; emotions still stand
+      updates.sentiment_score = null;
+      updates.sentiment_confidence = null;
+    }
+
+    if ('metadata' in body) {
+      if (body.metadata !== null && (typeof body.metadata !== 'object' || Array.isArray(body.metadata))) {
+        return new Response(
+          JSON.stringify({ error: 'metadata must be an object or null' }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
+      updates.metadata = body.metadata === null ? null : JSON.stringify(body.metadata);
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Nothing to update: provide category, author, sentiment or metadata' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const feedback = await env.DB.prepare(
+      `UPDATE feedback SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ? RETURNING *`
+    ).bind(...fields.map(field => updates[field]), feedbackId).first();
+
+    if (!feedback) {
+      return new Response(
+        JSON.stringify({ error: 'Feedback not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Keep the vector metadata in sync with the edited row
+    try {
+      await syncFeedbackVector(feedback, env);
+    } catch (error) {
+      console.error('Error updating embedding:', error);
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, feedback }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error updating feedback:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to update feedback', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * DELETE /api/feedback/:id - Remove a feedback entry and its vector
+ */
+async function handleDeleteFeedback(feedbackId, env, corsHeaders) {
+  try {
+    const result = await env.DB.prepare(
+      'DELETE FROM feedback WHERE id = ?'
+    ).bind(feedbackId).run();
+
+    if (result.meta.changes === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Feedback not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Vector ids mirror D1 row ids
+    try {
+      await env.VECTORIZE.deleteByIds([feedbackId.toString()]);
+    } catch (error) {
+      console.error('Error deleting embedding:', error);
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, id: feedbackId }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error deleting feedback:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to delete feedback', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Rewrite a feedback row's vector with its current metadata.
+ * Reuses the stored values when the vector exists, otherwise re-embeds the message;
+ * pass reembed when the message itself has changed.
+ */
+async function syncFeedbackVector(feedback, env, { reembed = false } = {}) {
+  const vectorId = feedback.id.toString();
+  const [existing] = await env.VECTORIZE.getByIds([vectorId]);
+  const values = existing?.values?.length && !reembed
+    ? Array.from(existing.values)
+    : await generateEmbedding(feedback.message, env);
+
+  await env.VECTORIZE.upsert([
+    {
+      id: vectorId,
+      values,
+      metadata: {
+        source: feedback.source,
+        sentiment: feedback.sentiment,
+        timestamp: existing?.metadata?.timestamp || new Date().toISOString()
+      }
+    }
+  ]);
+}
+
+/**
+ * GET /api/export?format=csv|ndjson - Stream feedback for spreadsheets and notebooks
+ *
+ * Accepts the same filters as GET /api/feedback. Rows are read page by page as
+ * the client consumes the stream, so large exports are never held in memory.
+ * include=clusters,urgency,sentiment adds the theme cluster id, stored urgency analysis
+ * and sentiment score, confidence and emotions.
+ */
+async function handleExport(url, env, corsHeaders) {
+  const params = url.searchParams;
+  const format = params.get('format') || 'csv';
+
+  if (!EXPORT_FORMATS[format]) {
+    return new Response(
+      JSON.stringify({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+
+  const include = (params.get('include') || '').split(',').map(value => value.trim()).filter(Boolean);
+  const unknown = include.filter(value => !EXPORT_INCLUDES[value]);
+  if (unknown.length > 0) {
+    return new Response(
+      JSON.stringify({ error: `Unknown include: ${unknown.join(', ')}. Supported: ${Object.keys(EXPORT_INCLUDES).join(', ')}` }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+
+  const filters = parseFeedbackFilters(params);
+  if (filters.error) {
+    return new Response(
+      JSON.stringify({ error: filters.error }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+
+  const columns = [...EXPORT_COLUMNS, ...include.flatMap(value => EXPORT_INCLUDES[value])];
+  const { contentType, header, formatRow } = EXPORT_FORMATS[format];
+  const encoder = new TextEncoder();
+  let cursor = null;
+  let started = false;
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        if (!started) {
+          started = true;
+          if (header) controller.enqueue(encoder.encode(header(columns)));
+        }
+
+        const page = await fetchFeedbackPage(env, filters, cursor, EXPORT_PAGE_SIZE);
+        if (page.feedback.length > 0) {
+          controller.enqueue(encoder.encode(page.feedback.map(row => formatRow(row, columns)).join('')));
+        }
+
+        if (page.hasMore) {
+          cursor = page.lastCursor;
+        } else {
+          controller.close();
+        }
+      } catch (error) {
+        console.error('Error exporting feedback:', error);
+        controller.error(error);
+      }
+    }
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="feedback-export-${date}.${format}"`
+    }
+  });
+}
+
+const EXPORT_PAGE_SIZE = 500;
+
+const EXPORT_COLUMNS = ['id', 'timestamp', 'source', 'sentiment', 'category', 'author', 'message', 'metadata'];
+
+// Optional column groups for include=
+const EXPORT_INCLUDES = {
+  clusters: ['cluster_id'],
+  urgency: ['urgency', 'urgency_confidence', 'urgency_reason'],
+  sentiment: ['sentiment_score', 'sentiment_confidence', 'emotions']
+};
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: (columns) => columns.join(',') + '\r\n',
+    formatRow: (row, columns) => columns.map(column => toCsvField(row[column])).join(',') + '\r\n'
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    header: null,
+    formatRow: (row, columns) => JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null]))) + '\n'
+  }
+};
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break (RFC 4180).
+ * Text starting with a formula character, tab or carriage return gets a leading '
+ * so spreadsheets show it instead of evaluating it; numbers are left alone.
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GET /api/search?q=... - Search feedback by keyword, meaning, or both
+ *
+ * mode=keyword (default): FTS5 full-text search ordered by bm25 relevance, with a
+ *   `snippet` of the message where matches are wrapped in <mark></mark>
+ *   (the snippet is not HTML-escaped)
+ * mode=semantic: embed the query and find the nearest feedback in Vectorize
+ * mode=hybrid: run both and merge them with reciprocal rank fusion; every hit
+ *   reports its `semanticScore` and `keywordScore` (null when that side missed)
+ *
+ * Accepts the same filters as GET /api/feedback, plus `limit` and `offset`.
+ * Vectorize returns at most MAX_SEARCH_CANDIDATES neighbours and the filters are
+ * applied to those afterwards, so semantic results can run out early; `capped`
+ * is true when there may be more matches than were returned.
+ */
+async function handleSearch(url, env, corsHeaders) {
+  try {
+    const params = url.searchParams;
+    const query = params.get('q')?.trim();
+    const mode = params.get('mode') || 'keyword';
+
+    if (!query) {
+      return new Response(
+        JSON.stringify({ error: 'q parameter is required' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    if (!SEARCH_MODES.includes(mode)) {
+      return new Response(
+        JSON.stringify({ error: `mode must be one of: ${SEARCH_MODES.join(', ')}` }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const filters = parseFeedbackFilters(params, 'f');
+    if (filters.error) {
+      return new Response(
+        JSON.stringify({ error: filters.error }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const limit = parseLimit(params.get('limit'), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(params.get('offset'), 10) || 0, 0);
+    const matchExpression = toFtsQuery(query);
+
+    let results = [];
+    let capped = false;
+    if (mode === 'keyword') {
+      if (matchExpression) {
+        results = await keywordSearch(env, matchExpression, filters, limit + 1, offset);
+      }
+    } else {
+      // Vectorize can't page, so fetch enough candidates to cover the requested window
+      const candidates = offset + limit + 1;
+      const semantic = await semanticSearch(env, query, filters, candidates);
+      const keyword = mode === 'hybrid' && matchExpression
+        ? await keywordSearch(env, matchExpression, filters, candidates)
+        : [];
+      const ranked = mode === 'hybrid' ? fuseRankings(semantic.results, keyword) : semantic.results;
+      results = ranked.slice(offset, offset + limit + 1);
+      capped = semantic.capped;
+    }
+
+    const hasMore = results.length > limit;
+
+    return new Response(
+      JSON.stringify({
+        query,
+        mode,
+        results: hasMore ? results.slice(0, limit) : results,
+        limit,
+        offset,
+        hasMore,
+        capped
+      }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error searching feedback:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to search feedback', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+// Vectorize caps topK at 100 when neither values nor metadata are returned
+const MAX_SEARCH_CANDIDATES = 100;
+
+// Standard reciprocal rank fusion constant; dampens the weight of top ranks
+const RRF_K = 60;
+
+/**
+ * Run an FTS5 MATCH against feedback_fts joined back to feedback.
+ * `score` is the negated bm25 rank, so higher means more relevant.
+ */
+async function keywordSearch(env, matchExpression, filters, limit, offset = 0) {
+  const clauses = ['feedback_fts MATCH ?', ...filters.clauses];
+
+  const { results } = await env.DB.prepare(
+    `SELECT f.*,
+            snippet(feedback_fts, 0, '<mark>', '</mark>', '…', 16) AS snippet,
+            -bm25(feedback_fts) AS score
+     FROM feedback_fts
+     JOIN feedback f ON f.id = feedback_fts.rowid
+     WHERE ${clauses.join(' AND ')}
+     ORDER BY bm25(feedback_fts)
+     LIMIT ? OFFSET ?`
+  ).bind(matchExpression, ...filters.bindings, limit, offset).all();
+
+  return results;
+}
+
+/**
+ * Embed free text and return up to `limit` of the nearest feedback rows that
+ * pass the filters, best first: { results, capped }. `score` is the Vectorize
+ * similarity. Filters can only be applied after the query, so with any set the
+ * full MAX_SEARCH_CANDIDATES are fetched; `capped` is true when fewer than
+ * `limit` rows survived but Vectorize had more neighbours than it returned.
+ */
+async function semanticSearch(env, text, filters, limit) {
+  const embedding = await generateEmbedding(text, env);
+  const topK = filters.clauses.length > 0
+    ? MAX_SEARCH_CANDIDATES
+    : Math.min(limit, MAX_SEARCH_CANDIDATES);
+  const { matches } = await env.VECTORIZE.query(embedding, {
+    topK,
+    returnValues: false,
+    returnMetadata: false
+  });
+
+  if (matches.length === 0) return { results: [], capped: false };
+
+  // Bound as one JSON array: topK ids plus the filters would exceed D1's parameter limit
+  const ids = matches.map(match => Number(match.id));
+  const clauses = ['f.id IN (SELECT value FROM json_each(?))', ...filters.clauses];
+  const { results } = await env.DB.prepare(
+    `SELECT f.* FROM feedback f WHERE ${clauses.join(' AND ')}`
+  ).bind(JSON.stringify(ids), ...filters.bindings).all();
+
+  const rowsById = new Map(results.map(row => [row.id, row]));
+  const rows = matches
+    .filter(match => rowsById.has(Number(match.id)))
+    .slice(0, limit)
+    .map(match => ({ ...rowsById.get(Number(match.id)), score: match.score }));
+
+  return { results: rows, capped: rows.length < limit && matches.length === topK };
+}
+
+/**
+ * Merge semantic and keyword rankings with reciprocal rank fusion:
+ * each list contributes 1 / (RRF_K + rank) for every row it contains
+ */
+function fuseRankings(semantic, keyword) {
+  const hits = new Map();
+  const hitFor = (row) => {
+    if (!hits.has(row.id)) {
+      const { score, snippet, ...feedback } = row;
+      hits.set(row.id, { ...feedback, snippet: null, semanticScore: null, keywordScore: null, score: 0 });
+    }
+    return hits.get(row.id);
+  };
+
+  semantic.forEach((row, index) => {
+    const hit = hitFor(row);
+    hit.semanticScore = row.score;
+    hit.score += 1 / (RRF_K + index + 1);
+  });
+
+  keyword.forEach((row, index) => {
+    const hit = hitFor(row);
+    hit.keywordScore = row.score;
+    hit.snippet = row.snippet;
+    hit.score += 1 / (RRF_K + index + 1);
+  });
+
+  return [...hits.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Turn free text into a safe FTS5 query: every term is quoted (so user input
+ * can't inject FTS syntax) and all terms must match
+ */
+function toFtsQuery(text) {
+  const terms = text.match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms.map(term => `"${term}"`).join(' ');
+}
+
+/**
+ * Analyze sentiment using Workers AI
+ *
+ * Returns { sentiment, score, confidence, emotions, status, model, version, analyzedAt }.
+ * score runs from -1 (very negative) to 1 (very positive) and, with confidence, is null
+ * when the model answered with a bare label instead of JSON. status is 'analyzed'
+ * when the model gave a usable label, 'fallback' when its reply had no label and
+ * neutral was assumed, and 'failed' (with sentiment null) when the call itself failed.
+ */
+async function analyzeSentiment(message, env) {
+  const { model, version, systemPrompt } = SENTIMENT_ANALYZER;
+  const analyzedAt = toSqlTimestamp(new Date());
+  const unscored = { score: null, confidence: null, emotions: [] };
+
+  try {
+    const response = await env.AI.run(model, {
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        {
+          role: 'user',
+          content: message
+        }
+      ]
+    });
+
+    const parsed = parseSentimentReply(response.response?.trim() || '');
+    if (parsed) {
+      return { ...parsed, status: 'analyzed', model, version, analyzedAt };
+    }
+    return { sentiment: 'neutral', ...unscored, status: 'fallback', model, version, analyzedAt };
+  } catch (error) {
+    console.error('Error analyzing sentiment:', error);
+    // Leave it unanalyzed rather than skewing the distribution towards neutral
+    return { sentiment: null, ...unscored, status: 'failed', model, version, analyzedAt };
+  }
+}
+
+/**
+ * The sentiment classifier. Bump `version` whenever the model or prompt changes;
+ * rows analyzed by an older version can then be re-scored with a reanalysis run
+ * (POST /api/reanalysis).
+ */
+const SENTIMENT_ANALYZER = {
+  version: 2,
+  model: '@cf/meta/llama-3-8b-instruct',
+  systemPrompt: 'You are a sentiment analyzer. Analyze the sentiment of the following text and respond with ONLY a JSON object, no markdown: {"sentiment": "positive" | "negative" | "neutral", "score": number from -1 (very negative) to 1 (very positive), "confidence": number from 0 to 1, "emotions": array of any of "frustration", "delight", "confusion", "anger" that the text clearly shows}. No explanation needed.'
+};
+
+const EMOTIONS = ['frustration', 'delight', 'confusion', 'anger'];
+
+/**
+ * Read the classifier's reply into { sentiment, score, confidence, emotions }.
+ * Replies that aren't JSON are scanned for a bare label (score and confidence
+ * null). Returns null when no label can be found.
+ */
+function parseSentimentReply(reply) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(reply.replace(/```json\n?|```\n?/g, '').trim());
+  } catch {
+    // Not JSON; fall through to the label scan
+  }
+
+  if (parsed && typeof parsed === 'object') {
+    const score = clampNumber(parsed.score, -1, 1);
+    const label = String(parsed.sentiment || '').toLowerCase();
+    const sentiment = SENTIMENTS.includes(label) ? label : sentimentForScore(score);
+    if (!sentiment) return null;
+    return {
+      sentiment,
+      score,
+      confidence: clampNumber(parsed.confidence, 0, 1),
+      emotions: Array.isArray(parsed.emotions)
+        ? EMOTIONS.filter(emotion => parsed.emotions.some(value => String(value).toLowerCase() === emotion))
+        : []
+    };
+  }
+
+  const lower = reply.toLowerCase();
+  const sentiment = SENTIMENTS.find(label => lower.includes(label));
+  return sentiment ? { sentiment, score: null, confidence: null, emotions: [] } : null;
+}
+
+function clampNumber(value, min, max) {
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return null;
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Label for a score when the model gave a number but no usable label
+ */
+function sentimentForScore(score) {
+  if (score == null) return null;
+  if (score >= SENTIMENT_SCORE_THRESHOLD) return 'positive';
+  if (score <= -SENTIMENT_SCORE_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+const SENTIMENT_SCORE_THRESHOLD = 0.2;
+
+/**
+ * Save an analyzeSentiment result on a feedback row
+ */
+function storeSentimentAnalysis(env, feedbackId, analysis) {
+  return env.DB.prepare(
+    `UPDATE feedback SET sentiment = ?, sentiment_score = ?, sentiment_confidence = ?, emotions = ?, sentiment_status = ?,
+       sentiment_model = ?, sentiment_version = ?, analyzed_at = ?
+     WHERE id = ? RETURNING *`
+  ).bind(
+    analysis.sentiment,
+    analysis.score,
+    analysis.confidence,
+    JSON.stringify(analysis.emotions),
+    analysis.status,
+    analysis.model,
+    analysis.version,
+    analysis.analyzedAt,
+    feedbackId
+  ).first();
+}
+
+/**
+ * Retry sentiment analysis for rows whose analysis failed, oldest first.
+ * Runs on a schedule and from POST /api/sentiment/retry-failed.
+ */
+async function retryFailedSentiment(env) {
+  const { results } = await env.DB.prepare(
+    `SELECT id, message FROM feedback WHERE sentiment_status = 'failed'
+     ORDER BY analyzed_at, id LIMIT ?`
+  ).bind(SENTIMENT_RETRY_BATCH_SIZE).all();
+
+  let recovered = 0;
+  await mapWithConcurrency(results, BULK_AI_CONCURRENCY, async (row) => {
+    const analysis = await analyzeSentiment(row.message, env);
+    const feedback = await storeSentimentAnalysis(env, row.id, analysis);
+    if (analysis.status === 'failed' || !feedback) return;
+
+    recovered++;
+    try {
+      await syncFeedbackVector(feedback, env);
+    } catch (error) {
+      console.error('Error updating embedding:', error);
+    }
+  });
+
+  return { retried: results.length, recovered, failed: results.length - recovered };
+}
+
+// Rows retried per run; the rest wait for the next run
+const SENTIMENT_RETRY_BATCH_SIZE = 50;
+
+/**
+ * POST /api/sentiment/retry-failed - Retry one batch of failed sentiment analyses now
+ */
+async function handleRetryFailedSentiment(env, corsHeaders) {
+  try {
+    const result = await retryFailedSentiment(env);
+
+    return new Response(
+      JSON.stringify({ success: true, ...result }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error retrying sentiment analysis:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to retry sentiment analysis', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+// Feedback whose sentiment came from an older analyzer version (manual labels are left alone)
+const STALE_SENTIMENT_CONDITION = "sentiment IS NOT NULL AND IFNULL(sentiment_model, '') != 'manual' AND IFNULL(sentiment_version, 0) < ?";
+
+/**
+ * POST /api/reanalysis - Start re-scoring feedback analyzed by an older SENTIMENT_ANALYZER version
+ *
+ * New labels are staged, not applied. The run advances in batches on a schedule
+ * (or via POST /api/reanalysis/:id/advance) and resumes from its cursor. Once it is
+ * ready, review GET /api/reanalysis/:id and then commit or discard it.
+ */
+async function handleStartReanalysis(env, corsHeaders) {
+  try {
+    const active = await env.DB.prepare(
+      "SELECT * FROM reanalysis_runs WHERE status IN ('running', 'ready') ORDER BY id LIMIT 1"
+    ).first();
+
+    if (active) {
+      return new Response(
+        JSON.stringify({ error: 'A reanalysis run is already in progress; commit or discard it first', run: active }),
+        { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const { count } = await env.DB.prepare(
+      `SELECT COUNT(*) as count FROM feedback WHERE ${STALE_SENTIMENT_CONDITION}`
+    ).bind(SENTIMENT_ANALYZER.version).first();
+
+    if (count === 0) {
+      return new Response(
+        JSON.stringify({ success: true, run: null, message: 'All feedback was analyzed by the current analyzer version' }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const run = await env.DB.prepare(
+      'INSERT INTO reanalysis_runs (analyzer_version, total) VALUES (?, ?) RETURNING *'
+    ).bind(SENTIMENT_ANALYZER.version, count).first();
+
+    return new Response(
+      JSON.stringify({ success: true, run }),
+      { status: 201, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error starting reanalysis:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to start reanalysis', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Scheduled: score the next batch of the running reanalysis, if there is one
+ */
+async function advanceReanalysisRuns(env) {
+  const run = await env.DB.prepare(
+    "SELECT * FROM reanalysis_runs WHERE status = 'running' ORDER BY id LIMIT 1"
+  ).first();
+
+  return run ? advanceReanalysis(env, run) : null;
+}
+
+/**
+ * Score the next batch of stale rows after the run's cursor and stage the results.
+ * The run becomes 'ready' once no stale rows are left.
+ */
+async function advanceReanalysis(env, run) {
+  const { results } = await env.DB.prepare(
+    `SELECT id, message, sentiment FROM feedback WHERE id > ? AND ${STALE_SENTIMENT_CONDITION}
+     ORDER BY id LIMIT ?`
+  ).bind(run.cursor, run.analyzer_version, REANALYSIS_BATCH_SIZE).all();
+
+  // Only stage while the run is still running at the cursor this batch started
+  // from; a racing advance or a discard in between drops the batch
+  const current = `EXISTS (SELECT 1 FROM reanalysis_runs WHERE id = ? AND cursor = ? AND status = 'running')`;
+
+  const staged = [];
+  await mapWithConcurrency(results, BULK_AI_CONCURRENCY, async (row) => {
+    const analysis = await analyzeSentiment(row.message, env);
+    // Rows the model can't score keep their current label
+    if (analysis.status === 'failed') return;
+
+    staged.push(env.DB.prepare(
+      `INSERT OR REPLACE INTO reanalysis_results (run_id, feedback_id, old_sentiment, new_sentiment, new_score, new_confidence,
+                                                  new_emotions, new_status, analyzed_at)
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?, ? WHERE ${current}`
+    ).bind(
+      run.id,
+      row.id,
+      row.sentiment,
+      analysis.sentiment,
+      analysis.score,
+      analysis.confidence,
+      JSON.stringify(analysis.emotions),
+      analysis.status,
+      analysis.analyzedAt,
+      run.id,
+      run.cursor
+    ));
+  });
+
+  const done = results.length < REANALYSIS_BATCH_SIZE;
+  const cursor = results.length ? results[results.length - 1].id : run.cursor;
+
+  // Results are staged before the cursor moves, while the guard can still see it
+  const batch = await env.DB.batch([
+    ...staged,
+    env.DB.prepare(
+      `UPDATE reanalysis_runs SET cursor = ?, processed = processed + ?, failed = failed + ?, status = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND cursor = ? AND status = 'running' RETURNING *`
+    ).bind(cursor, results.length, results.length - staged.length, done ? 'ready' : 'running', run.id, run.cursor)
+  ]);
+
+  // Another advance got there first (or the run was discarded): this batch was dropped
+  return batch.at(-1).results[0]
+    || env.DB.prepare('SELECT * FROM reanalysis_runs WHERE id = ?').bind(run.id).first();
+}
+
+const REANALYSIS_BATCH_SIZE = 50;
+
+/**
+ * Summarize a run's staged labels: old -> new transitions, the distribution
+ * before and after, and a sample of changed items
+ */
+async function reanalysisReport(env, runId) {
+  const [transitions, samples] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT old_sentiment as "from", new_sentiment as "to", COUNT(*) as count
+       FROM reanalysis_results WHERE run_id = ?
+       GROUP BY old_sentiment, new_sentiment ORDER BY count DESC`
+    ).bind(runId),
+    env.DB.prepare(
+      `SELECT r.feedback_id as id, f.message, r.old_sentiment as "from", r.new_sentiment as "to"
+       FROM reanalysis_results r JOIN feedback f ON f.id = r.feedback_id
+       WHERE r.run_id = ? AND r.old_sentiment IS NOT r.new_sentiment
+       ORDER BY r.feedback_id LIMIT ?`
+    ).bind(runId, REANALYSIS_SAMPLE_SIZE)
+  ]);
+
+  const before = Object.fromEntries(SENTIMENTS.map(label => [label, 0]));
+  const after = { ...before };
+  let changed = 0;
+  for (const { from, to, count } of transitions.results) {
+    if (from in before) before[from] += count;
+    after[to] += count;
+    if (from !== to) changed += count;
+  }
+
+  return { changed, before, after, transitions: transitions.results, samples: samples.results };
+}
+
+const REANALYSIS_SAMPLE_SIZE = 20;
+
+/**
+ * GET /api/reanalysis/:id - A run's progress and before/after report
+ */
+async function handleGetReanalysis(runId, env, corsHeaders) {
+  try {
+    const run = await env.DB.prepare('SELECT * FROM reanalysis_runs WHERE id = ?').bind(runId).first();
+
+    if (!run) {
+      return new Response(
+        JSON.stringify({ error: 'Reanalysis run not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ run, report: await reanalysisReport(env, runId) }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error fetching reanalysis run:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to fetch reanalysis run', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * POST /api/reanalysis/:id/advance|commit|discard
+ *
+ * advance scores the next batch now; commit writes a ready run's labels to
+ * feedback (skipping rows whose label changed since they were staged); discard
+ * drops the staged labels.
+ */
+async function handleReanalysisAction(runId, action, env, corsHeaders) {
+  try {
+    const run = await env.DB.prepare('SELECT * FROM reanalysis_runs WHERE id = ?').bind(runId).first();
+
+    if (!run) {
+      return new Response(
+        JSON.stringify({ error: 'Reanalysis run not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const allowed = { advance: ['running'], commit: ['ready'], discard: ['running', 'ready'] }[action];
+    if (!allowed.includes(run.status)) {
+      return new Response(
+        JSON.stringify({ error: `Cannot ${action} a run that is ${run.status}` }),
+        { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    if (action === 'advance') {
+      const updated = await advanceReanalysis(env, run);
+      return new Response(
+        JSON.stringify({ success: true, run: updated }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    if (action === 'discard') {
+      const [, updated] = await env.DB.batch([
+        env.DB.prepare('DELETE FROM reanalysis_results WHERE run_id = ?').bind(runId),
+        env.DB.prepare(
+          "UPDATE reanalysis_runs SET status = 'discarded', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *"
+        ).bind(runId)
+      ]);
+      return new Response(
+        JSON.stringify({ success: true, run: updated.results[0] }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    if (run.analyzer_version !== SENTIMENT_ANALYZER.version) {
+      return new Response(
+        JSON.stringify({ error: 'The analyzer changed since this run started; discard it and start a new one' }),
+        { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Counted in the same transaction; meta.changes would include the rows the stats triggers touch
+    const [applied, , committed] = await env.DB.batch([
+      env.DB.prepare(
+        `SELECT COUNT(*) as count FROM feedback JOIN reanalysis_results r ON r.feedback_id = feedback.id
+         WHERE r.run_id = ? AND feedback.sentiment IS r.old_sentiment AND IFNULL(feedback.sentiment_model, '') != 'manual'`
+      ).bind(runId),
+      env.DB.prepare(
+        `UPDATE feedback SET sentiment = r.new_sentiment, sentiment_score = r.new_score, sentiment_confidence = r.new_confidence,
+           emotions = r.new_emotions, sentiment_status = r.new_status, sentiment_model = ?, sentiment_version = ?,
+           analyzed_at = r.analyzed_at
+         FROM reanalysis_results r
+         WHERE r.run_id = ? AND r.feedback_id = feedback.id
+           AND feedback.sentiment IS r.old_sentiment AND IFNULL(feedback.sentiment_model, '') != 'manual'`
+      ).bind(SENTIMENT_ANALYZER.model, SENTIMENT_ANALYZER.version, runId),
+      env.DB.prepare(
+        "UPDATE reanalysis_runs SET status = 'committed', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *"
+      ).bind(runId)
+    ]);
+
+    // Vector metadata only needs touching where the label actually moved
+    const { results: moved } = await env.DB.prepare(
+      `SELECT f.* FROM feedback f JOIN reanalysis_results r ON r.feedback_id = f.id
+       WHERE r.run_id = ? AND r.old_sentiment IS NOT r.new_sentiment AND f.sentiment_version = ?`
+    ).bind(runId, SENTIMENT_ANALYZER.version).all();
+
+    await mapWithConcurrency(moved, BULK_AI_CONCURRENCY, async (row) => {
+      try {
+        await syncFeedbackVector(row, env);
+      } catch (error) {
+        console.error('Error updating embedding:', error);
+      }
+    });
+
+    return new Response(
+      JSON.stringify({ success: true, run: committed.results[0], applied: applied.results[0].count }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error(`Error running reanalysis ${action}:`, error);
+    return new Response(
+      JSON.stringify({ error: `Failed to ${action} reanalysis run`, details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Generate embedding vector using Workers AI
+ * Uses BGE Base model which outputs 768-dimensional vectors
+ */
+async function generateEmbedding(text, env) {
+  try {
+    const response = await env.AI.run('@cf/baai/bge-base-en-v1.5', {
+      text: [text]
+    });
+    
+    // The model returns { data: [[...768 numbers]] }
+    return response.data[0];
+  } catch (error) {
+    console.error('Error generating embedding:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate embeddings for several texts in one model call
+ */
+async function generateEmbeddings(texts, env) {
+  const response = await env.AI.run('@cf/baai/bge-base-en-v1.5', {
+    text: texts
+  });
+  return response.data;
+}
+
+/**
+ * Get aggregated statistics from the feedback_stats rollups.
+ * bySentiment covers analyzed feedback only; `unanalyzed` counts rows with no
+ * sentiment yet (failed or still queued) and `fallback` rows assumed neutral.
+ */
+async function getStats(env) {
+  try {
+    const [sourceStats, sentimentStats, totalResult, fallbackResult] = await env.DB.batch([
+      // Count by source
+      env.DB.prepare(
+        `SELECT source, SUM(count) as count FROM feedback_stats GROUP BY source HAVING SUM(count) > 0`
+      ),
+      // Count by sentiment ('' marks unanalyzed feedback in the rollups)
+      env.DB.prepare(
+        `SELECT sentiment, SUM(count) as count FROM feedback_stats GROUP BY sentiment HAVING SUM(count) > 0`
+      ),
+      // Total count
+      env.DB.prepare(
+        `SELECT SUM(count) as total FROM feedback_stats`
+      ),
+      // Neutral labels that were assumed rather than returned by the model
+      env.DB.prepare(
+        `SELECT COUNT(*) as count FROM feedback WHERE sentiment_status = 'fallback'`
+      )
+    ]);
+
+    // Unanalyzed feedback is reported on its own so it doesn't skew the distribution
+    const analyzed = sentimentStats.results.filter(row => row.sentiment !== '');
+    const unanalyzed = sentimentStats.results.find(row => row.sentiment === '')?.count || 0;
+
+    return {
+      bySource: sourceStats.results,
+      bySentiment: analyzed,
+      total: totalResult.results[0]?.total || 0,
+      unanalyzed,
+      fallback: fallbackResult.results[0]?.count || 0
+    };
+  } catch (error) {
+    console.error('Error getting stats:', error);
+    return { bySource: [], bySentiment: [], total: 0, unanalyzed: 0, fallback: 0 };
+  }
+}
+
+/**
+ * Recompute feedback_stats rollups from the feedback table.
+ * With `sinceDay` (YYYY-MM-DD) only that day onwards is rebuilt; otherwise everything is.
+ */
+async function rebuildStatsRollups(env, sinceDay = null) {
+  const dayFilter = sinceDay ? 'WHERE date(timestamp) >= ?' : '';
+  const deleteFilter = sinceDay ? 'WHERE day >= ?' : '';
+  const bindings = sinceDay ? [sinceDay] : [];
+
+  // batch() runs as one transaction, so readers never see the rollups half rebuilt
+  const [, inserted] = await env.DB.batch([
+    env.DB.prepare(`DELETE FROM feedback_stats ${deleteFilter}`).bind(...bindings),
+    env.DB.prepare(
+      `INSERT INTO feedback_stats (day, source, sentiment, count)
+       SELECT date(timestamp), source, IFNULL(sentiment, ''), COUNT(*)
+       FROM feedback
+       ${dayFilter}
+       GROUP BY date(timestamp), source, IFNULL(sentiment, '')`
+    ).bind(...bindings)
+  ]);
+
+  return { rows: inserted.meta.changes, since: sinceDay };
+}
+
+/**
+ * POST /api/stats/rebuild - Recompute all stats rollups from scratch
+ */
+async function handleRebuildStats(env, corsHeaders) {
+  try {
+    const result = await rebuildStatsRollups(env);
+    const stats = await getStats(env);
+
+    return new Response(
+      JSON.stringify({ success: true, rollupRows: result.rows, stats }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error rebuilding stats:', error);
+    return new Response(
+      JSON.stringify({ success: false, error: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+// Days of rollups the scheduled job re-derives, to repair drift in recent data
+const STATS_REFRESH_DAYS = 2;
+
+/**
+ * Scheduled job: re-derive the most recent days of rollups
+ */
+async function refreshRecentStats(env) {
+  const since = new Date(Date.now() - (STATS_REFRESH_DAYS - 1) * 24 * HOUR_MS);
+  return rebuildStatsRollups(env, since.toISOString().slice(0, 10));
+}
+
+/**
+ * GET /api/stats/timeseries - Feedback counts over time by sentiment and source
+ *
+ * Query parameters:
+ *   bucket - hour, day (default) or week (weeks start on Monday)
+ *   window - how far back to look, e.g. 48h, 30d, 12w (default depends on bucket)
+ *   tz     - IANA timezone used to draw bucket boundaries (default UTC)
+ *
+ * Counts are aggregated per UTC hour in D1 and re-bucketed here, so bucket
+ * boundaries in timezones with sub-hour offsets are accurate to the hour.
+ */
+async function handleStatsTimeseries(url, env, corsHeaders) {
+  try {
+    const params = url.searchParams;
+    const bucket = params.get('bucket') || 'day';
+    const timezone = params.get('tz') || 'UTC';
+
+    if (!TIMESERIES_BUCKETS[bucket]) {
+      return new Response(
+        JSON.stringify({ error: `bucket must be one of: ${Object.keys(TIMESERIES_BUCKETS).join(', ')}` }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const windowHours = parseWindow(params.get('window') || TIMESERIES_BUCKETS[bucket].defaultWindow);
+    if (!windowHours) {
+      return new Response(
+        JSON.stringify({ error: `window must look like 48h, 30d or 12w and span at most ${MAX_TIMESERIES_DAYS} days` }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+      });
+    } catch {
+      return new Response(
+        JSON.stringify({ error: `Unknown timezone: ${timezone}` }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Start the window on a whole UTC hour so the first bucket isn't partially counted
+    const until = new Date();
+    const since = new Date(Math.floor(until.getTime() / HOUR_MS) * HOUR_MS - (windowHours - 1) * HOUR_MS);
+
+    const { results } = await env.DB.prepare(
+      `SELECT strftime('%Y-%m-%d %H:00:00', timestamp) AS hour, sentiment, source, COUNT(*) AS count
+       FROM feedback
+       WHERE timestamp >= ?
+       GROUP BY hour, sentiment, source`
+    ).bind(toSqlTimestamp(since)).all();
+
+    // Lay out every bucket in the window so gaps show up as zeros
+    const series = new Map();
+    for (let time = since.getTime(); time <= until.getTime(); time += HOUR_MS) {
+      const key = bucketKey(new Date(time), bucket, formatter);
+      if (!series.has(key)) {
+        series.set(key, {
+          bucket: key,
+          total: 0,
+          sentiment: { positive: 0, negative: 0, neutral: 0, unknown: 0 },
+          source: {}
+        });
+      }
+    }
+
+    for (const row of results) {
+      const point = series.get(bucketKey(new Date(row.hour.replace(' ', 'T') + 'Z'), bucket, formatter));
+      if (!point) continue;
+
+      const sentiment = SENTIMENTS.includes(row.sentiment) ? row.sentiment : 'unknown';
+      point.total += row.count;
+      point.sentiment[sentiment] += row.count;
+      point.source[row.source] = (point.source[row.source] || 0) + row.count;
+    }
+
+    return new Response(
+      JSON.stringify({
+        bucket,
+        timezone,
+        since: since.toISOString(),
+        until: until.toISOString(),
+        series: [...series.values()]
+      }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error getting timeseries stats:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to get timeseries stats', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_TIMESERIES_DAYS = 366;
+
+const TIMESERIES_BUCKETS = {
+  hour: { defaultWindow: '48h' },
+  day: { defaultWindow: '30d' },
+  week: { defaultWindow: '12w' }
+};
+
+/**
+ * Parse a window like "48h", "30d" or "12w" into hours
+ */
+function parseWindow(value) {
+  const match = /^(\d+)([hdw])$/.exec(value);
+  if (!match) return null;
+
+  const hours = Number(match[1]) * { h: 1, d: 24, w: 24 * 7 }[match[2]];
+  if (hours < 1 || hours > MAX_TIMESERIES_DAYS * 24) return null;
+  return hours;
+}
+
+/**
+ * Label the bucket a moment falls into, in the formatter's timezone:
+ * "YYYY-MM-DD HH:00" for hours, "YYYY-MM-DD" for days, the Monday's date for weeks
+ */
+function bucketKey(date, bucket, formatter) {
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+
+  if (bucket === 'hour') return `${day} ${parts.hour}:00`;
+  if (bucket === 'day') return day;
+
+  const localDate = new Date(`${day}T00:00:00Z`);
+  const daysSinceMonday = (localDate.getUTCDay() + 6) % 7;
+  localDate.setUTCDate(localDate.getUTCDate() - daysSinceMonday);
+  return localDate.toISOString().slice(0, 10);
+}
+
+/**
+ * GET /api/similar-feedback?id=X - Find similar feedback using Vectorize
+ *
+ * `duplicates` lists the other members of the item's near-duplicate group
+ * (its canonical row and everything linked to it); those are left out of `similar`.
+ */
+async function handleSimilarFeedback(url, env, corsHeaders) {
+  try {
+    const feedbackId = url.searchParams.get('id');
+    
+    if (!feedbackId) {
+      return new Response(
+        JSON.stringify({ error: 'id parameter is required' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Get the original feedback
+    const { results } = await env.DB.prepare(
+      'SELECT * FROM feedback WHERE id = ?'
+    ).bind(feedbackId).all();
+
+    if (results.length === 0) {
+      return new Response(
+        JSON.stringify({ error: 'Feedback not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const originalFeedback = results[0];
+
+    // Near-duplicates share a canonical row; collect the rest of this item's group
+    const canonicalId = originalFeedback.duplicate_of ?? originalFeedback.id;
+    const { results: duplicates } = await env.DB.prepare(
+      `SELECT * FROM feedback WHERE (id = ? OR duplicate_of = ?) AND id != ?
+       ORDER BY id = ? DESC, timestamp DESC LIMIT ?`
+    ).bind(canonicalId, canonicalId, originalFeedback.id, canonicalId, MAX_DUPLICATES_SHOWN).all();
+    const duplicateIds = new Set(duplicates.map(row => row.id.toString()));
+
+    // Generate embedding for the feedback message
+    const embedding = await generateEmbedding(originalFeedback.message, env);
+
+    // Query Vectorize for similar vectors, leaving room for the item itself and its duplicates
+    const similarVectors = await env.VECTORIZE.query(embedding, {
+      topK: Math.min(6 + duplicateIds.size, 20),
+      returnValues: false,
+      returnMetadata: true
+    });
+
+    // Filter out the original feedback and its duplicate group, then get the IDs
+    const similarMatches = similarVectors.matches
+      .filter(match => match.id !== feedbackId && !duplicateIds.has(match.id))
+      .slice(0, 5); // Get top 5 similar
+    const similarIds = similarMatches.map(match => match.id);
+
+    if (similarIds.length === 0) {
+      return new Response(
+        JSON.stringify({ 
           original: originalFeedback,
+          duplicates,
           similar: [] 
         }),
         { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
     }
 
-    // Fetch the similar feedback from D1
-    const placeholders = similarIds.map(() => '?').join(',');
-    const { results: similarFeedback } = await env.DB.prepare(
-      `SELECT * FROM feedback WHERE id IN (${placeholders})`
-    ).bind(...similarIds).all();
+    // Fetch the similar feedback from D1
+    const placeholders = similarIds.map(() => '?').join(',');
+    const { results: similarFeedback } = await env.DB.prepare(
+      `SELECT * FROM feedback WHERE id IN (${placeholders})`
+    ).bind(...similarIds).all();
+
+    return new Response(
+      JSON.stringify({
+        original: originalFeedback,
+        duplicates,
+        similar: similarFeedback,
+        scores: similarMatches
+          .map(match => ({
+            id: match.id,
+            score: match.score
+          }))
+      }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error finding similar feedback:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to find similar feedback', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+const MAX_DUPLICATES_SHOWN = 50;
+
+/**
+ * POST /api/backfill-embeddings - Generate embeddings for existing feedback
+ */
+async function handleBackfillEmbeddings(env, corsHeaders) {
+  try {
+    const { results: allFeedback } = await env.DB.prepare(
+      'SELECT id, message, source, sentiment FROM feedback ORDER BY id'
+    ).all();
+
+    if (!allFeedback || allFeedback.length === 0) {
+      return new Response(
+        JSON.stringify({ 
+          success: true, 
+          message: 'No feedback to backfill',
+          processed: 0 
+        }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    let processed = 0;
+    let errors = 0;
+
+    // Process in batches of 5
+    const batchSize = 5;
+    for (let i = 0; i < allFeedback.length; i += batchSize) {
+      const batch = allFeedback.slice(i, i + batchSize);
+      
+      const batchPromises = batch.map(async (feedback) => {
+        try {
+          const embedding = await generateEmbedding(feedback.message, env);
+          await env.VECTORIZE.insert([
+            {
+              id: feedback.id.toString(),
+              values: embedding,
+              metadata: {
+                source: feedback.source,
+                sentiment: feedback.sentiment,
+                timestamp: new Date().toISOString()
+              }
+            }
+          ]);
+          processed++;
+          return { id: feedback.id, success: true };
+        } catch (error) {
+          console.error(`Error processing feedback ${feedback.id}:`, error);
+          errors++;
+          return { id: feedback.id, success: false, error: error.message };
+        }
+      });
+
+      await Promise.all(batchPromises);
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        message: `Backfill complete: ${processed} embeddings created, ${errors} errors`,
+        processed,
+        errors,
+        total: allFeedback.length
+      }),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error in backfill:', error);
+    return new Response(
+      JSON.stringify({ success: false, error: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Load the category taxonomy with parsed centroids, computing any that are
+ * missing (new categories, or ones whose embedding failed before)
+ */
+async function loadTaxonomy(env) {
+  const { results } = await env.DB.prepare('SELECT id, name, description, centroid FROM categories ORDER BY name').all();
+  const taxonomy = results.map(row => ({ ...row, centroid: row.centroid ? JSON.parse(row.centroid) : null }));
+
+  const missing = taxonomy.filter(category => !category.centroid);
+  if (missing.length > 0) {
+    try {
+      const embeddings = await generateEmbeddings(missing.map(centroidText), env);
+      missing.forEach((category, index) => {
+        category.centroid = embeddings[index];
+      });
+      await env.DB.batch(missing.map(category => env.DB.prepare(
+        'UPDATE categories SET centroid = ? WHERE id = ?'
+      ).bind(JSON.stringify(category.centroid), category.id)));
+    } catch (error) {
+      console.error('Error computing category centroids:', error);
+      // The LLM classifier still works; the centroid fallback skips these for now
+    }
+  }
+
+  return taxonomy;
+}
+
+/**
+ * Classify one feedback row ({ id, message }) against the taxonomy and store the
+ * result. The classifier's best match becomes the primary `category` unless the
+ * submitter or a person set one. Returns the assigned categories, or null (and
+ * leaves the row pending) when there is no taxonomy yet or the classifier could
+ * not run (model down and no embedding to fall back on).
+ */
+async function categorizeFeedback(env, feedback, embedding, taxonomy = null) {
+  taxonomy = taxonomy || await loadTaxonomy(env);
+  if (taxonomy.length === 0) return null;
+
+  const assigned = await classifyCategories(feedback.message, embedding, taxonomy, env);
+  if (!assigned) return null;
+
+  await env.DB.batch([
+    // Runs before the old assignments are replaced, so a previous automatic choice can be told apart from a person's
+    env.DB.prepare(
+      `UPDATE feedback SET categorized_at = ?,
+         category = CASE
+           WHEN category IS NULL OR category IN (
+             SELECT c.name FROM feedback_categories fc JOIN categories c ON c.id = fc.category_id WHERE fc.feedback_id = feedback.id
+           ) THEN ?
+           ELSE category
+         END
+       WHERE id = ?`
+    ).bind(toSqlTimestamp(new Date()), assigned[0]?.name ?? null, feedback.id),
+    env.DB.prepare('DELETE FROM feedback_categories WHERE feedback_id = ?').bind(feedback.id),
+    ...assigned.map(category => env.DB.prepare(
+      'INSERT INTO feedback_categories (feedback_id, category_id, confidence, method) VALUES (?, ?, ?, ?)'
+    ).bind(feedback.id, category.id, category.confidence, category.method))
+  ]);
+
+  return assigned;
+}
+
+/**
+ * Categorize one batch of feedback the classifier hasn't seen, oldest first.
+ * Runs on a schedule and from POST /api/categories/backfill.
+ */
+async function categorizePendingFeedback(env) {
+  const taxonomy = await loadTaxonomy(env);
+  if (taxonomy.length === 0) return { processed: 0, categorized: 0, failed: 0 };
+
+  const { results } = await env.DB.prepare(
+    'SELECT id, message FROM feedback WHERE categorized_at IS NULL ORDER BY id LIMIT ?'
+  ).bind(CATEGORY_BATCH_SIZE).all();
+  if (results.length === 0) return { processed: 0, categorized: 0, failed: 0 };
+
+  let embeddings = [];
+  try {
+    embeddings = await generateEmbeddings(results.map(row => row.message), env);
+  } catch (error) {
+    console.error('Error generating embeddings:', error);
+    // Classify with the LLM alone
+  }
+
+  let categorized = 0;
+  let failed = 0;
+  await mapWithConcurrency(results, BULK_AI_CONCURRENCY, async (row, index) => {
+    const assigned = await categorizeFeedback(env, row, embeddings[index] || null, taxonomy);
+    // Rows the classifier couldn't run on stay pending for the next batch
+    if (!assigned) failed++;
+    else if (assigned.length > 0) categorized++;
+  });
+
+  return { processed: results.length, categorized, failed };
+}
+
+const CATEGORY_BATCH_SIZE = 50;
+
+/**
+ * GET /api/categories - The category taxonomy with how much feedback each holds
+ */
+async function handleGetCategories(env, corsHeaders) {
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT c.id, c.name, c.description, c.created_at, c.updated_at, COUNT(fc.feedback_id) as count
+       FROM categories c LEFT JOIN feedback_categories fc ON fc.category_id = c.id
+       GROUP BY c.id ORDER BY c.name`
+    ).all();
+
+    return new Response(
+      JSON.stringify({ categories: results }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error getting categories:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to retrieve categories', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Validate a category body; `partial` allows omitting name (for PATCH).
+ * Returns { name, description } with only the provided fields, or { error }.
+ */
+function parseCategoryBody(body, partial = false) {
+  const fields = {};
+
+  if ('name' in body || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_CATEGORY_NAME_LENGTH) {
+      return { error: `name must be a non-empty string of at most ${MAX_CATEGORY_NAME_LENGTH} characters` };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if ('description' in body) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'description must be a string or null' };
+    }
+    fields.description = body.description?.trim() || null;
+  }
+
+  return { fields };
+}
+
+const MAX_CATEGORY_NAME_LENGTH = 50;
+
+/**
+ * POST /api/categories - Add a category to the taxonomy
+ *
+ * Existing feedback isn't reclassified automatically; run
+ * POST /api/categories/backfill?reset=true to include the new category.
+ */
+async function handleCreateCategory(request, env, corsHeaders) {
+  try {
+    const parsed = parseCategoryBody(await request.json());
+    if (parsed.error) {
+      return new Response(
+        JSON.stringify({ error: parsed.error }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+    const { name, description = null } = parsed.fields;
+
+    const category = await env.DB.prepare(
+      `INSERT INTO categories (name, description) VALUES (?, ?)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING id, name, description, created_at, updated_at`
+    ).bind(name, description).first();
+
+    if (!category) {
+      return new Response(
+        JSON.stringify({ error: `Category already exists: ${name}` }),
+        { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // Compute the centroid now rather than on the next classification
+    await loadTaxonomy(env);
+
+    return new Response(
+      JSON.stringify({ success: true, category }),
+      { status: 201, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error creating category:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to create category', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * PATCH /api/categories/:id - Rename or redescribe a category
+ *
+ * A rename carries over to feedback whose primary category used the old name.
+ */
+async function handleUpdateCategory(categoryId, request, env, corsHeaders) {
+  try {
+    const parsed = parseCategoryBody(await request.json(), true);
+    if (parsed.error || Object.keys(parsed.fields).length === 0) {
+      return new Response(
+        JSON.stringify({ error: parsed.error || 'Nothing to update: provide name or description' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const existing = await env.DB.prepare('SELECT * FROM categories WHERE id = ?').bind(categoryId).first();
+    if (!existing) {
+      return new Response(
+        JSON.stringify({ error: 'Category not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const name = parsed.fields.name ?? existing.name;
+    const description = 'description' in parsed.fields ? parsed.fields.description : existing.description;
+    const clash = await env.DB.prepare('SELECT id FROM categories WHERE name = ? AND id != ?').bind(name, categoryId).first();
+    if (clash) {
+      return new Response(
+        JSON.stringify({ error: `Category already exists: ${name}` }),
+        { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // The centroid is recomputed from the new text
+    const [updated] = await env.DB.batch([
+      env.DB.prepare(
+        `UPDATE categories SET name = ?, description = ?, centroid = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? RETURNING id, name, description, created_at, updated_at`
+      ).bind(name, description, categoryId),
+      env.DB.prepare('UPDATE feedback SET category = ? WHERE category = ?').bind(name, existing.name)
+    ]);
+    await loadTaxonomy(env);
+
+    return new Response(
+      JSON.stringify({ success: true, category: updated.results[0] }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error updating category:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to update category', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * DELETE /api/categories/:id - Remove a category and its assignments
+ *
+ * Feedback whose primary category it was goes back to uncategorized and is
+ * picked up by the next backfill.
+ */
+async function handleDeleteCategory(categoryId, env, corsHeaders) {
+  try {
+    const existing = await env.DB.prepare('SELECT name FROM categories WHERE id = ?').bind(categoryId).first();
+    if (!existing) {
+      return new Response(
+        JSON.stringify({ error: 'Category not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    await env.DB.batch([
+      env.DB.prepare(
+        'UPDATE feedback SET category = NULL, categorized_at = NULL WHERE category = ?'
+      ).bind(existing.name),
+      env.DB.prepare('DELETE FROM categories WHERE id = ?').bind(categoryId)
+    ]);
+
+    return new Response(
+      JSON.stringify({ success: true }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to delete category', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * POST /api/categories/backfill - Categorize one batch of uncategorized feedback now
+ *
+ * ?reset=true first marks all feedback for reclassification (e.g. after the
+ * taxonomy changed); the scheduled job then works through it batch by batch.
+ */
+async function handleCategoryBackfill(url, env, corsHeaders) {
+  try {
+    if (url.searchParams.get('reset') === 'true') {
+      await env.DB.prepare('UPDATE feedback SET categorized_at = NULL').run();
+    }
+
+    const result = await categorizePendingFeedback(env);
+    const { count: remaining } = await env.DB.prepare(
+      'SELECT COUNT(*) as count FROM feedback WHERE categorized_at IS NULL'
+    ).first();
+
+    return new Response(
+      JSON.stringify({ success: true, ...result, remaining }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error backfilling categories:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to backfill categories', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Extract aspects for one batch of feedback that hasn't been through aspect
+ * analysis yet, oldest first. Runs on a schedule and from POST /api/aspects/extract.
+ * Rows whose model call fails stay pending for the next run.
+ */
+async function extractPendingAspects(env) {
+  const { results } = await env.DB.prepare(
+    'SELECT id, message FROM feedback WHERE aspects_analyzed_at IS NULL ORDER BY id LIMIT ?'
+  ).bind(ASPECT_BATCH_SIZE).all();
+
+  let extracted = 0;
+  let aspects = 0;
+  await mapWithConcurrency(results, BULK_AI_CONCURRENCY, async (row) => {
+    let found;
+    try {
+      found = await extractAspects(row.message, env);
+    } catch (error) {
+      console.error(`Error extracting aspects for feedback ${row.id}:`, error);
+      return;
+    }
+
+    // Replace, so re-extracting an edited message doesn't leave stale aspects behind
+    await env.DB.batch([
+      env.DB.prepare('DELETE FROM feedback_aspects WHERE feedback_id = ?').bind(row.id),
+      ...found.map(aspect => env.DB.prepare(
+        `INSERT INTO feedback_aspects (feedback_id, aspect, sentiment, quote, quote_start, quote_end)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      ).bind(row.id, aspect.aspect, aspect.sentiment, aspect.quote, aspect.start, aspect.end)),
+      env.DB.prepare('UPDATE feedback SET aspects_analyzed_at = ? WHERE id = ?').bind(toSqlTimestamp(new Date()), row.id)
+    ]);
+    extracted++;
+    aspects += found.length;
+  });
+
+  return { processed: results.length, extracted, failed: results.length - extracted, aspects };
+}
+
+const ASPECT_BATCH_SIZE = 50;
+
+/**
+ * POST /api/aspects/extract - Extract aspects for one batch of pending feedback now
+ */
+async function handleExtractAspects(env, corsHeaders) {
+  try {
+    const result = await extractPendingAspects(env);
+
+    return new Response(
+      JSON.stringify({ success: true, ...result }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error extracting aspects:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to extract aspects', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * GET /api/aspects - Sentiment per aspect across all feedback, most mentioned first
+ *
+ * Query parameters:
+ *   limit  - number of aspects (default 50, max 200)
+ *   aspect - also return that aspect's individual mentions with their quotes
+ */
+async function handleGetAspects(url, env, corsHeaders) {
+  try {
+    const params = url.searchParams;
+    const limit = parseLimit(params.get('limit'), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const [aspects, pending] = await env.DB.batch([
+      env.DB.prepare(
+        `SELECT aspect, COUNT(DISTINCT feedback_id) as mentions,
+           SUM(sentiment = 'positive') as positive, SUM(sentiment = 'negative') as negative,
+           SUM(sentiment = 'neutral') as neutral
+         FROM feedback_aspects GROUP BY aspect ORDER BY mentions DESC, aspect LIMIT ?`
+      ).bind(limit),
+      env.DB.prepare('SELECT COUNT(*) as count FROM feedback WHERE aspects_analyzed_at IS NULL')
+    ]);
+
+    const body = { aspects: aspects.results, pending: pending.results[0].count };
+
+    if (params.get('aspect')) {
+      const { results } = await env.DB.prepare(
+        `SELECT a.feedback_id, a.sentiment, a.quote, a.quote_start, a.quote_end, f.source, f.timestamp
+         FROM feedback_aspects a JOIN feedback f ON f.id = a.feedback_id
+         WHERE a.aspect = ? ORDER BY f.timestamp DESC, f.id DESC LIMIT ?`
+      ).bind(normalizeAspect(params.get('aspect')), limit).all();
+      body.mentions = results;
+    }
+
+    return new Response(
+      JSON.stringify(body),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error getting aspects:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to retrieve aspects', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Re-cluster recent feedback into themes from the embeddings stored in Vectorize.
+ * Each theme gets an LLM-written name and summary and its most central messages
+ * as representatives; clusters smaller than CLUSTER_MIN_SIZE are dropped and
+ * their members left unclustered. The previous clustering is replaced in one
+ * transaction, and cluster ids are never reused between runs.
+ */
+async function rebuildClusters(env) {
+  const since = toSqlTimestamp(new Date(Date.now() - CLUSTER_WINDOW_DAYS * 24 * HOUR_MS));
+  const { results } = await env.DB.prepare(
+    'SELECT id, message FROM feedback WHERE timestamp >= ? ORDER BY timestamp DESC, id DESC LIMIT ?'
+  ).bind(since, CLUSTER_MAX_ITEMS).all();
+
+  // Feedback without a stored vector (embedding failed) sits this run out
+  const items = [];
+  for (let i = 0; i < results.length; i += VECTORIZE_GET_BATCH_SIZE) {
+    const rows = results.slice(i, i + VECTORIZE_GET_BATCH_SIZE);
+    const vectors = await env.VECTORIZE.getByIds(rows.map(row => row.id.toString()));
+    const values = new Map(vectors.map(vector => [vector.id, vector.values]));
+    for (const row of rows) {
+      const vector = values.get(row.id.toString());
+      if (vector?.length) items.push({ ...row, values: Array.from(vector) });
+    }
+  }
+
+  if (items.length < CLUSTER_MIN_SIZE * 2) {
+    return { clustered: 0, clusters: 0 };
+  }
+
+  const { assignments, similarities } = kMeans(items.map(item => item.values), chooseClusterCount(items.length));
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const members = groups.get(assignments[index]) || [];
+    members.push({ id: item.id, message: item.message, similarity: similarities[index] });
+    groups.set(assignments[index], members);
+  });
+
+  const clusters = [...groups.values()]
+    .filter(members => members.length >= CLUSTER_MIN_SIZE)
+    .map(members => members.sort((a, b) => b.similarity - a.similarity));
+
+  const named = await mapWithConcurrency(clusters, BULK_AI_CONCURRENCY, members => nameCluster(members, env));
+
+  const { next } = await env.DB.prepare('SELECT IFNULL(MAX(id), 0) + 1 as next FROM clusters').first();
+  const statements = [
+    env.DB.prepare('DELETE FROM clusters'),
+    env.DB.prepare('UPDATE feedback SET cluster_id = NULL WHERE cluster_id IS NOT NULL')
+  ];
+  clusters.forEach((members, index) => {
+    const clusterId = next + index;
+    statements.push(env.DB.prepare(
+      'INSERT INTO clusters (id, name, summary, size, representative_ids) VALUES (?, ?, ?, ?, ?)'
+    ).bind(
+      clusterId,
+      named[index].name,
+      named[index].summary,
+      members.length,
+      JSON.stringify(members.slice(0, CLUSTER_QUOTES).map(member => member.id))
+    ));
+    // Stay under D1's limit on bound parameters per statement
+    for (let i = 0; i < members.length; i += CLUSTER_UPDATE_BATCH_SIZE) {
+      const ids = members.slice(i, i + CLUSTER_UPDATE_BATCH_SIZE).map(member => member.id);
+      statements.push(env.DB.prepare(
+        `UPDATE feedback SET cluster_id = ? WHERE id IN (${ids.map(() => '?').join(', ')})`
+      ).bind(clusterId, ...ids));
+    }
+  });
+  await env.DB.batch(statements);
+
+  return {
+    clustered: clusters.reduce((total, members) => total + members.length, 0),
+    clusters: clusters.length
+  };
+}
+
+// Only feedback from the last CLUSTER_WINDOW_DAYS is clustered, newest CLUSTER_MAX_ITEMS at most
+const CLUSTER_WINDOW_DAYS = 90;
+const CLUSTER_MAX_ITEMS = 1000;
+const CLUSTER_MIN_SIZE = 3;
+const CLUSTER_QUOTES = 3;
+const CLUSTER_UPDATE_BATCH_SIZE = 90;
+const VECTORIZE_GET_BATCH_SIZE = 20;
+
+/**
+ * Ask the LLM for a short name and one-sentence summary of a cluster, from its
+ * most central messages. Falls back to the most central message when the model
+ * call or its JSON fails.
+ */
+async function nameCluster(members, env) {
+  const sample = members.slice(0, CLUSTER_NAMING_SAMPLE).map(member => member.message.slice(0, 300));
+
+  try {
+    const response = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You name themes in customer feedback. Given messages that belong to one theme, respond ONLY with JSON, no markdown: {"name": "theme name of at most 5 words", "summary": "one sentence describing what these customers are saying"}.'
+        },
+        {
+          role: 'user',
+          content: `Messages:\n- ${sample.join('\n- ')}`
+        }
+      ]
+    });
+
+    const responseText = response.response?.trim() || '{}';
+    const parsed = JSON.parse(responseText.replace(/```json\n?|```\n?/g, '').trim());
+    if (typeof parsed.name !== 'string' || !parsed.name.trim()) throw new Error('No cluster name in reply');
+
+    return {
+      name: parsed.name.trim().slice(0, 80),
+      summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : null
+    };
+  } catch (error) {
+    console.error('Error naming cluster:', error);
+    const [first] = sample;
+    return { name: first.length > 60 ? `${first.slice(0, 57)}...` : first, summary: null };
+  }
+}
+
+const CLUSTER_NAMING_SAMPLE = 10;
+
+/**
+ * POST /api/clusters/rebuild - Re-cluster feedback now instead of waiting for the schedule
+ */
+async function handleRebuildClusters(env, corsHeaders) {
+  try {
+    const result = await rebuildClusters(env);
+
+    return new Response(
+      JSON.stringify({ success: true, ...result }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error rebuilding clusters:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to rebuild clusters', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * GET /api/clusters - Feedback themes, largest first
+ *
+ * Each cluster has its name and summary, current size, sentiment mix, growth
+ * (members from the last 7 days vs the 7 days before; rate is the relative
+ * change, counting an empty previous week as 1) and representative quotes.
+ * Query parameters: limit (default 50, max 200)
+ */
+async function handleGetClusters(url, env, corsHeaders) {
+  try {
+    const limit = parseLimit(url.searchParams.get('limit'), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const now = Date.now();
+    const recentStart = toSqlTimestamp(new Date(now - CLUSTER_GROWTH_DAYS * 24 * HOUR_MS));
+    const previousStart = toSqlTimestamp(new Date(now - 2 * CLUSTER_GROWTH_DAYS * 24 * HOUR_MS));
+
+    const [clusterRows, members] = await env.DB.batch([
+      env.DB.prepare('SELECT * FROM clusters'),
+      env.DB.prepare(
+        `SELECT cluster_id, sentiment, COUNT(*) as count,
+           SUM(timestamp >= ?) as recent, SUM(timestamp >= ? AND timestamp < ?) as previous
+         FROM feedback WHERE cluster_id IS NOT NULL
+         GROUP BY cluster_id, sentiment`
+      ).bind(recentStart, previousStart, recentStart)
+    ]);
+
+    const clusters = new Map(clusterRows.results.map(row => [row.id, {
+      id: row.id,
+      name: row.name,
+      summary: row.summary,
+      size: 0,
+      sentiment: { positive: 0, negative: 0, neutral: 0, unanalyzed: 0 },
+      growth: { recent: 0, previous: 0, rate: 0 },
+      quotes: JSON.parse(row.representative_ids),
+      clusteredAt: row.created_at
+    }]));
+
+    for (const row of members.results) {
+      const cluster = clusters.get(row.cluster_id);
+      if (!cluster) continue;
+      cluster.size += row.count;
+      cluster.sentiment[row.sentiment || 'unanalyzed'] += row.count;
+      cluster.growth.recent += row.recent;
+      cluster.growth.previous += row.previous;
+    }
+
+    const top = [...clusters.values()]
+      .filter(cluster => cluster.size > 0)
+      .sort((a, b) => b.size - a.size || a.id - b.id)
+      .slice(0, limit);
+
+    const quoteIds = top.flatMap(cluster => cluster.quotes);
+    const quotes = new Map();
+    for (let i = 0; i < quoteIds.length; i += CLUSTER_UPDATE_BATCH_SIZE) {
+      const ids = quoteIds.slice(i, i + CLUSTER_UPDATE_BATCH_SIZE);
+      const { results } = await env.DB.prepare(
+        `SELECT id, source, sentiment, timestamp, message FROM feedback WHERE id IN (${ids.map(() => '?').join(', ')})`
+      ).bind(...ids).all();
+      results.forEach(row => quotes.set(row.id, { ...row, message: row.message.slice(0, CLUSTER_QUOTE_LENGTH) }));
+    }
+
+    for (const cluster of top) {
+      const { recent, previous } = cluster.growth;
+      cluster.growth.rate = Math.round(((recent - previous) / Math.max(previous, 1)) * 100) / 100;
+      cluster.quotes = cluster.quotes.map(id => quotes.get(id)).filter(Boolean);
+    }
+
+    return new Response(
+      JSON.stringify({ clusters: top }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error getting clusters:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to retrieve clusters', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+const CLUSTER_GROWTH_DAYS = 7;
+const CLUSTER_QUOTE_LENGTH = 280;
+
+/**
+ * GET /api/analyze-features - Best and worst features
+ *
+ * Served from the latest completed feature analysis run, with each feature's
+ * rank movement since the run before it. Until a run has completed, features are
+ * counted live from stored aspects; nothing is sent to the LLM here.
+ */
+async function handleFeatureAnalysis(env, corsHeaders) {
+  try {
+    const latest = await env.DB.prepare(
+      "SELECT * FROM feature_analysis_runs WHERE status = 'complete' ORDER BY id DESC LIMIT 1"
+    ).first();
+
+    let body;
+    if (latest) {
+      const comparison = await compareWithPreviousRun(env, latest);
+      body = {
+        bestFeatures: comparison.bestFeatures.slice(0, TOP_FEATURES),
+        worstFeatures: comparison.worstFeatures.slice(0, TOP_FEATURES),
+        analyzedCount: latest.covered,
+        positiveCount: latest.positive_count,
+        negativeCount: latest.negative_count,
+        method: 'run',
+        run: { id: latest.id, completedAt: latest.completed_at, previousRunId: comparison.previousRunId }
+      };
+    } else {
+      body = await featuresFromAspects(env) || {
+        bestFeatures: [],
+        worstFeatures: [],
+        analyzedCount: 0,
+        positiveCount: 0,
+        negativeCount: 0,
+        method: 'none',
+        message: 'No feature analysis yet; one starts on the next schedule, or start it with POST /api/feature-analysis/runs'
+      };
+    }
+
+    return new Response(
+      JSON.stringify(body),
+      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error analyzing features:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to analyze features', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * Best and worst features from stored aspects: the aspects most often praised
+ * and most often criticized, each with the ids of the feedback mentioning it.
+ * Returns null when no feedback has had its aspects extracted yet.
+ */
+async function featuresFromAspects(env) {
+  const [analyzed, best, worst] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT COUNT(*) as count, SUM(sentiment = 'positive') as positive, SUM(sentiment = 'negative') as negative
+       FROM feedback WHERE aspects_analyzed_at IS NOT NULL`
+    ),
+    ...['positive', 'negative'].map(sentiment => env.DB.prepare(
+      `SELECT aspect as feature, COUNT(DISTINCT feedback_id) as mentions,
+         (SELECT json_group_array(feedback_id) FROM (
+            SELECT DISTINCT e.feedback_id FROM feedback_aspects e
+            WHERE e.aspect = a.aspect AND e.sentiment = a.sentiment
+            ORDER BY e.feedback_id DESC LIMIT ?)) as ids
+       FROM feedback_aspects a WHERE sentiment = ?
+       GROUP BY aspect ORDER BY mentions DESC, aspect LIMIT ?`
+    ).bind(FEATURE_EVIDENCE_SIZE, sentiment, TOP_FEATURES))
+  ]);
+
+  const counts = analyzed.results[0];
+  if (counts.count === 0) return null;
+
+  return {
+    bestFeatures: best.results.map(withEvidence),
+    worstFeatures: worst.results.map(withEvidence),
+    analyzedCount: counts.count,
+    positiveCount: counts.positive,
+    negativeCount: counts.negative,
+    method: 'aspects'
+  };
+}
+
+const TOP_FEATURES = 3;
+
+/**
+ * A ranked feature row whose ids came back from json_group_array, with the ids
+ * parsed and in ascending order
+ */
+function withEvidence(row) {
+  return { ...row, ids: JSON.parse(row.ids).sort((a, b) => a - b) };
+}
+
+// Evidence kept with each ranked feature: the ids of its newest mentions, one
+// page's worth. `mentions` still counts them all; a run's full evidence is paged
+// through GET /api/feature-analysis/runs/:id/mentions.
+const FEATURE_EVIDENCE_SIZE = MAX_PAGE_SIZE;
+
+// Feedback a feature analysis run reads: anything with extracted aspects, plus
+// positive and negative feedback the LLM has to read itself
+const FEATURE_ANALYSIS_CONDITION = "(aspects_analyzed_at IS NOT NULL OR sentiment IN ('positive', 'negative'))";
+
+/**
+ * Start a feature analysis run. It is incremental (starting from the latest
+ * completed run's mentions and reading only newer feedback) unless `full` is set,
+ * there is no completed run, or the last full recompute is older than
+ * FEATURE_ANALYSIS_FULL_DAYS, so deleted and relabeled feedback eventually drops out.
+ */
+async function startFeatureAnalysisRun(env, { full = false, trigger = 'manual' } = {}) {
+  const [base, latest] = await env.DB.batch([
+    env.DB.prepare("SELECT * FROM feature_analysis_runs WHERE status = 'complete' ORDER BY id DESC LIMIT 1"),
+    env.DB.prepare('SELECT IFNULL(MAX(id), 0) as max_id FROM feedback')
+  ]);
+  const previous = base.results[0];
+  const maxId = latest.results[0].max_id;
+  const now = new Date();
+  const incremental = !full && previous &&
+    now.getTime() - new Date(`${previous.recomputed_at}Z`).getTime() < FEATURE_ANALYSIS_FULL_DAYS * 24 * HOUR_MS;
+  const cursor = incremental ? previous.max_id : 0;
+
+  const { count } = await env.DB.prepare(
+    `SELECT COUNT(*) as count FROM feedback WHERE id > ? AND id <= ? AND ${FEATURE_ANALYSIS_CONDITION}`
+  ).bind(cursor, maxId).first();
+
+  const run = await env.DB.prepare(
+    `INSERT INTO feature_analysis_runs (trigger, base_run_id, recomputed_at, cursor, max_id, total, covered,
+                                        positive_count, negative_count)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`
+  ).bind(
+    trigger,
+    incremental ? previous.id : null,
+    incremental ? previous.recomputed_at : toSqlTimestamp(now),
+    cursor,
+    maxId,
+    count,
+    incremental ? previous.covered : 0,
+    incremental ? previous.positive_count : 0,
+    incremental ? previous.negative_count : 0
+  ).first();
+
+  if (incremental) {
+    await env.DB.prepare(
+      `INSERT INTO feature_analysis_mentions (run_id, sentiment, feature, feedback_id)
+       SELECT ?, sentiment, feature, feedback_id FROM feature_analysis_mentions WHERE run_id = ?`
+    ).bind(run.id, previous.id).run();
+  }
+
+  return run;
+}
+
+const FEATURE_ANALYSIS_FULL_DAYS = 7;
+
+/**
+ * Scheduled: start a run when none is in progress and the last one started more
+ * than FEATURE_ANALYSIS_INTERVAL_HOURS ago
+ */
+async function scheduleFeatureAnalysis(env) {
+  const last = await env.DB.prepare('SELECT * FROM feature_analysis_runs ORDER BY id DESC LIMIT 1').first();
+  if (last?.status === 'running') return null;
+  if (last && Date.now() - new Date(`${last.created_at}Z`).getTime() < FEATURE_ANALYSIS_INTERVAL_HOURS * HOUR_MS) {
+    return null;
+  }
+
+  return startFeatureAnalysisRun(env, { trigger: 'schedule' });
+}
+
+const FEATURE_ANALYSIS_INTERVAL_HOURS = 24;
+
+/**
+ * Scheduled: read the next batch of the running feature analysis, if there is one
+ */
+async function advanceFeatureAnalysisRuns(env) {
+  const run = await env.DB.prepare(
+    "SELECT * FROM feature_analysis_runs WHERE status = 'running' ORDER BY id LIMIT 1"
+  ).first();
+
+  return run ? advanceFeatureAnalysis(env, run) : null;
+}
+
+/**
+ * Map step: record which feedback in the next batch after the run's cursor
+ * praises or criticizes which feature. Feedback with extracted aspects is read
+ * from feedback_aspects; the rest is sent to the LLM in chunks by sentiment.
+ * When the batch is the last one, the reduce step ranks features by the number
+ * of distinct feedback items mentioning them and completes the run.
+ */
+async function advanceFeatureAnalysis(env, run) {
+  const { results } = await env.DB.prepare(
+    `SELECT id, message, sentiment, sentiment_score, aspects_analyzed_at FROM feedback
+     WHERE id > ? AND id <= ? AND ${FEATURE_ANALYSIS_CONDITION}
+     ORDER BY id LIMIT ?`
+  ).bind(run.cursor, run.max_id, FEATURE_ANALYSIS_BATCH_SIZE).all();
+
+  // [sentiment, feature, feedback id] from the LLM
+  const mentions = [];
+
+  const chunks = [];
+  for (const sentiment of ['positive', 'negative']) {
+    const items = results.filter(row => !row.aspects_analyzed_at && row.sentiment === sentiment);
+    for (let i = 0; i < items.length; i += FEATURE_ANALYSIS_CHUNK_SIZE) {
+      chunks.push({ sentiment, items: items.slice(i, i + FEATURE_ANALYSIS_CHUNK_SIZE) });
+    }
+  }
+  await mapWithConcurrency(chunks, BULK_AI_CONCURRENCY, async ({ sentiment, items }) => {
+    const features = await extractFeatures(items, sentiment, env, FEATURE_ANALYSIS_CHUNK_FEATURES);
+    for (const { feature, ids } of features) {
+      const name = normalizeAspect(feature);
+      if (name) ids.forEach(id => mentions.push([sentiment, name, id]));
+    }
+  });
+
+  const done = results.length < FEATURE_ANALYSIS_BATCH_SIZE;
+  const cursor = results.length ? results[results.length - 1].id : run.cursor;
+
+  // Everything is conditional on the cursor this batch was read from, so when a
+  // manual advance and the schedule read the same batch, only the first one counts
+  const current = `EXISTS (SELECT 1 FROM feature_analysis_runs WHERE id = ? AND cursor = ?)`;
+  const [, , moved] = await env.DB.batch([
+    env.DB.prepare(
+      `INSERT OR IGNORE INTO feature_analysis_mentions (run_id, sentiment, feature, feedback_id)
+       SELECT ?, a.sentiment, a.aspect, a.feedback_id
+       FROM feedback_aspects a JOIN feedback f ON f.id = a.feedback_id
+       WHERE a.feedback_id > ? AND a.feedback_id <= ? AND f.aspects_analyzed_at IS NOT NULL
+         AND a.sentiment IN ('positive', 'negative') AND ${current}`
+    ).bind(run.id, run.cursor, cursor, run.id, run.cursor),
+    env.DB.prepare(
+      `INSERT OR IGNORE INTO feature_analysis_mentions (run_id, sentiment, feature, feedback_id)
+       SELECT ?, json_extract(value, '$[0]'), json_extract(value, '$[1]'), json_extract(value, '$[2]')
+       FROM json_each(?) WHERE ${current}`
+    ).bind(run.id, JSON.stringify(mentions), run.id, run.cursor),
+    env.DB.prepare(
+      `UPDATE feature_analysis_runs SET cursor = ?, processed = processed + ?, covered = covered + ?,
+         positive_count = positive_count + ?, negative_count = negative_count + ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND cursor = ? AND status = 'running'`
+    ).bind(
+      cursor,
+      results.length,
+      results.length,
+      results.filter(row => row.sentiment === 'positive').length,
+      results.filter(row => row.sentiment === 'negative').length,
+      run.id,
+      run.cursor
+    )
+  ]);
+
+  // Another advance got there first: drop this batch
+  if (!done || moved.meta.changes === 0) {
+    return env.DB.prepare('SELECT * FROM feature_analysis_runs WHERE id = ?').bind(run.id).first();
+  }
+
+  // Reduce: rank everything recorded so far, keeping the evidence
+  const [best, worst] = await env.DB.batch(['positive', 'negative'].map(sentiment => env.DB.prepare(
+    `SELECT feature, COUNT(*) as mentions,
+       (SELECT json_group_array(feedback_id) FROM (
+          SELECT e.feedback_id FROM feature_analysis_mentions e
+          WHERE e.run_id = m.run_id AND e.sentiment = m.sentiment AND e.feature = m.feature
+          ORDER BY e.feedback_id DESC LIMIT ?)) as ids
+     FROM feature_analysis_mentions m WHERE run_id = ? AND sentiment = ?
+     GROUP BY feature ORDER BY mentions DESC, feature LIMIT ?`
+  ).bind(FEATURE_EVIDENCE_SIZE, run.id, sentiment, FEATURE_ANALYSIS_LIST_SIZE)));
+
+  const completed = await env.DB.prepare(
+    `UPDATE feature_analysis_runs SET status = 'complete', best_features = ?, worst_features = ?,
+       completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'running' RETURNING *`
+  ).bind(
+    JSON.stringify(best.results.map(withEvidence)),
+    JSON.stringify(worst.results.map(withEvidence)),
+    run.id
+  ).first();
+
+  return completed || env.DB.prepare('SELECT * FROM feature_analysis_runs WHERE id = ?').bind(run.id).first();
+}
+
+// Rows read per batch, messages per LLM prompt, and features asked for per prompt
+const FEATURE_ANALYSIS_BATCH_SIZE = 100;
+const FEATURE_ANALYSIS_CHUNK_SIZE = 25;
+const FEATURE_ANALYSIS_CHUNK_FEATURES = 10;
+// Length of the stored best and worst lists
+const FEATURE_ANALYSIS_LIST_SIZE = 10;
+
+/**
+ * A completed run's best and worst lists, each feature with its rank in the
+ * previous completed run (previousRank null when it is new to the list), plus
+ * the features that dropped off
+ */
+async function compareWithPreviousRun(env, run) {
+  const previous = await env.DB.prepare(
+    "SELECT * FROM feature_analysis_runs WHERE status = 'complete' AND id < ? ORDER BY id DESC LIMIT 1"
+  ).bind(run.id).first();
+
+  const compare = (currentJson, previousJson) => {
+    const current = JSON.parse(currentJson || '[]');
+    const before = JSON.parse(previousJson || '[]').map(item => item.feature);
+    return {
+      features: current.map((item, index) => {
+        const previousIndex = before.indexOf(item.feature);
+        return {
+          ...item,
+          rank: index + 1,
+          previousRank: previous && previousIndex !== -1 ? previousIndex + 1 : null,
+          movement: !previous ? null
+            : previousIndex === -1 ? 'new'
+            : previousIndex > index ? 'up'
+            : previousIndex < index ? 'down'
+            : 'same'
+        };
+      }),
+      dropped: before
+        .map((feature, index) => ({ feature, previousRank: index + 1 }))
+        .filter(item => !current.some(entry => entry.feature === item.feature))
+    };
+  };
+
+  const best = compare(run.best_features, previous?.best_features);
+  const worst = compare(run.worst_features, previous?.worst_features);
+  return {
+    previousRunId: previous?.id ?? null,
+    bestFeatures: best.features,
+    worstFeatures: worst.features,
+    droppedBest: best.dropped,
+    droppedWorst: worst.dropped
+  };
+}
+
+/**
+ * POST /api/feature-analysis/runs - Start a feature analysis run now
+ *
+ * ?full=true recomputes from scratch instead of building on the latest run.
+ * The run advances in batches on a schedule (or via .../advance).
+ */
+async function handleStartFeatureAnalysis(url, env, corsHeaders) {
+  try {
+    const active = await env.DB.prepare(
+      "SELECT * FROM feature_analysis_runs WHERE status = 'running' ORDER BY id LIMIT 1"
+    ).first();
+
+    if (active) {
+      return new Response(
+        JSON.stringify({ error: 'A feature analysis run is already in progress', run: active }),
+        { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const run = await startFeatureAnalysisRun(env, { full: url.searchParams.get('full') === 'true' });
+
+    return new Response(
+      JSON.stringify({ success: true, run: featureAnalysisRunSummary(run) }),
+      { status: 201, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error starting feature analysis:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to start feature analysis', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * A run without its stored lists (those are returned with comparisons instead)
+ */
+function featureAnalysisRunSummary(run) {
+  const { best_features, worst_features, ...summary } = run;
+  return summary;
+}
+
+/**
+ * GET /api/feature-analysis/runs - Feature analysis history, newest first
+ */
+async function handleGetFeatureAnalysisRuns(url, env, corsHeaders) {
+  try {
+    const limit = parseLimit(url.searchParams.get('limit'), FEATURE_ANALYSIS_HISTORY_SIZE, MAX_PAGE_SIZE);
+    const { results } = await env.DB.prepare(
+      'SELECT * FROM feature_analysis_runs ORDER BY id DESC LIMIT ?'
+    ).bind(limit).all();
+
+    return new Response(
+      JSON.stringify({ runs: results.map(featureAnalysisRunSummary) }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error getting feature analysis runs:', error);
+    return new Response(
+      JSON.stringify({ error: 'Failed to retrieve feature analysis runs', details: error.message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+const FEATURE_ANALYSIS_HISTORY_SIZE = 20;
+
+/**
+ * GET /api/feature-analysis/runs/:id - One run, with its best and worst lists
+ * compared against the previous completed run
+ */
+async function handleGetFeatureAnalysisRun(runId, env, corsHeaders) {
+  try {
+    const run = await env.DB.prepare('SELECT * FROM feature_analysis_runs WHERE id = ?').bind(runId).first();
+
+    if (!run) {
+      return new Response(
+        JSON.stringify({ error: 'Feature analysis run not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const body = { run: featureAnalysisRunSummary(run) };
+    if (run.status === 'complete') {
+      Object.assign(body, await compareWithPreviousRun(env, run));
+    }
 
     return new Response(
-      JSON.stringify({
-        original: originalFeedback,
-        similar: similarFeedback,
-        scores: similarVectors.matches
-          .filter(match => match.id !== feedbackId)
-          .slice(0, 5)
-          .map(match => ({
-            id: match.id,
-            score: match.score
-          }))
-      }),
-      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      JSON.stringify(body),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   } catch (error) {
-    console.error('Error finding similar feedback:', error);
+    console.error('Error getting feature analysis run:', error);
     return new Response(
-      JSON.stringify({ error: 'Failed to find similar feedback', details: error.message }),
+      JSON.stringify({ error: 'Failed to retrieve feature analysis run', details: error.message }),
       { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   }
 }
 
 /**
- * POST /api/backfill-embeddings - Generate embeddings for existing feedback
+ * GET /api/feature-analysis/runs/:id/mentions - All feedback a run counted for one feature
+ *
+ * Query parameters:
+ *   feature   - feature name as listed in the run (required)
+ *   sentiment - positive (praised) or negative (criticized); required
+ *   limit, cursor - paging, as for GET /api/feedback (newest first)
  */
-async function handleBackfillEmbeddings(env, corsHeaders) {
+async function handleGetFeatureMentions(runId, url, env, corsHeaders) {
   try {
-    const { results: allFeedback } = await env.DB.prepare(
-      'SELECT id, message, source, sentiment FROM feedback ORDER BY id'
-    ).all();
-
-    if (!allFeedback || allFeedback.length === 0) {
+    const feature = url.searchParams.get('feature');
+    const sentiment = url.searchParams.get('sentiment');
+    if (!feature || !['positive', 'negative'].includes(sentiment)) {
       return new Response(
-        JSON.stringify({ 
-          success: true, 
-          message: 'No feedback to backfill',
-          processed: 0 
-        }),
-        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        JSON.stringify({ error: 'feature and sentiment (positive or negative) are required' }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
     }
 
-    let processed = 0;
-    let errors = 0;
-
-    // Process in batches of 5
-    const batchSize = 5;
-    for (let i = 0; i < allFeedback.length; i += batchSize) {
-      const batch = allFeedback.slice(i, i + batchSize);
-      
-      const batchPromises = batch.map(async (feedback) => {
-        try {
-          const embedding = await generateEmbedding(feedback.message, env);
-          await env.VECTORIZE.insert([
-            {
-              id: feedback.id.toString(),
-              values: embedding,
-              metadata: {
-                source: feedback.source,
-                sentiment: feedback.sentiment,
-                timestamp: new Date().toISOString()
-              }
-            }
-          ]);
-          processed++;
-          return { id: feedback.id, success: true };
-        } catch (error) {
-          console.error(`Error processing feedback ${feedback.id}:`, error);
-          errors++;
-          return { id: feedback.id, success: false, error: error.message };
-        }
-      });
+    const run = await env.DB.prepare('SELECT id FROM feature_analysis_runs WHERE id = ?').bind(runId).first();
+    if (!run) {
+      return new Response(
+        JSON.stringify({ error: 'Feature analysis run not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
 
-      await Promise.all(batchPromises);
+    let cursor = null;
+    if (url.searchParams.get('cursor')) {
+      cursor = decodeCursor(url.searchParams.get('cursor'));
+      if (!cursor) {
+        return new Response(
+          JSON.stringify({ error: 'Invalid cursor' }),
+          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        );
+      }
     }
 
+    const filters = {
+      clauses: ['id IN (SELECT feedback_id FROM feature_analysis_mentions WHERE run_id = ? AND sentiment = ? AND feature = ?)'],
+      bindings: [runId, sentiment, feature]
+    };
+    const limit = parseLimit(url.searchParams.get('limit'), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const { feedback, nextCursor, hasMore } = await fetchFeedbackPage(env, filters, cursor, limit);
+
     return new Response(
-      JSON.stringify({
-        success: true,
-        message: `Backfill complete: ${processed} embeddings created, ${errors} errors`,
-        processed,
-        errors,
-        total: allFeedback.length
-      }),
-      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      JSON.stringify({ feature, sentiment, feedback, nextCursor, hasMore }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   } catch (error) {
-    console.error('Error in backfill:', error);
+    console.error('Error getting feature mentions:', error);
     return new Response(
-      JSON.stringify({ success: false, error: error.message }),
+      JSON.stringify({ error: 'Failed to retrieve feature mentions', details: error.message }),
       { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   }
 }
 
 /**
- * GET /api/analyze-features - Analyze features mentioned in feedback
+ * POST /api/feature-analysis/runs/:id/advance - Read the run's next batch now
  */
-async function handleFeatureAnalysis(env, corsHeaders) {
+async function handleAdvanceFeatureAnalysis(runId, env, corsHeaders) {
   try {
-    // Get all feedback
-    const { results } = await env.DB.prepare(
-      `SELECT message, sentiment FROM feedback`
-    ).all();
+    const run = await env.DB.prepare('SELECT * FROM feature_analysis_runs WHERE id = ?').bind(runId).first();
 
-    if (!results || results.length === 0) {
+    if (!run) {
       return new Response(
-        JSON.stringify({ 
-          bestFeatures: [], 
-          worstFeatures: [],
-          message: 'No feedback available for analysis'
-        }),
-        { 
-          status: 200, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
-        }
+        JSON.stringify({ error: 'Feature analysis run not found' }),
+        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+    if (run.status !== 'running') {
+      return new Response(
+        JSON.stringify({ error: `Run is ${run.status}, not running` }),
+        { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
     }
 
-    // Separate positive and negative feedback
-    const positiveFeedback = results.filter(f => f.sentiment === 'positive').map(f => f.message);
-    const negativeFeedback = results.filter(f => f.sentiment === 'negative').map(f => f.message);
-
-    // Extract features using AI
-    const bestFeatures = await extractFeatures(positiveFeedback, 'positive', env);
-    const worstFeatures = await extractFeatures(negativeFeedback, 'negative', env);
+    const advanced = await advanceFeatureAnalysis(env, run);
 
     return new Response(
-      JSON.stringify({ 
-        bestFeatures, 
-        worstFeatures,
-        analyzedCount: results.length,
-        positiveCount: positiveFeedback.length,
-        negativeCount: negativeFeedback.length
-      }),
-      { 
-        status: 200, 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
-      }
+      JSON.stringify({ success: true, run: featureAnalysisRunSummary(advanced) }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   } catch (error) {
-    console.error('Error analyzing features:', error);
+    console.error('Error advancing feature analysis:', error);
     return new Response(
-      JSON.stringify({ error: 'Failed to analyze features', details: error.message }),
+      JSON.stringify({ error: 'Failed to advance feature analysis', details: error.message }),
       { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
   }
 }
 
 /**
- * Extract features from feedback using Workers AI
+ * Extract the top `limit` features from feedback items ([{ id, message }]) using
+ * Workers AI. Returns [{ feature, mentions, ids }]: the model names the numbered
+ * messages that mention each feature, and mentions is counted from those ids
+ * rather than taken from the reply. Without an AI binding, or with
+ * FEATURE_EXTRACTOR set to "keyphrases", only the offline extractor is used; it
+ * is also the fallback when the model call fails or its reply isn't a JSON
+ * array, so a model outage never leaves a batch without features.
  */
-async function extractFeatures(feedbackList, sentimentType, env) {
-  if (feedbackList.length === 0) return [];
+async function extractFeatures(items, sentimentType, env, limit = 3) {
+  if (items.length === 0) return [];
+  if (!env.AI || env.FEATURE_EXTRACTOR === 'keyphrases') {
+    return extractLocalFeatures(items, sentimentType, env, limit);
+  }
 
+  let response;
   try {
-    const combinedFeedback = feedbackList.slice(0, 20).join('\n- ');
+    const numbered = items.map((item, index) => `${index + 1}. ${item.message}`).join('\n- ');
     const prompt = sentimentType === 'positive'
-      ? `Analyze the following positive customer feedback and extract the TOP 3 most praised features, products, or aspects. Return ONLY a JSON array of objects with "feature" and "mentions" (count) fields. Feedback:\n- ${combinedFeedback}`
-      : `Analyze the following negative customer feedback and extract the TOP 3 most criticized features, products, or aspects. Return ONLY a JSON array of objects with "feature" and "mentions" (count) fields. Feedback:\n- ${combinedFeedback}`;
+      ? `Analyze the following positive customer feedback and extract the TOP ${limit} most praised features, products, or aspects. Return ONLY a JSON array of objects with "feature" and "items" (the numbers of the feedback that mention it) fields. Feedback:\n- ${numbered}`
+      : `Analyze the following negative customer feedback and extract the TOP ${limit} most criticized features, products, or aspects. Return ONLY a JSON array of objects with "feature" and "items" (the numbers of the feedback that mention it) fields. Feedback:\n- ${numbered}`;
 
-    const response = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
+    response = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
       messages: [
         {
           role: 'system',
-          content: 'You are a feature extraction expert. Analyze customer feedback and identify specific features, products, or aspects mentioned. Return ONLY valid JSON array format with no markdown or explanation. Each object must have "feature" (string) and "mentions" (number) fields.'
+          content: 'You are a feature extraction expert. Analyze customer feedback and identify specific features, products, or aspects mentioned. Return ONLY valid JSON array format with no markdown or explanation. Each object must have "feature" (string) and "items" (array of feedback numbers) fields.'
         },
         {
           role: 'user',
@@ -457,62 +4356,62 @@ async function extractFeatures(feedbackList, sentimentType, env) {
         }
       ]
     });
-
-    // Parse the AI response
-    let features = [];
-    try {
-      const responseText = response.response?.trim() || '[]';
-      // Remove markdown code blocks if present
-      const cleanedResponse = responseText.replace(/```json\n?|```\n?/g, '').trim();
-      features = JSON.parse(cleanedResponse);
-      
-      // Ensure it's an array and has the right structure
-      if (!Array.isArray(features)) {
-        features = [];
-      }
-      
-      // Validate and clean the features
-      features = features
-        .filter(f => f.feature && typeof f.feature === 'string')
-        .map(f => ({
-          feature: f.feature,
-          mentions: typeof f.mentions === 'number' ? f.mentions : 1
-        }))
-        .slice(0, 3); // Top 3 only
-      
-    } catch (parseError) {
-      console.error('Error parsing AI response:', parseError);
-      // Fallback: create simple features based on common keywords
-      features = extractKeywords(feedbackList, sentimentType);
-    }
-
-    return features;
   } catch (error) {
     console.error('Error extracting features:', error);
-    return [];
+    // Fallback: offline keyphrase extraction
+    return extractLocalFeatures(items, sentimentType, env, limit);
+  }
+
+  // Parse the AI response
+  let features = [];
+  try {
+    const responseText = response.response?.trim() || '[]';
+    // Remove markdown code blocks if present
+    const cleanedResponse = responseText.replace(/```json\n?|```\n?/g, '').trim();
+    features = JSON.parse(cleanedResponse);
+  } catch (parseError) {
+    console.error('Error parsing AI response:', parseError);
+    // Fallback: offline keyphrase extraction
+    return extractLocalFeatures(items, sentimentType, env, limit);
+  }
+
+  // Valid JSON but not the array we asked for: also unusable
+  if (!Array.isArray(features)) {
+    return extractLocalFeatures(items, sentimentType, env, limit);
   }
+
+  // Keep only item numbers that exist in this batch, and drop features without any
+  return features
+    .filter(f => f.feature && typeof f.feature === 'string' && Array.isArray(f.items))
+    .map(f => {
+      const ids = [...new Set(f.items
+        .filter(number => Number.isInteger(number) && number >= 1 && number <= items.length)
+        .map(number => items[number - 1].id))];
+      return { feature: f.feature, mentions: ids.length, ids };
+    })
+    .filter(f => f.mentions > 0)
+    .slice(0, limit);
 }
 
 /**
- * Fallback: Extract keywords manually
+ * Features from the offline keyphrase extractor (src/keyphrases.js), with IDF
+ * from how many feedback items in the whole corpus contain each candidate phrase,
+ * counted in the full-text index
  */
-function extractKeywords(feedbackList, sentimentType) {
-  const keywords = {};
-  const commonWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'me', 'him', 'them', 'us', 'so', 'than', 'too', 'very', 'just', 'can', 'to', 'of', 'in', 'for', 'on', 'with', 'as', 'by', 'at', 'from']);
-  
-  feedbackList.forEach(feedback => {
-    const words = feedback.toLowerCase().match(/\b[a-z]{3,}\b/g) || [];
-    words.forEach(word => {
-      if (!commonWords.has(word)) {
-        keywords[word] = (keywords[word] || 0) + 1;
-      }
-    });
-  });
+async function extractLocalFeatures(items, sentimentType, env, limit) {
+  const phrases = keyphraseCandidates(items, { sentiment: sentimentType }).map(candidate => candidate.phrase);
+  const [total, ...counts] = await env.DB.batch([
+    env.DB.prepare('SELECT COUNT(*) as count FROM feedback'),
+    ...phrases.map(phrase => env.DB.prepare(
+      'SELECT COUNT(*) as count FROM feedback_fts WHERE feedback_fts MATCH ?'
+    ).bind(`message : "${phrase}"`))
+  ]);
 
-  return Object.entries(keywords)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 3)
-    .map(([feature, mentions]) => ({ feature, mentions }));
+  const corpus = {
+    documentCount: total.results[0].count,
+    frequencies: new Map(phrases.map((phrase, index) => [phrase, counts[index].results[0].count]))
+  };
+  return extractKeyphrases(items, { sentiment: sentimentType, limit, corpus });
 }
 
 /**
@@ -641,6 +4540,28 @@ function handleDashboard(corsHeaders) {
             margin-top: 20px;
         }
         
+        .trend-chart svg {
+            width: 100%;
+            height: 200px;
+            display: block;
+        }
+        
+        .trend-legend {
+            display: flex;
+            justify-content: space-between;
+            font-size: 0.85em;
+            color: #666;
+            margin-top: 5px;
+        }
+        
+        .trend-legend .swatch {
+            display: inline-block;
+            width: 10px;
+            height: 10px;
+            border-radius: 2px;
+            margin: 0 4px 0 12px;
+        }
+        
         .sentiment-bar {
             margin-bottom: 15px;
         }
@@ -714,6 +4635,29 @@ function handleDashboard(corsHeaders) {
         .badge.positive { background: #c6f6d5; color: #22543d; }
         .badge.negative { background: #fed7d7; color: #742a2a; }
         .badge.neutral { background: #e2e8f0; color: #2d3748; }
+        .badge.unanalyzed { background: #fefcbf; color: #744210; }
+        
+        .sentiment-score {
+            font-size: 0.75em;
+            color: #666;
+            margin-right: 4px;
+        }
+        
+        .emotion-tag {
+            display: inline-block;
+            padding: 2px 6px;
+            border-radius: 10px;
+            font-size: 0.7em;
+            background: #ebf4ff;
+            color: #434190;
+            margin-right: 4px;
+        }
+        
+        .analysis-note {
+            margin-top: 10px;
+            font-size: 13px;
+            color: #744210;
+        }
         
         .loading {
             text-align: center;
@@ -796,6 +4740,7 @@ function handleDashboard(corsHeaders) {
             justify-content: space-between;
             align-items: center;
             transition: transform 0.2s;
+            cursor: pointer;
         }
         
         .feature-item:hover {
@@ -816,6 +4761,20 @@ function handleDashboard(corsHeaders) {
             flex: 1;
         }
         
+        .feature-movement {
+            margin-right: 10px;
+            font-size: 0.8em;
+            color: #666;
+        }
+        
+        .feature-movement.up {
+            color: #48bb78;
+        }
+        
+        .feature-movement.down {
+            color: #f56565;
+        }
+        
         .feature-mentions {
             background: #FF6633;
             color: white;
@@ -829,6 +4788,18 @@ function handleDashboard(corsHeaders) {
             cursor: pointer;
         }
         
+        .feedback-filters {
+            display: grid;
+            grid-template-columns: repeat(5, 1fr) 2fr;
+            gap: 10px;
+            margin-bottom: 15px;
+        }
+        
+        .load-more {
+            display: block;
+            margin: 15px auto 0;
+        }
+        
         .feedback-item:hover {
             background: #e9ecef !important;
         }
@@ -905,6 +4876,25 @@ function handleDashboard(corsHeaders) {
             margin-left: 10px;
         }
         
+        .duplicate-group {
+            margin: -5px 0 10px 25px;
+        }
+        
+        .duplicate-group .similar-item {
+            border-left-color: #cbd5e0;
+        }
+        
+        .duplicate-tag {
+            display: inline-block;
+            background: #e2e8f0;
+            color: #2d3748;
+            padding: 3px 8px;
+            border-radius: 12px;
+            font-size: 0.75em;
+            font-weight: bold;
+            margin-left: 10px;
+        }
+        
         @keyframes fadeIn {
             from { opacity: 0; }
             to { opacity: 1; }
@@ -970,6 +4960,9 @@ function handleDashboard(corsHeaders) {
         
         <div class="section">
             <h2>📈 Sentiment Distribution</h2>
+            <div class="trend-chart" id="trendChart">
+                <div class="loading">Loading trends...</div>
+            </div>
             <div class="sentiment-bars" id="sentimentBars">
                 <div class="loading">Loading...</div>
             </div>
@@ -1003,9 +4996,44 @@ function handleDashboard(corsHeaders) {
         <div class="section">
             <h2>💬 Recent Feedback</h2>
             <p style="color: #666; margin-bottom: 15px; font-size: 0.9em;">💡 Click on any feedback to find similar items using AI-powered semantic search</p>
+            <div class="feedback-filters">
+                <select id="filterSource">
+                    <option value="">All sources</option>
+                    <option value="Discord">Discord</option>
+                    <option value="Support">Support</option>
+                    <option value="GitHub">GitHub</option>
+                    <option value="Reddit">Reddit</option>
+                    <option value="X">X (Twitter)</option>
+                    <option value="Email">Email</option>
+                </select>
+                <select id="filterSentiment">
+                    <option value="">All sentiments</option>
+                    <option value="positive">Positive</option>
+                    <option value="negative">Negative</option>
+                    <option value="neutral">Neutral</option>
+                </select>
+                <select id="filterEmotion">
+                    <option value="">All emotions</option>
+                    <option value="frustration">Frustration</option>
+                    <option value="anger">Anger</option>
+                    <option value="confusion">Confusion</option>
+                    <option value="delight">Delight</option>
+                </select>
+                <select id="filterIntensity">
+                    <option value="">Any intensity</option>
+                    <option value="0.5">Strong (0.5+)</option>
+                    <option value="0.8">Very strong (0.8+)</option>
+                </select>
+                <select id="sortOrder">
+                    <option value="newest">Newest first</option>
+                    <option value="intensity">Strongest first</option>
+                </select>
+                <input type="text" id="filterContains" placeholder="Message contains...">
+            </div>
             <div class="feedback-list" id="feedbackList">
                 <div class="loading">Loading...</div>
             </div>
+            <button class="load-more" id="loadMoreBtn" style="display: none;">Load more</button>
         </div>
     </div>
     
@@ -1013,7 +5041,7 @@ function handleDashboard(corsHeaders) {
     <div id="similarModal" class="modal">
         <div class="modal-content">
             <div class="modal-header">
-                <h2>🔍 Similar Feedback</h2>
+                <h2 id="modalTitle">🔍 Similar Feedback</h2>
                 <button class="modal-close" onclick="closeSimilarModal()">✕</button>
             </div>
             <div id="modalContent">
@@ -1023,23 +5051,78 @@ function handleDashboard(corsHeaders) {
     </div>
 
     <script>
-        let allData = null;
+        const PAGE_SIZE = 20;
+        let nextCursor = null;
+        let loadedExtraPages = false;
         
-        // Load feedback data
+        // Load stats and the first page of feedback
         async function loadFeedback() {
             try {
-                const response = await fetch('/api/feedback');
+                const response = await fetch(feedbackUrl({ stats: 'true' }));
                 const data = await response.json();
-                allData = data;
                 renderDashboard(data);
             } catch (error) {
                 showError('Failed to load feedback: ' + error.message);
             }
         }
         
+        // Load the next page of feedback and append it to the list
+        async function loadMoreFeedback() {
+            if (!nextCursor) return;
+            const btn = document.getElementById('loadMoreBtn');
+            btn.disabled = true;
+            
+            try {
+                const response = await fetch(feedbackUrl({ cursor: nextCursor }));
+                const data = await response.json();
+                renderFeedbackList(data.feedback, true);
+                updateLoadMore(data.nextCursor);
+                loadedExtraPages = true;
+            } catch (error) {
+                showError('Failed to load more feedback: ' + error.message);
+            } finally {
+                btn.disabled = false;
+            }
+        }
+        
+        // Reload only the first page of the list (used when filters change)
+        async function reloadFeedbackList() {
+            try {
+                const response = await fetch(feedbackUrl());
+                const data = await response.json();
+                renderFeedbackList(data.feedback);
+                updateLoadMore(data.nextCursor);
+                loadedExtraPages = false;
+            } catch (error) {
+                showError('Failed to load feedback: ' + error.message);
+            }
+        }
+        
+        // Build a /api/feedback URL from the current filters
+        function feedbackUrl(extra = {}) {
+            const params = new URLSearchParams({ limit: PAGE_SIZE, ...extra });
+            const filters = {
+                source: document.getElementById('filterSource').value,
+                sentiment: document.getElementById('filterSentiment').value,
+                emotion: document.getElementById('filterEmotion').value,
+                min_intensity: document.getElementById('filterIntensity').value,
+                sort: document.getElementById('sortOrder').value,
+                contains: document.getElementById('filterContains').value.trim()
+            };
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+            return '/api/feedback?' + params.toString();
+        }
+        
+        function updateLoadMore(cursor) {
+            nextCursor = cursor;
+            document.getElementById('loadMoreBtn').style.display = cursor ? 'block' : 'none';
+        }
+        
         // Render dashboard
         function renderDashboard(data) {
-            const { feedback, stats } = data;
+            const { feedback, stats, nextCursor } = data;
             
             // Update total counts
             document.getElementById('totalCount').textContent = stats.total || 0;
@@ -1060,18 +5143,20 @@ function handleDashboard(corsHeaders) {
             document.getElementById('negativeCount').textContent = sentimentCounts.negative;
             document.getElementById('neutralCount').textContent = sentimentCounts.neutral;
             
-            // Render sentiment bars
-            renderSentimentBars(sentimentCounts, stats.total);
+            // Render sentiment bars (percentages of analyzed feedback only)
+            const analyzedTotal = sentimentCounts.positive + sentimentCounts.negative + sentimentCounts.neutral;
+            renderSentimentBars(sentimentCounts, analyzedTotal, stats);
             
             // Render source cards
             renderSourceCards(stats.bySource);
             
             // Render feedback list
             renderFeedbackList(feedback);
+            updateLoadMore(nextCursor);
         }
         
         // Render sentiment bars
-        function renderSentimentBars(counts, total) {
+        function renderSentimentBars(counts, total, stats = {}) {
             const container = document.getElementById('sentimentBars');
             const sentiments = [
                 { name: 'Positive', value: counts.positive, class: 'positive' },
@@ -1094,7 +5179,74 @@ function handleDashboard(corsHeaders) {
                         </div>
                     </div>
                 \`;
+            }).join('') + analysisNote(stats);
+        }
+        
+        // Explain feedback left out of (or guessed in) the distribution
+        function analysisNote(stats) {
+            const notes = [];
+            if (stats.unanalyzed) {
+                notes.push(\`\${stats.unanalyzed} unanalyzed (excluded)\`);
+            }
+            if (stats.fallback) {
+                notes.push(\`\${stats.fallback} neutral by fallback\`);
+            }
+            return notes.length ? \`<div class="analysis-note">⚠️ \${notes.join(' • ')}</div>\` : '';
+        }
+        
+        // Load daily sentiment trends for the last 30 days in the viewer's timezone
+        async function loadTrends() {
+            try {
+                const tz = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+                const response = await fetch('/api/stats/timeseries?bucket=day&window=30d&tz=' + encodeURIComponent(tz));
+                const data = await response.json();
+                renderTrendChart(data.series || []);
+            } catch (error) {
+                console.error('Failed to load trends:', error);
+                document.getElementById('trendChart').innerHTML = '<p style="color: #666;">Failed to load trends</p>';
+            }
+        }
+        
+        // Render one line per sentiment as an inline SVG chart
+        function renderTrendChart(series) {
+            const container = document.getElementById('trendChart');
+            
+            if (series.length === 0) {
+                container.innerHTML = '<p style="color: #666;">No trend data yet</p>';
+                return;
+            }
+            
+            const width = 1000;
+            const height = 200;
+            const padding = 10;
+            const lines = [
+                { key: 'positive', color: '#48bb78' },
+                { key: 'negative', color: '#f56565' },
+                { key: 'neutral', color: '#a0aec0' }
+            ];
+            const max = Math.max(1, ...series.flatMap(point => lines.map(line => point.sentiment[line.key])));
+            const x = index => padding + (series.length === 1 ? 0 : index * (width - 2 * padding) / (series.length - 1));
+            const y = value => height - padding - value * (height - 2 * padding) / max;
+            
+            const polylines = lines.map(line => {
+                const points = series.map((point, index) => x(index).toFixed(1) + ',' + y(point.sentiment[line.key]).toFixed(1)).join(' ');
+                return \`<polyline fill="none" stroke="\${line.color}" stroke-width="3" points="\${points}" />\`;
             }).join('');
+            
+            container.innerHTML = \`
+                <svg viewBox="0 0 \${width} \${height}" preserveAspectRatio="none">
+                    <line x1="\${padding}" y1="\${height - padding}" x2="\${width - padding}" y2="\${height - padding}" stroke="#e2e8f0" />
+                    \${polylines}
+                </svg>
+                <div class="trend-legend">
+                    <span>\${series[0].bucket}</span>
+                    <span>
+                        \${lines.map(line => \`<span class="swatch" style="background: \${line.color};"></span>\${line.key}\`).join('')}
+                        (peak \${max}/day)
+                    </span>
+                    <span>\${series[series.length - 1].bucket}</span>
+                </div>
+            \`;
         }
         
         // Render source cards
@@ -1108,36 +5260,68 @@ function handleDashboard(corsHeaders) {
             
             container.innerHTML = sources.map(s => \`
                 <div class="source-card">
-                    <div class="source-name">\${s.source}</div>
+                    <div class="source-name">\${escapeHtml(s.source)}</div>
                     <div class="source-count">\${s.count}</div>
                 </div>
             \`).join('');
         }
         
         // Render feedback list
-        function renderFeedbackList(feedback) {
+        function renderFeedbackList(feedback, append = false) {
             const container = document.getElementById('feedbackList');
             
-            if (feedback.length === 0) {
+            if (!append && feedback.length === 0) {
                 container.innerHTML = '<p style="color: #666;">No feedback yet. Submit some using the form above!</p>';
                 return;
             }
             
-            container.innerHTML = feedback.slice(0, 20).map(item => {
+            const html = feedback.map(item => {
                 const date = new Date(item.timestamp);
                 return \`
                     <div class="feedback-item \${item.sentiment || 'neutral'}" onclick="showSimilarFeedback(\${item.id})" style="cursor: pointer;">
                         <div class="feedback-header">
-                            <span><strong>\${item.source}</strong>\${item.author ? ' • ' + item.author : ''}</span>
+                            <span><strong>\${escapeHtml(item.source)}</strong>\${item.author ? ' • ' + escapeHtml(item.author) : ''}</span>
                             <span>
-                                <span class="badge \${item.sentiment || 'neutral'}">\${item.sentiment || 'neutral'}</span>
+                                \${sentimentBadge(item)}
                                 \${date.toLocaleString()}
                             </span>
                         </div>
                         <div class="feedback-message">\${escapeHtml(item.message)}</div>
+                        \${emotionTags(item)}
                     </div>
                 \`;
             }).join('');
+            
+            if (append) {
+                container.insertAdjacentHTML('beforeend', html);
+            } else {
+                container.innerHTML = html;
+            }
+        }
+        
+        function sentimentBadge(item) {
+            if (!item.sentiment) {
+                const title = item.sentiment_status === 'failed' ? 'Sentiment analysis failed; it will be retried' : 'Not analyzed yet';
+                return \`<span class="badge unanalyzed" title="\${title}">unanalyzed</span>\`;
+            }
+            if (item.sentiment_status === 'fallback') {
+                return \`<span class="badge \${item.sentiment}" title="The model gave no clear label; neutral was assumed">\${item.sentiment}?</span>\`;
+            }
+            const score = item.sentiment_score == null
+                ? ''
+                : \`<span class="sentiment-score" title="Sentiment score (-1 to 1)\${item.sentiment_confidence == null ? '' : ', confidence ' + Math.round(item.sentiment_confidence * 100) + '%'}">\${item.sentiment_score > 0 ? '+' : ''}\${item.sentiment_score.toFixed(2)}</span>\`;
+            return \`\${score}<span class="badge \${item.sentiment}">\${item.sentiment}</span>\`;
+        }
+        
+        function emotionTags(item) {
+            let emotions = [];
+            try {
+                emotions = JSON.parse(item.emotions || '[]');
+            } catch {
+                // Leave malformed values out
+            }
+            if (!emotions.length) return '';
+            return '<div style="margin-top: 6px;">' + emotions.map(emotion => \`<span class="emotion-tag">\${escapeHtml(emotion)}</span>\`).join('') + '</div>';
         }
         
         // Show similar feedback modal
@@ -1145,6 +5329,7 @@ function handleDashboard(corsHeaders) {
             const modal = document.getElementById('similarModal');
             const content = document.getElementById('modalContent');
             
+            document.getElementById('modalTitle').textContent = '🔍 Similar Feedback';
             modal.classList.add('show');
             content.innerHTML = '<div class="loading">Finding similar feedback...</div>';
             
@@ -1162,9 +5347,9 @@ function handleDashboard(corsHeaders) {
             }
         }
         
-        // Render similar feedback in modal
+        // Render similar feedback in modal, with near-duplicates grouped under their canonical item
         function renderSimilarFeedback(data) {
-            const { original, similar, scores } = data;
+            const { original, duplicates = [], similar, scores } = data;
             const content = document.getElementById('modalContent');
             
             let html = \`
@@ -1172,7 +5357,10 @@ function handleDashboard(corsHeaders) {
                     <h3 style="color: #FF6633; margin-bottom: 10px;">Original Feedback</h3>
                     <div class="similar-item" style="border-left-color: #FF6633;">
                         <div style="display: flex; justify-content: space-between; margin-bottom: 8px; font-size: 0.85em; color: #666;">
-                            <span><strong>\${original.source}</strong>\${original.author ? ' • ' + original.author : ''}</span>
+                            <span>
+                                <strong>\${escapeHtml(original.source)}</strong>\${original.author ? ' • ' + escapeHtml(original.author) : ''}
+                                \${original.duplicate_of ? \`<span class="duplicate-tag">duplicate of #\${original.duplicate_of}</span>\` : ''}
+                            </span>
                             <span class="badge \${original.sentiment}">\${original.sentiment}</span>
                         </div>
                         <div style="color: #333; line-height: 1.5;">\${escapeHtml(original.message)}</div>
@@ -1180,6 +5368,15 @@ function handleDashboard(corsHeaders) {
                 </div>
             \`;
             
+            if (duplicates.length > 0) {
+                html += \`
+                    <div style="margin-bottom: 25px;">
+                        <h3 style="color: #FF6633; margin-bottom: 10px;">🔁 Duplicates (\${duplicates.length})</h3>
+                        \${duplicates.map(item => renderSimilarItem(item, null, item.id === (original.duplicate_of ?? original.id) ? 'canonical' : null)).join('')}
+                    </div>
+                \`;
+            }
+            
             if (similar.length === 0) {
                 html += '<p style="color: #666;">No similar feedback found yet. More data needed for better matching!</p>';
             } else {
@@ -1188,32 +5385,81 @@ function handleDashboard(corsHeaders) {
                     <p style="color: #666; font-size: 0.9em; margin-bottom: 15px;">Found using AI-powered semantic search with Cloudflare Vectorize</p>
                 \`;
                 
-                similar.forEach((item, index) => {
-                    const score = scores.find(s => s.id === item.id.toString());
-                    const percentage = score ? (score.score * 100).toFixed(1) : 'N/A';
-                    const date = new Date(item.timestamp);
-                    
-                    html += \`
-                        <div class="similar-item">
-                            <div style="display: flex; justify-content: space-between; margin-bottom: 8px; font-size: 0.85em; color: #666;">
-                                <span>
-                                    <strong>\${item.source}</strong>\${item.author ? ' • ' + item.author : ''}
-                                    <span class="similarity-score">\${percentage}% match</span>
-                                </span>
-                                <span>
-                                    <span class="badge \${item.sentiment}">\${item.sentiment}</span>
-                                    \${date.toLocaleString()}
-                                </span>
-                            </div>
-                            <div style="color: #333; line-height: 1.5;">\${escapeHtml(item.message)}</div>
-                        </div>
-                    \`;
+                // Group by canonical item, keeping the best match order
+                const scoreFor = item => scores.find(s => s.id === item.id.toString())?.score ?? 0;
+                const groups = new Map();
+                [...similar].sort((a, b) => scoreFor(b) - scoreFor(a)).forEach(item => {
+                    const canonicalId = item.duplicate_of ?? item.id;
+                    if (!groups.has(canonicalId)) groups.set(canonicalId, []);
+                    groups.get(canonicalId).push(item);
+                });
+                
+                groups.forEach((items, canonicalId) => {
+                    const canonical = items.find(item => item.id === canonicalId);
+                    const [lead, ...rest] = canonical ? [canonical, ...items.filter(item => item !== canonical)] : items;
+                    html += renderSimilarItem(lead, scoreFor(lead), canonical ? null : \`duplicate of #\${canonicalId}\`);
+                    if (rest.length > 0) {
+                        html += \`<div class="duplicate-group">\${rest.map(item => renderSimilarItem(item, scoreFor(item), 'duplicate')).join('')}</div>\`;
+                    }
                 });
             }
             
             content.innerHTML = html;
         }
         
+        function renderSimilarItem(item, score, tag) {
+            const percentage = score !== null ? (score * 100).toFixed(1) : null;
+            const date = new Date(item.timestamp);
+            return \`
+                <div class="similar-item">
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 8px; font-size: 0.85em; color: #666;">
+                        <span>
+                            <strong>\${escapeHtml(item.source)}</strong>\${item.author ? ' • ' + escapeHtml(item.author) : ''}
+                            \${percentage !== null ? \`<span class="similarity-score">\${percentage}% match</span>\` : ''}
+                            \${tag ? \`<span class="duplicate-tag">\${tag}</span>\` : ''}
+                        </span>
+                        <span>
+                            <span class="badge \${item.sentiment}">\${item.sentiment}</span>
+                            \${date.toLocaleString()}
+                        </span>
+                    </div>
+                    <div style="color: #333; line-height: 1.5;">\${escapeHtml(item.message)}</div>
+                </div>
+            \`;
+        }
+        
+        // Show the feedback a feature's mention count is based on
+        async function showFeatureFeedback(list, index) {
+            const feature = shownFeatures[list][index];
+            if (!feature || !feature.ids) return;
+            const content = document.getElementById('modalContent');
+            // A run's full evidence is paged from the server; otherwise the ids listed with the feature
+            const url = shownFeatures.runId
+                ? \`/api/feature-analysis/runs/\${shownFeatures.runId}/mentions?\` + new URLSearchParams({ feature: feature.feature, sentiment: list === 'best' ? 'positive' : 'negative', limit: 200 })
+                : '/api/feedback?' + new URLSearchParams({ ids: feature.ids.join(','), limit: 200 });
+            
+            document.getElementById('modalTitle').textContent = (list === 'best' ? '👍 ' : '👎 ') + feature.feature;
+            document.getElementById('similarModal').classList.add('show');
+            content.innerHTML = '<div class="loading">Loading feedback...</div>';
+            
+            try {
+                const response = await fetch(url);
+                const data = await response.json();
+                
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to load feedback');
+                }
+                
+                const shown = feature.mentions > data.feedback.length ? \` (showing the newest \${data.feedback.length})\` : '';
+                content.innerHTML = \`
+                    <p style="color: #666; font-size: 0.9em; margin-bottom: 15px;">\${feature.mentions} feedback items mention this\${shown}</p>
+                    \${data.feedback.map(item => renderSimilarItem(item, null, null)).join('')}
+                \`;
+            } catch (error) {
+                content.innerHTML = \`<p style="color: #f56565;">Error: \${error.message}</p>\`;
+            }
+        }
+        
         // Close modal
         function closeSimilarModal() {
             document.getElementById('similarModal').classList.remove('show');
@@ -1233,6 +5479,20 @@ function handleDashboard(corsHeaders) {
             }
         });
         
+        // Paging and filters
+        document.getElementById('loadMoreBtn').addEventListener('click', loadMoreFeedback);
+        document.getElementById('filterSource').addEventListener('change', reloadFeedbackList);
+        document.getElementById('filterSentiment').addEventListener('change', reloadFeedbackList);
+        document.getElementById('filterEmotion').addEventListener('change', reloadFeedbackList);
+        document.getElementById('filterIntensity').addEventListener('change', reloadFeedbackList);
+        document.getElementById('sortOrder').addEventListener('change', reloadFeedbackList);
+        
+        let filterTimer = null;
+        document.getElementById('filterContains').addEventListener('input', () => {
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(reloadFeedbackList, 300);
+        });
+        
         // Submit test feedback
         document.getElementById('testForm').addEventListener('submit', async (e) => {
             e.preventDefault();
@@ -1263,6 +5523,7 @@ function handleDashboard(corsHeaders) {
                 
                 // Reload feedback and features
                 await loadFeedback();
+                await loadTrends();
                 await loadFeatureAnalysis();
                 
                 btn.textContent = '✓ Submitted!';
@@ -1306,17 +5567,30 @@ function handleDashboard(corsHeaders) {
             }
         }
         
+        // Rank change since the previous analysis run
+        function movementTag(feature) {
+            if (!feature.movement || feature.movement === 'same') return '';
+            if (feature.movement === 'new') return '<span class="feature-movement">new</span>';
+            const arrow = feature.movement === 'up' ? '▲' : '▼';
+            return \`<span class="feature-movement \${feature.movement}" title="Was #\${feature.previousRank}">\${arrow}</span>\`;
+        }
+        
+        // Features currently shown, so a click can look up their evidence
+        let shownFeatures = { best: [], worst: [], runId: null };
+        
         // Render feature analysis
         function renderFeatureAnalysis(data) {
             const { bestFeatures, worstFeatures } = data;
+            shownFeatures = { best: bestFeatures || [], worst: worstFeatures || [], runId: data.run?.id ?? null };
             
             const renderList = (features, className) => {
                 if (!features || features.length === 0) {
                     return '<p style="color: #666;">No data available</p>';
                 }
-                return features.map(f => \`
-                    <div class="feature-item \${className}">
+                return features.map((f, index) => \`
+                    <div class="feature-item \${className}" onclick="showFeatureFeedback('\${className}', \${index})">
                         <div class="feature-name">\${escapeHtml(f.feature)}</div>
+                        \${movementTag(f)}
                         <div class="feature-mentions">\${f.mentions} mentions</div>
                     </div>
                 \`).join('');
@@ -1328,11 +5602,15 @@ function handleDashboard(corsHeaders) {
         
         // Initial load
         loadFeedback();
+        loadTrends();
         loadFeatureAnalysis();
         
-        // Auto-refresh every 30 seconds
-        setInterval(loadFeedback, 30000);
+        // Auto-refresh every 30 seconds, unless the user is paging through older feedback
+        setInterval(() => {
+            if (!loadedExtraPages) loadFeedback();
+        }, 30000);
         setInterval(loadFeatureAnalysis, 60000);
+        setInterval(loadTrends, 60000);
     </script>
 </body>
 </html>
@@ -0,0 +1,230 @@
+/**
+ * Offline keyphrase extraction
+ * Finds the features a set of feedback talks about without Workers AI: candidate
+ * phrases are runs of up to three content words, grouped by a light stem, and
+ * ranked by TF-IDF (against the whole corpus when its document frequencies are
+ * given) weighted toward the requested sentiment. Deterministic for a given input.
+ */
+
+// Longest phrase, in words
+const MAX_PHRASE_WORDS = 3;
+
+// Candidates considered per call; callers looking up corpus frequencies use the same list
+const MAX_CANDIDATES = 50;
+
+// Extra weight for a phrase in the same clause as an opinion word of the requested
+// sentiment, and for each word beyond the first (multi-word phrases are more specific)
+const OPINION_BONUS = 0.5;
+const PHRASE_LENGTH_BONUS = 0.5;
+
+// IDF added to every phrase, so one found in every document still counts a little
+const MIN_IDF = 0.1;
+
+// Phrases scoring below this fraction of the best one are dropped as noise
+const MIN_RELATIVE_SCORE = 0.25;
+
+// Function words and filler that never start, end or appear in a feature name
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'always', 'am', 'an', 'and', 'any', 'anything', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'both', 'but', 'by', 'can', 'cannot', 'could', 'did',
+  'do', 'does', 'doing', 'done', 'during', 'each', 'even', 'ever', 'every', 'few', 'for', 'from', 'get', 'gets',
+  'getting', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'just', 'keep', 'keeps', 'kind', 'know', 'latest', 'let', 'look', 'looks', 'lot',
+  'lots', 'make', 'makes', 'me', 'more', 'most', 'much', 'my', 'need', 'needs', 'never', 'new', 'no', 'nor',
+  'not', 'now', 'of', 'off', 'ok', 'okay', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'out', 'over',
+  'please', 'pretty', 'quite', 'really', 'recent', 'recently', 'same', 'see', 'seem', 'seems', 'she', 'should',
+  'since', 'so', 'some', 'something', 'still', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'time', 'times', 'to', 'too', 'try', 'trying',
+  'until', 'up', 'us', 'use', 'used', 'using', 'very', 'want', 'was', 'way', 'we', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'yet', 'you', 'your', "can't", "didn't",
+  "doesn't", "don't", "i'm", "isn't", "it's", "i've", "won't", "wasn't"
+]);
+
+// Opinion words: they end a phrase (the feature is what they describe) and
+// signal which sentiment the clause around them carries
+const OPINION_WORDS = {
+  positive: new Set([
+    'amazing', 'awesome', 'beautiful', 'best', 'clean', 'easy', 'excellent', 'fantastic', 'fast', 'glad',
+    'good', 'great', 'happy', 'helpful', 'intuitive', 'like', 'likes', 'love', 'loved', 'loves', 'lovely',
+    'nice', 'perfect', 'reliable', 'smooth', 'thank', 'thanks', 'works', 'wonderful'
+  ]),
+  negative: new Set([
+    'annoying', 'awful', 'bad', 'broke', 'broken', 'bug', 'buggy', 'confusing', 'crash', 'crashed', 'crashes',
+    'crashing', 'difficult', 'error', 'errors', 'fail', 'failed', 'failing', 'fails', 'frustrating', 'hard',
+    'hate', 'horrible', 'issue', 'issues', 'laggy', 'missing', 'poor', 'problem', 'problems', 'slow',
+    'terrible', 'unusable', 'useless', 'worse', 'worst', 'wrong'
+  ])
+};
+
+/**
+ * Candidate phrases in `items` ([{ id, message, sentiment_score? }]), best first:
+ * [{ phrase, key, ids, weight }]. phrase is the most common wording, key the
+ * stemmed form phrases are grouped by, ids the items containing it, and weight
+ * the sentiment-weighted number of items using it. At most MAX_CANDIDATES.
+ */
+export function keyphraseCandidates(items, { sentiment } = {}) {
+  const candidates = new Map();
+
+  for (const item of items) {
+    const itemWeight = sentimentWeight(item.sentiment_score, sentiment);
+    // Best weight of each phrase within this item
+    const seen = new Map();
+
+    for (const clause of clauses(item.message)) {
+      const opinion = clause.some(word => isOpinion(word, sentiment));
+      for (const run of contentRuns(clause)) {
+        for (let length = 1; length <= MAX_PHRASE_WORDS; length++) {
+          for (let start = 0; start + length <= run.length; start++) {
+            const words = run.slice(start, start + length);
+            const key = words.map(stem).join(' ');
+            const weight = itemWeight * (opinion ? 1 + OPINION_BONUS : 1);
+            if (!seen.has(key) || seen.get(key).weight < weight) {
+              seen.set(key, { phrase: words.join(' '), weight });
+            }
+          }
+        }
+      }
+    }
+
+    for (const [key, { phrase, weight }] of seen) {
+      if (!candidates.has(key)) {
+        candidates.set(key, { key, ids: [], weight: 0, wordings: new Map() });
+      }
+      const candidate = candidates.get(key);
+      candidate.ids.push(item.id);
+      candidate.weight += weight;
+      candidate.wordings.set(phrase, (candidate.wordings.get(phrase) || 0) + 1);
+    }
+  }
+
+  return [...candidates.values()]
+    .map(({ key, ids, weight, wordings }) => ({ phrase: commonest(wordings), key, ids, weight }))
+    .sort((a, b) => b.weight - a.weight || b.key.split(' ').length - a.key.split(' ').length || compare(a.key, b.key))
+    .slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * The top `limit` features in `items`: [{ feature, mentions, ids }], where
+ * mentions is the number of items using the phrase. `corpus` ({ documentCount,
+ * frequencies }: a Map from candidate phrase to the number of feedback items in
+ * the whole corpus containing it) supplies the IDF; without it, or for a phrase
+ * it doesn't cover, the items themselves are the corpus. A phrase sharing words
+ * with a better-ranked one is left out unless most of its items are new, and so
+ * is one scoring far below the best.
+ */
+export function extractKeyphrases(items, { sentiment, limit = 3, corpus } = {}) {
+  const documentCount = corpus?.documentCount ?? items.length;
+  const frequency = phrase => Math.max(corpus?.frequencies?.get(phrase) ?? 0, 0);
+
+  const ranked = keyphraseCandidates(items, { sentiment })
+    .map(candidate => {
+      const documents = frequency(candidate.phrase) || candidate.ids.length;
+      const idf = Math.log((documentCount + 1) / (documents + 1)) + MIN_IDF;
+      const length = candidate.key.split(' ').length;
+      return { ...candidate, score: candidate.weight * idf * (1 + PHRASE_LENGTH_BONUS * (length - 1)) };
+    })
+    .sort((a, b) => b.score - a.score || compare(a.key, b.key));
+
+  const chosen = [];
+  for (const candidate of ranked) {
+    if (chosen.length >= limit || candidate.score < ranked[0].score * MIN_RELATIVE_SCORE) break;
+    if (chosen.some(other => overlaps(candidate, other))) continue;
+    chosen.push(candidate);
+  }
+
+  return chosen.map(({ phrase, ids }) => ({ feature: phrase, mentions: ids.length, ids }));
+}
+
+/**
+ * Lowercased words of a message, split into clauses at punctuation and "but"
+ */
+function clauses(message) {
+  return String(message || '')
+    .toLowerCase()
+    .split(/[.!?;:,()\[\]{}"\n]+|\s(?:but|however|although|though)\s/)
+    .map(clause => clause.match(/[a-z0-9]+(?:['’-][a-z0-9]+)*/g) || [])
+    .map(words => words.map(word => word.replace(/’/g, "'")))
+    .filter(words => words.length > 0);
+}
+
+/**
+ * Runs of consecutive content words in a clause; stopwords, opinion words and
+ * numbers break a run
+ */
+function contentRuns(words) {
+  const runs = [];
+  let current = [];
+  for (const word of words) {
+    const content = word.length > 1 && !/^\d+$/.test(word) && !STOPWORDS.has(word) && !isOpinion(word);
+    if (content) {
+      current.push(word);
+    } else if (current.length > 0) {
+      runs.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 0) runs.push(current);
+  return runs;
+}
+
+/**
+ * Whether a word expresses `sentiment` (either sentiment when none is given)
+ */
+function isOpinion(word, sentiment) {
+  if (sentiment === 'positive' || sentiment === 'negative') {
+    return OPINION_WORDS[sentiment].has(word);
+  }
+  return OPINION_WORDS.positive.has(word) || OPINION_WORDS.negative.has(word);
+}
+
+/**
+ * How much an item counts toward `sentiment`: more the stronger its score
+ * agrees, less when it disagrees, 1 when either is unknown
+ */
+function sentimentWeight(score, sentiment) {
+  if (typeof score !== 'number' || (sentiment !== 'positive' && sentiment !== 'negative')) return 1;
+  const agreement = sentiment === 'positive' ? score : -score;
+  return agreement >= 0 ? 1 + agreement : 0.5;
+}
+
+/**
+ * Light suffix stripping so that "exports", "exported" and "exporting" group
+ * together; not a full stemmer, just enough for feature names
+ */
+function stem(word) {
+  let base = word.replace(/'s$/, '');
+  if (base.length > 4 && base.endsWith('ies')) return `${base.slice(0, -3)}y`;
+  if (base.endsWith('sses')) return base.slice(0, -2);
+  if (base.length > 3 && base.endsWith('s') && !/(ss|us|is)$/.test(base)) base = base.slice(0, -1);
+
+  for (const suffix of ['ing', 'ed', 'ly']) {
+    if (base.endsWith(suffix) && base.length - suffix.length >= 3) {
+      base = base.slice(0, -suffix.length);
+      // "running" -> "run"
+      if (suffix !== 'ly' && /([^aeiouls])\1$/.test(base)) base = base.slice(0, -1);
+      break;
+    }
+  }
+
+  // "update" and "updat(ed)" meet in the middle
+  return base.length > 4 && base.endsWith('e') ? base.slice(0, -1) : base;
+}
+
+/**
+ * Whether `candidate` shares a word with `chosen` (so "csv" or "mode feature"
+ * next to "csv export" or "dark mode") and fewer than half of its items are new
+ */
+function overlaps(candidate, chosen) {
+  const words = new Set(chosen.key.split(' '));
+  if (!candidate.key.split(' ').some(word => words.has(word))) return false;
+  const ids = new Set(chosen.ids);
+  return candidate.ids.filter(id => !ids.has(id)).length * 2 < candidate.ids.length;
+}
+
+function commonest(wordings) {
+  return [...wordings].sort((a, b) => b[1] - a[1] || compare(a[0], b[0]))[0][0];
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
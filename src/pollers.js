@@ -0,0 +1,214 @@
+/**
+ * Source pollers
+ * Fetchers for sources that can't push to us. Each poller reads its settings
+ * from env, fetches posts newer than its cursor and maps them to feedback
+ * records; the scheduled job stores the records and persists the new cursor.
+ *
+ * A poller is { source, config(env), poll(config, cursor) } where config returns
+ * null when the source isn't configured, and poll resolves to
+ * { items, cursor } with items oldest first.
+ */
+
+const USER_AGENT = 'feedback-aggregator/1.0';
+
+export const POLLERS = [
+  {
+    source: 'Reddit',
+    config: env => {
+      const subreddits = splitList(env.REDDIT_SUBREDDITS);
+      if (!subreddits.length) return null;
+      return {
+        baseUrl: trimSlash(env.REDDIT_API_BASE || 'https://www.reddit.com'),
+        subreddits,
+        keywords: splitList(env.REDDIT_KEYWORDS),
+        token: env.REDDIT_API_TOKEN || null
+      };
+    },
+    poll: pollReddit
+  },
+  {
+    source: 'X',
+    config: env => {
+      const keywords = splitList(env.X_KEYWORDS);
+      if (!keywords.length || !env.X_BEARER_TOKEN) return null;
+      return {
+        baseUrl: trimSlash(env.X_API_BASE || 'https://api.x.com'),
+        keywords,
+        token: env.X_BEARER_TOKEN
+      };
+    },
+    poll: pollX
+  }
+];
+
+/**
+ * Newest posts across the configured subreddits, following listing pages back to
+ * the cursor (up to REDDIT_MAX_PAGES per poll). The cursor is the created_utc of the newest post seen; posts at
+ * exactly that second are fetched again and left to external-id deduplication,
+ * so none are lost to timestamp ties.
+ */
+async function pollReddit(config, cursor) {
+  const backlog = readCursor(cursor);
+  const since = backlog.since ? Number(backlog.since) : 0;
+  const headers = { 'User-Agent': USER_AGENT };
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+
+  const fetched = [];
+  let after = backlog.after || null;
+  for (let page = 0; page < REDDIT_MAX_PAGES; page++) {
+    const url = new URL(`${config.baseUrl}/r/${config.subreddits.join('+')}/new.json`);
+    url.searchParams.set('limit', String(REDDIT_PAGE_SIZE));
+    url.searchParams.set('raw_json', '1');
+    if (after) url.searchParams.set('after', after);
+
+    const listing = await fetchJson(url, headers);
+    const children = (listing.data?.children || []).map(child => child.data).filter(Boolean);
+    fetched.push(...children);
+
+    // Listings run newest first, so a post older than the cursor means we've caught up;
+    // the first poll (no cursor) just takes the newest page
+    after = listing.data?.after || null;
+    if (!after || !since || children.some(post => post.created_utc < since)) {
+      after = null;
+      break;
+    }
+  }
+
+  const posts = fetched
+    .filter(post => post.created_utc >= since)
+    .filter(post => matchesKeywords(`${post.title}\n${post.selftext || ''}`, config.keywords))
+    .sort((a, b) => a.created_utc - b.created_utc);
+
+  const newest = fetched.reduce((max, post) => Math.max(max, post.created_utc), Number(backlog.newest || since));
+
+  return {
+    items: posts.map(post => ({
+      source: 'Reddit',
+      message: [post.title, post.selftext].filter(Boolean).join('\n\n'),
+      author: post.author,
+      externalId: post.name,
+      timestamp: new Date(post.created_utc * 1000),
+      metadata: {
+        subreddit: post.subreddit,
+        url: `https://www.reddit.com${post.permalink}`,
+        score: post.score,
+        comments: post.num_comments
+      }
+    })),
+    // Hit the page limit before reaching the cursor: the next poll carries on from `after`
+    cursor: after
+      ? JSON.stringify({ since: backlog.since, after, newest: String(newest) })
+      : (newest ? String(newest) : null)
+  };
+}
+
+// A listing page holds at most 100 posts
+const REDDIT_PAGE_SIZE = 100;
+const REDDIT_MAX_PAGES = 5;
+
+/**
+ * Recent-search over the configured keywords, following next_token pages back
+ * to the cursor (up to X_MAX_PAGES per poll). The cursor is the newest post id, passed back as since_id.
+ */
+async function pollX(config, cursor) {
+  const backlog = readCursor(cursor);
+  const query = `(${config.keywords.map(quoteKeyword).join(' OR ')}) -is:retweet`;
+  const headers = { Authorization: `Bearer ${config.token}`, 'User-Agent': USER_AGENT };
+  const posts = [];
+  const users = new Map();
+  let newestId = backlog.newest || null;
+  let nextToken = null;
+
+  for (let page = 0; page < X_MAX_PAGES; page++) {
+    const url = new URL(`${config.baseUrl}/2/tweets/search/recent`);
+    url.searchParams.set('query', query);
+    url.searchParams.set('max_results', String(X_PAGE_SIZE));
+    url.searchParams.set('tweet.fields', 'created_at,author_id,lang,public_metrics');
+    url.searchParams.set('expansions', 'author_id');
+    url.searchParams.set('user.fields', 'username');
+    if (backlog.since) url.searchParams.set('since_id', backlog.since);
+    if (backlog.until) url.searchParams.set('until_id', backlog.until);
+    if (nextToken) url.searchParams.set('next_token', nextToken);
+
+    const body = await fetchJson(url, headers);
+    posts.push(...(body.data || []));
+    (body.includes?.users || []).forEach(user => users.set(user.id, user.username));
+    // The first page holds the newest results
+    newestId ??= body.meta?.newest_id || null;
+
+    nextToken = body.meta?.next_token;
+    if (!nextToken) break;
+  }
+
+  posts.sort((a, b) => compareIds(a.id, b.id));
+
+  return {
+    items: posts.map(post => {
+      const username = users.get(post.author_id);
+      return {
+        source: 'X',
+        message: post.text,
+        author: username || post.author_id || null,
+        externalId: post.id,
+        timestamp: post.created_at ? new Date(post.created_at) : null,
+        metadata: {
+          url: `https://x.com/${username || 'i/web'}/status/${post.id}`,
+          lang: post.lang || null,
+          likes: post.public_metrics?.like_count ?? null,
+          reposts: post.public_metrics?.retweet_count ?? null
+        }
+      };
+    }),
+    // Hit the page limit before reaching since_id: the next poll searches below the oldest post fetched
+    cursor: nextToken && backlog.since && posts.length
+      ? JSON.stringify({ since: backlog.since, until: posts[0].id, newest: newestId })
+      : newestId || backlog.since || null
+  };
+}
+
+const X_PAGE_SIZE = 100;
+const X_MAX_PAGES = 5;
+
+/**
+ * A stored cursor is either the plain position (newest post seen) or, while a
+ * poll that hit its page limit is still being caught up, JSON holding that
+ * position (`since`), where to carry on (`after` or `until`) and the newest
+ * post seen so far (`newest`), which becomes the position once caught up
+ */
+function readCursor(cursor) {
+  if (!cursor) return {};
+  return cursor.startsWith('{') ? JSON.parse(cursor) : { since: cursor };
+}
+
+async function fetchJson(url, headers) {
+  const response = await fetch(url.toString(), { headers });
+  if (!response.ok) {
+    throw new Error(`${url.origin}${url.pathname} responded ${response.status}`);
+  }
+  return response.json();
+}
+
+function matchesKeywords(text, keywords) {
+  if (!keywords.length) return true;
+  const lower = text.toLowerCase();
+  return keywords.some(keyword => lower.includes(keyword.toLowerCase()));
+}
+
+function quoteKeyword(keyword) {
+  return /\s/.test(keyword) ? `"${keyword.replace(/"/g, '')}"` : keyword;
+}
+
+/**
+ * Order snowflake ids numerically (they're too large for Number)
+ */
+function compareIds(a, b) {
+  return a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
@@ -0,0 +1,58 @@
+/**
+ * Urgency classification
+ * Shared by the notification workflow and the ingestion queue consumer
+ */
+
+/**
+ * Classify feedback as CRITICAL, HIGH or NORMAL using Workers AI.
+ * Falls back to a sentiment-based guess when the model call or its JSON fails.
+ * Returns { level, confidence, reason, category }.
+ */
+export async function analyzeUrgency(message, sentiment, env) {
+  try {
+    const prompt = `Analyze this customer feedback for urgency. Classify as CRITICAL, HIGH, or NORMAL.
+
+CRITICAL = Security issues, complete service failures, data loss, payment errors, legal threats
+HIGH = Major bugs, broken features, workflow blockers, angry customers
+NORMAL = Feature requests, minor bugs, general feedback
+
+Feedback: "${message}"
+Sentiment: ${sentiment}
+
+Respond ONLY with JSON: {"level": "CRITICAL|HIGH|NORMAL", "confidence": 0.0-1.0, "reason": "brief explanation", "category": "issue type"}`;
+
+    const response = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an urgency classifier. Return only valid JSON with no markdown.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+
+    // Parse AI response
+    const responseText = response.response?.trim() || '{}';
+    const cleanedResponse = responseText.replace(/```json\n?|```\n?/g, '').trim();
+    const analysis = JSON.parse(cleanedResponse);
+
+    return {
+      level: analysis.level || 'NORMAL',
+      confidence: analysis.confidence || 0.5,
+      reason: analysis.reason || 'No specific reason provided',
+      category: analysis.category || 'General'
+    };
+  } catch (error) {
+    console.error('Error analyzing urgency:', error);
+    // Default to NORMAL on error, unless sentiment is very negative
+    return {
+      level: sentiment === 'negative' ? 'HIGH' : 'NORMAL',
+      confidence: 0.5,
+      reason: 'Fallback classification based on sentiment',
+      category: 'General'
+    };
+  }
+}
@@ -1,4 +1,5 @@
 import { WorkflowEntrypoint } from 'cloudflare:workers';
+import { analyzeUrgency } from './urgency.js';
 
 /**
  * Feedback Notification Workflow
@@ -13,7 +14,12 @@ export class FeedbackNotificationWorkflow extends WorkflowEntrypoint {
       return await this.analyzeUrgency(message, sentiment);
     });
 
-    // Step 2: If urgent, send Slack notification
+    // Step 2: Persist the analysis so exports and the API can report it
+    await step.do('store-urgency', async () => {
+      return await this.storeUrgency(feedbackId, urgency);
+    });
+
+    // Step 3: If urgent, send Slack notification
     if (urgency.level === 'CRITICAL' || urgency.level === 'HIGH') {
       await step.do('send-slack-notification', async () => {
         return await this.sendSlackNotification({
@@ -38,52 +44,18 @@ export class FeedbackNotificationWorkflow extends WorkflowEntrypoint {
    * Analyze urgency using Workers AI
    */
   async analyzeUrgency(message, sentiment) {
-    try {
-      const prompt = `Analyze this customer feedback for urgency. Classify as CRITICAL, HIGH, or NORMAL.
-
-CRITICAL = Security issues, complete service failures, data loss, payment errors, legal threats
-HIGH = Major bugs, broken features, workflow blockers, angry customers
-NORMAL = Feature requests, minor bugs, general feedback
-
-Feedback: "${message}"
-Sentiment: ${sentiment}
-
-Respond ONLY with JSON: {"level": "CRITICAL|HIGH|NORMAL", "confidence": 0.0-1.0, "reason": "brief explanation", "category": "issue type"}`;
-
-      const response = await this.env.AI.run('@cf/meta/llama-3-8b-instruct', {
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an urgency classifier. Return only valid JSON with no markdown.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      });
+    return analyzeUrgency(message, sentiment, this.env);
+  }
 
-      // Parse AI response
-      const responseText = response.response?.trim() || '{}';
-      const cleanedResponse = responseText.replace(/```json\n?|```\n?/g, '').trim();
-      const analysis = JSON.parse(cleanedResponse);
+  /**
+   * Save the urgency analysis on the feedback row
+   */
+  async storeUrgency(feedbackId, urgency) {
+    await this.env.DB.prepare(
+      'UPDATE feedback SET urgency = ?, urgency_confidence = ?, urgency_reason = ? WHERE id = ?'
+    ).bind(urgency.level, urgency.confidence, urgency.reason, feedbackId).run();
 
-      return {
-        level: analysis.level || 'NORMAL',
-        confidence: analysis.confidence || 0.5,
-        reason: analysis.reason || 'No specific reason provided',
-        category: analysis.category || 'General'
-      };
-    } catch (error) {
-      console.error('Error analyzing urgency:', error);
-      // Default to NORMAL on error, unless sentiment is very negative
-      return {
-        level: sentiment === 'negative' ? 'HIGH' : 'NORMAL',
-        confidence: 0.5,
-        reason: 'Fallback classification based on sentiment',
-        category: 'General'
-      };
-    }
+    return { stored: true };
   }
 
   /**
@@ -0,0 +1,123 @@
+import { env, createExecutionContext, createScheduledController, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createMockAI, createTestEnv, seedFeedback } from './helpers';
+
+// Canned aspect replies, keyed by message
+const ASPECTS = {
+	'Support was great but the export is broken': [
+		{ aspect: 'Support', sentiment: 'positive', quote: 'support was great' },
+		{ aspect: 'export', sentiment: 'negative', quote: 'the export is broken' },
+	],
+	'Export keeps timing out': [{ aspect: ' Export ', sentiment: 'negative', quote: 'export times out' }],
+	'Love the dark mode': [
+		{ aspect: 'dark mode', sentiment: 'positive', quote: 'Love the dark mode' },
+		{ aspect: 'pricing', sentiment: 'angry', quote: 'dark' },
+	],
+};
+
+describe('aspect-based sentiment', () => {
+	let testEnv;
+	let aiDown;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		aiDown = false;
+		testEnv = createTestEnv(env, {
+			AI: createMockAI((messages) => {
+				if (!messages[0].content.includes('aspect-based')) return 'neutral';
+				if (aiDown) throw new Error('AI unavailable');
+				const text = messages.at(-1).content;
+				return text in ASPECTS ? '```json\n' + JSON.stringify(ASPECTS[text]) + '\n```' : 'No aspects here.';
+			}),
+		});
+	});
+
+	const tick = async () => {
+		const ctx = createExecutionContext();
+		await worker.scheduled(createScheduledController({ cron: '*/30 * * * *' }), testEnv, ctx);
+		await waitOnExecutionContext(ctx);
+	};
+
+	const get = async (path) => (await worker.fetch(new Request(`http://example.com${path}`), testEnv)).json();
+
+	const stored = async () => {
+		const { results } = await env.DB.prepare(
+			'SELECT feedback_id, aspect, sentiment, quote, quote_start, quote_end FROM feedback_aspects ORDER BY id',
+		).all();
+		return results;
+	};
+
+	it('stores each aspect with its own sentiment and quote span', async () => {
+		const [mixed, timeout, dark, plain] = await seedFeedback(env.DB, [
+			{ source: 'Support', message: 'Support was great but the export is broken', sentiment: 'neutral' },
+			{ source: 'Discord', message: 'Export keeps timing out', sentiment: 'negative' },
+			{ source: 'Discord', message: 'Love the dark mode', sentiment: 'positive' },
+			{ source: 'Discord', message: 'Hello', sentiment: 'neutral' },
+		]);
+
+		await tick();
+
+		expect(await stored()).toEqual([
+			{ feedback_id: mixed, aspect: 'support', sentiment: 'positive', quote: 'Support was great', quote_start: 0, quote_end: 17 },
+			{ feedback_id: mixed, aspect: 'export', sentiment: 'negative', quote: 'the export is broken', quote_start: 22, quote_end: 42 },
+			// A paraphrased quote is kept without a span
+			{ feedback_id: timeout, aspect: 'export', sentiment: 'negative', quote: 'export times out', quote_start: null, quote_end: null },
+			{ feedback_id: dark, aspect: 'dark mode', sentiment: 'positive', quote: 'Love the dark mode', quote_start: 0, quote_end: 18 },
+		]);
+
+		const { aspects, pending } = await get('/api/aspects');
+		expect(pending).toBe(0);
+		expect(aspects).toEqual([
+			{ aspect: 'export', mentions: 2, positive: 0, negative: 2, neutral: 0 },
+			{ aspect: 'dark mode', mentions: 1, positive: 1, negative: 0, neutral: 0 },
+			{ aspect: 'support', mentions: 1, positive: 1, negative: 0, neutral: 0 },
+		]);
+
+		const { mentions } = await get('/api/aspects?aspect=Export');
+		expect(mentions.map((mention) => mention.feedback_id)).toEqual([timeout, mixed]);
+
+		// Deleting feedback removes its aspects
+		await worker.fetch(new Request(`http://example.com/api/feedback/${plain}`, { method: 'DELETE' }), testEnv);
+		await worker.fetch(new Request(`http://example.com/api/feedback/${dark}`, { method: 'DELETE' }), testEnv);
+		expect((await stored()).map((row) => row.aspect)).toEqual(['support', 'export', 'export']);
+	});
+
+	it('answers best and worst features from stored aspects without prompting again', async () => {
+		const [mixed, timeout, dark] = await seedFeedback(env.DB, [
+			{ source: 'Support', message: 'Support was great but the export is broken', sentiment: 'neutral' },
+			{ source: 'Discord', message: 'Export keeps timing out', sentiment: 'negative' },
+			{ source: 'Discord', message: 'Love the dark mode', sentiment: 'positive' },
+		]);
+		await tick();
+		const calls = testEnv.AI.calls.length;
+
+		expect(await get('/api/analyze-features')).toEqual({
+			bestFeatures: [
+				{ feature: 'dark mode', mentions: 1, ids: [dark] },
+				{ feature: 'support', mentions: 1, ids: [mixed] },
+			],
+			worstFeatures: [{ feature: 'export', mentions: 2, ids: [mixed, timeout] }],
+			analyzedCount: 3,
+			positiveCount: 1,
+			negativeCount: 1,
+			method: 'aspects',
+		});
+		expect(testEnv.AI.calls).toHaveLength(calls);
+	});
+
+	it('leaves feedback pending when the model call fails', async () => {
+		const [id] = await seedFeedback(env.DB, [{ source: 'Discord', message: 'Love the dark mode', sentiment: 'positive' }]);
+		aiDown = true;
+
+		const response = await worker.fetch(new Request('http://example.com/api/aspects/extract', { method: 'POST' }), testEnv);
+		expect(await response.json()).toEqual({ success: true, processed: 1, extracted: 0, failed: 1, aspects: 0 });
+		expect((await get('/api/aspects')).pending).toBe(1);
+		// Nothing extracted and no completed run yet, so there is nothing to serve
+		expect((await get('/api/analyze-features')).method).toBe('none');
+
+		aiDown = false;
+		await worker.fetch(new Request('http://example.com/api/aspects/extract', { method: 'POST' }), testEnv);
+		expect((await stored()).map((row) => row.feedback_id)).toEqual([id]);
+	});
+});
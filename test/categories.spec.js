@@ -0,0 +1,164 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createMockAI, createTestEnv, seedFeedback } from './helpers';
+
+describe('category classification', () => {
+	let testEnv;
+	let classifierDown;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		classifierDown = false;
+		testEnv = createTestEnv(env, {
+			AI: createMockAI((messages) => {
+				if (!messages[0].content.includes('feedback classifier')) return 'neutral';
+				if (classifierDown) throw new Error('AI unavailable');
+				const text = messages.at(-1).content;
+				if (text.includes('slow')) {
+					return JSON.stringify([
+						{ category: 'performance', confidence: 0.9 },
+						{ category: 'Billing', confidence: 0.6 },
+						{ category: 'Security', confidence: 0.8 },
+						{ category: 'UI', confidence: 0.2 },
+					]);
+				}
+				return '[]';
+			}),
+		});
+	});
+
+	const call = async (method, path, body) => {
+		const response = await worker.fetch(
+			new Request(`http://example.com${path}`, {
+				method,
+				headers: { 'Content-Type': 'application/json' },
+				body: body === undefined ? undefined : JSON.stringify(body),
+			}),
+			testEnv,
+		);
+		return { status: response.status, body: await response.json() };
+	};
+
+	const createTaxonomy = async () => {
+		for (const [name, description] of [
+			['Performance', 'speed latency timeouts'],
+			['Billing', 'invoice payment refund'],
+			['UI', 'layout navigation design'],
+		]) {
+			await call('POST', '/api/categories', { name, description });
+		}
+	};
+
+	it('manages the taxonomy through the API', async () => {
+		const created = await call('POST', '/api/categories', { name: ' Docs ', description: 'Guides and API reference' });
+		expect(created.status).toBe(201);
+		expect(created.body.category).toMatchObject({ name: 'Docs', description: 'Guides and API reference' });
+		expect((await call('POST', '/api/categories', { name: 'docs' })).status).toBe(409);
+		expect((await call('POST', '/api/categories', { name: '' })).status).toBe(400);
+
+		// Centroids are computed up front and never returned
+		const { centroid } = await env.DB.prepare('SELECT centroid FROM categories WHERE id = ?').bind(created.body.category.id).first();
+		expect(JSON.parse(centroid)).toHaveLength(768);
+
+		const [id] = await seedFeedback(env.DB, [{ source: 'Discord', message: 'Where are the docs?', category: 'Docs' }]);
+		const renamed = await call('PATCH', `/api/categories/${created.body.category.id}`, { name: 'Documentation' });
+		expect(renamed.body.category.name).toBe('Documentation');
+		expect((await call('GET', `/api/feedback/${id}`)).body.feedback.category).toBe('Documentation');
+
+		const { body } = await call('GET', '/api/categories');
+		expect(body.categories).toEqual([expect.objectContaining({ name: 'Documentation', count: 0 })]);
+		expect(body.categories[0].centroid).toBeUndefined();
+
+		expect((await call('DELETE', `/api/categories/${created.body.category.id}`)).status).toBe(200);
+		expect((await call('GET', `/api/feedback/${id}`)).body.feedback.category).toBeNull();
+		expect((await call('DELETE', `/api/categories/${created.body.category.id}`)).status).toBe(404);
+	});
+
+	it('assigns categories with confidence at ingest time', async () => {
+		await createTaxonomy();
+
+		const posted = await call('POST', '/api/feedback', { source: 'Discord', message: 'Checkout is slow' });
+		const { body } = await call('GET', `/api/feedback/${posted.body.id}`);
+		expect(body.feedback.category).toBe('Performance');
+		// Unknown names and low-confidence answers are dropped
+		expect(body.categories).toEqual([
+			{ name: 'Performance', confidence: 0.9, method: 'llm' },
+			{ name: 'Billing', confidence: 0.6, method: 'llm' },
+		]);
+
+		// A submitter's category stays primary
+		const tagged = await call('POST', '/api/feedback', { source: 'Discord', message: 'Search is slow', category: 'Search' });
+		expect((await call('GET', `/api/feedback/${tagged.body.id}`)).body.feedback.category).toBe('Search');
+
+		// Filtering by category matches any assigned category
+		const billing = await call('GET', '/api/feedback?category=Billing');
+		expect(billing.body.feedback.map((item) => item.id)).toEqual([tagged.body.id, posted.body.id]);
+	});
+
+	it('falls back to the nearest centroid when the model is unavailable', async () => {
+		await createTaxonomy();
+		classifierDown = true;
+
+		const posted = await call('POST', '/api/feedback', { source: 'Support', message: 'Refund for a wrong invoice payment' });
+		const { body } = await call('GET', `/api/feedback/${posted.body.id}`);
+		expect(body.feedback.category).toBe('Billing');
+		expect(body.categories).toEqual([{ name: 'Billing', confidence: expect.any(Number), method: 'centroid' }]);
+		expect(body.categories[0].confidence).toBeGreaterThan(0.5);
+
+		// Nothing close enough: no category
+		const other = await call('POST', '/api/feedback', { source: 'Support', message: 'Hello there' });
+		expect((await call('GET', `/api/feedback/${other.body.id}`)).body.categories).toEqual([]);
+	});
+
+	it('backfills existing feedback and reclassifies it on reset', async () => {
+		const [slow, hello, tagged] = await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'Pages are slow' },
+			{ source: 'Discord', message: 'Hello' },
+			{ source: 'Discord', message: 'Everything is slow', category: 'Docs' },
+		]);
+
+		// No taxonomy yet: nothing to do, rows stay pending
+		expect((await call('POST', '/api/categories/backfill')).body).toEqual({ success: true, processed: 0, categorized: 0, failed: 0, remaining: 3 });
+
+		await createTaxonomy();
+		const backfill = await call('POST', '/api/categories/backfill');
+		expect(backfill.body).toEqual({ success: true, processed: 3, categorized: 2, failed: 0, remaining: 0 });
+
+		const category = async (id) => (await call('GET', `/api/feedback/${id}`)).body.feedback.category;
+		expect(await category(slow)).toBe('Performance');
+		expect(await category(hello)).toBeNull();
+		expect(await category(tagged)).toBe('Docs');
+
+		// On a reset the classifier's own choice is replaced, but a person's is kept
+		classifierDown = true;
+		const reset = await call('POST', '/api/categories/backfill?reset=true');
+		expect(reset.body).toMatchObject({ processed: 3, categorized: 0, remaining: 0 });
+		expect(await category(slow)).toBeNull();
+		expect(await category(tagged)).toBe('Docs');
+	});
+
+	it('leaves feedback pending when neither the model nor embeddings are available', async () => {
+		await createTaxonomy();
+		const [id] = await seedFeedback(env.DB, [{ source: 'Discord', message: 'Pages are slow' }]);
+
+		classifierDown = true;
+		const run = testEnv.AI.run;
+		testEnv.AI.run = async (model, input) => {
+			if (model.includes('bge')) throw new Error('AI unavailable');
+			return run(model, input);
+		};
+
+		const failed = await call('POST', '/api/categories/backfill');
+		expect(failed.body).toEqual({ success: true, processed: 1, categorized: 0, failed: 1, remaining: 1 });
+		const pending = await env.DB.prepare('SELECT categorized_at FROM feedback WHERE id = ?').bind(id).first();
+		expect(pending.categorized_at).toBeNull();
+
+		// Once the model is back the row is picked up again
+		classifierDown = false;
+		testEnv.AI.run = run;
+		const retried = await call('POST', '/api/categories/backfill');
+		expect(retried.body).toEqual({ success: true, processed: 1, categorized: 1, failed: 0, remaining: 0 });
+		expect((await call('GET', `/api/feedback/${id}`)).body.feedback.category).toBe('Performance');
+	});
+});
@@ -0,0 +1,94 @@
+import { env, createExecutionContext, createScheduledController, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createMockAI, createTestEnv, fakeEmbedding, seedFeedback } from './helpers';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+
+const THEMES = [
+	{ source: 'Discord', message: 'csv export broken again', sentiment: 'negative', timestamp: daysAgo(1) },
+	{ source: 'Support', message: 'export to csv broken', sentiment: 'negative', timestamp: daysAgo(2) },
+	{ source: 'Discord', message: 'csv export is broken for me', sentiment: 'negative', timestamp: daysAgo(3) },
+	{ source: 'GitHub', message: 'broken csv export', sentiment: 'neutral', timestamp: daysAgo(10) },
+	{ source: 'Discord', message: 'love the dark mode theme', sentiment: 'positive', timestamp: daysAgo(9) },
+	{ source: 'Discord', message: 'dark mode theme looks lovely', sentiment: 'positive', timestamp: daysAgo(10) },
+	{ source: 'Support', message: 'the dark theme mode is great', sentiment: 'positive', timestamp: daysAgo(12) },
+	{ source: 'Support', message: 'invoice billing amount wrong', sentiment: 'negative', timestamp: daysAgo(2) },
+	{ source: 'Support', message: 'wrong invoice billing total', sentiment: 'negative', timestamp: daysAgo(4) },
+	{ source: 'Support', message: 'billing invoice is wrong', sentiment: null, timestamp: daysAgo(5) },
+	{ source: 'Discord', message: 'hello', sentiment: 'neutral', timestamp: daysAgo(1) },
+	// Outside the clustering window
+	{ source: 'Discord', message: 'csv export broken last year', sentiment: 'negative', timestamp: daysAgo(200) },
+];
+
+describe('theme clustering', () => {
+	let testEnv;
+	let ids;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env, {
+			AI: createMockAI((messages) => {
+				const text = messages.at(-1).content;
+				if (!messages[0].content.includes('name themes')) return 'neutral';
+				if (text.includes('invoice')) return 'Billing problems';
+				const name = text.includes('export') ? 'CSV export failures' : 'Dark mode praise';
+				return '```json\n' + JSON.stringify({ name, summary: `People talk about ${name.toLowerCase()}.` }) + '\n```';
+			}),
+		});
+		ids = await seedFeedback(env.DB, THEMES);
+		// "hello" has no stored vector
+		await testEnv.VECTORIZE.upsert(
+			THEMES.map((row, index) => ({ id: String(ids[index]), values: fakeEmbedding(row.message) })).filter((_, index) => index !== 10),
+		);
+	});
+
+	const get = async (path) => (await worker.fetch(new Request(`http://example.com${path}`), testEnv)).json();
+
+	it('clusters stored embeddings into named themes on a schedule', async () => {
+		const ctx = createExecutionContext();
+		await worker.scheduled(createScheduledController({ cron: '0 */6 * * *' }), testEnv, ctx);
+		await waitOnExecutionContext(ctx);
+
+		const { clusters } = await get('/api/clusters');
+		expect(clusters.map((cluster) => [cluster.name, cluster.size])).toEqual([
+			['CSV export failures', 4],
+			// The model's reply wasn't JSON, so the most central message names it
+			[expect.stringMatching(/invoice|billing/), 3],
+			['Dark mode praise', 3],
+		]);
+
+		const [exportCluster, billing, darkMode] = clusters;
+		expect(exportCluster).toMatchObject({
+			summary: 'People talk about csv export failures.',
+			sentiment: { positive: 0, negative: 3, neutral: 1, unanalyzed: 0 },
+			growth: { recent: 3, previous: 1, rate: 2 },
+		});
+		expect(exportCluster.quotes).toHaveLength(3);
+		expect(exportCluster.quotes[0]).toMatchObject({ source: expect.any(String), message: expect.stringContaining('export') });
+		expect(darkMode.growth).toEqual({ recent: 0, previous: 3, rate: -1 });
+		expect(billing).toMatchObject({ summary: null, sentiment: { negative: 2, unanalyzed: 1 }, growth: { recent: 3, previous: 0, rate: 3 } });
+
+		// Unembedded and out-of-window feedback stays unclustered
+		const { results } = await env.DB.prepare('SELECT id FROM feedback WHERE cluster_id IS NULL ORDER BY id').all();
+		expect(results.map((row) => row.id)).toEqual([ids[10], ids[11]]);
+
+		const members = await get(`/api/feedback?cluster=${exportCluster.id}`);
+		expect(members.feedback).toHaveLength(4);
+	});
+
+	it('replaces the previous clustering with fresh ids on rebuild', async () => {
+		const rebuild = () => worker.fetch(new Request('http://example.com/api/clusters/rebuild', { method: 'POST' }), testEnv);
+
+		expect(await (await rebuild()).json()).toEqual({ success: true, clustered: 10, clusters: 3 });
+		const first = (await get('/api/clusters')).clusters.map((cluster) => cluster.id);
+
+		await rebuild();
+		const second = (await get('/api/clusters')).clusters.map((cluster) => cluster.id);
+		expect(second).toHaveLength(3);
+		expect(second.some((id) => first.includes(id))).toBe(false);
+
+		const { count } = await env.DB.prepare('SELECT COUNT(*) as count FROM clusters').first();
+		expect(count).toBe(3);
+	});
+});
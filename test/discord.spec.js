@@ -0,0 +1,134 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import worker from '../src';
+import { applySchema, createTestEnv } from './helpers';
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+describe('POST /api/discord/interactions', () => {
+	let keyPair;
+	let testEnv;
+	let fetchSpy;
+
+	beforeAll(async () => {
+		keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+	});
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env, {
+			DISCORD_PUBLIC_KEY: toHex(await crypto.subtle.exportKey('raw', keyPair.publicKey)),
+			DISCORD_API_BASE: 'https://discord.test/api/v10',
+		});
+		fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	const send = async (interaction, { badSignature = false } = {}) => {
+		const body = JSON.stringify(interaction);
+		const timestamp = String(Math.floor(Date.now() / 1000));
+		const signed = badSignature ? timestamp + '{}' : timestamp + body;
+		const signature = toHex(await crypto.subtle.sign('Ed25519', keyPair.privateKey, new TextEncoder().encode(signed)));
+
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(
+			new Request('http://example.com/api/discord/interactions', {
+				method: 'POST',
+				headers: { 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': timestamp },
+				body,
+			}),
+			testEnv,
+			ctx,
+		);
+		await waitOnExecutionContext(ctx);
+		return { status: response.status, body: await response.json() };
+	};
+
+	const followUp = () => {
+		const [url, init] = fetchSpy.mock.calls.at(-1);
+		return { url, method: init.method, content: JSON.parse(init.body).content };
+	};
+
+	it('answers PING and rejects bad signatures', async () => {
+		expect(await send({ type: 1 })).toEqual({ status: 200, body: { type: 1 } });
+		expect((await send({ type: 1 }, { badSignature: true })).status).toBe(401);
+	});
+
+	it('stores /feedback and edits the ephemeral reply with the sentiment', async () => {
+		const { body } = await send({
+			id: 'i1',
+			type: 2,
+			application_id: 'app',
+			token: 'tok',
+			guild_id: 'g1',
+			channel_id: 'c1',
+			member: { user: { username: 'alice', discriminator: '0' } },
+			data: { type: 1, name: 'feedback', options: [{ name: 'message', type: 3, value: 'Love the new release' }] },
+		});
+		expect(body).toEqual({ type: 5, data: { flags: 64 } });
+
+		expect(followUp()).toMatchObject({ url: 'https://discord.test/api/v10/webhooks/app/tok/messages/@original', method: 'PATCH' });
+		expect(followUp().content).toContain('positive');
+
+		const row = await env.DB.prepare('SELECT * FROM feedback').first();
+		expect(row).toMatchObject({ source: 'Discord', author: 'alice', message: 'Love the new release' });
+		expect(JSON.parse(row.metadata)).toMatchObject({ guildId: 'g1', channelId: 'c1', channelLink: 'https://discord.com/channels/g1/c1' });
+	});
+
+	it('logs a failed reply edit instead of rejecting', async () => {
+		fetchSpy.mockRejectedValue(new TypeError('Network connection lost'));
+		const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const { body } = await send({
+			id: 'i4',
+			type: 2,
+			application_id: 'app',
+			token: 'tok',
+			guild_id: 'g1',
+			channel_id: 'c1',
+			member: { user: { username: 'alice' } },
+			data: { type: 1, name: 'feedback', options: [{ name: 'message', type: 3, value: 'Love the new release' }] },
+		});
+		expect(body).toEqual({ type: 5, data: { flags: 64 } });
+
+		expect(errorSpy).toHaveBeenCalledWith('Error editing Discord reply:', expect.any(TypeError));
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM feedback').first();
+		expect(count).toBe(1);
+	});
+
+	it('stores a message sent through the context menu once', async () => {
+		const interaction = (id) => ({
+			id,
+			type: 2,
+			application_id: 'app',
+			token: 'tok',
+			guild_id: 'g1',
+			channel_id: 'c1',
+			member: { user: { username: 'mod' } },
+			data: {
+				type: 3,
+				name: 'Send to feedback',
+				target_id: 'm1',
+				resolved: { messages: { m1: { id: 'm1', content: 'The app keeps crashing', author: { username: 'bob', discriminator: '1234' } } } },
+			},
+		});
+
+		await send(interaction('i2'));
+		const row = await env.DB.prepare('SELECT * FROM feedback').first();
+		expect(row).toMatchObject({ author: 'bob#1234', external_id: 'message:m1' });
+		expect(JSON.parse(row.metadata)).toMatchObject({ messageLink: 'https://discord.com/channels/g1/c1/m1', submittedBy: 'mod' });
+
+		await send(interaction('i3'));
+		expect(followUp().content).toContain('already sent');
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM feedback').first();
+		expect(count).toBe(1);
+	});
+
+	it('replies ephemerally to unusable commands', async () => {
+		const { body } = await send({ id: 'i4', type: 2, data: { type: 1, name: 'other' } });
+		expect(body).toMatchObject({ type: 4, data: { flags: 64 } });
+	});
+});
@@ -0,0 +1,148 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import worker from '../src';
+import { applySchema, createTestEnv } from './helpers';
+
+const inbound = (raw, { from = 'jane@example.com', to = 'feedback@acme.test' } = {}) => {
+	const bytes = new TextEncoder().encode(raw.replace(/\n/g, '\r\n'));
+	return {
+		from,
+		to,
+		raw: new Response(bytes).body,
+		rawSize: bytes.length,
+		setReject: vi.fn(),
+	};
+};
+
+const plainMessage = `From: Jane Doe <Jane@Example.com>
+To: feedback@acme.test
+Subject: =?UTF-8?B?RXhwb3J0IGlzIGJyb2tlbiDwn5Kl?=
+Message-ID: <abc123@mail.example.com>
+Content-Type: text/plain; charset=utf-8
+Content-Transfer-Encoding: quoted-printable
+
+The CSV export is broken again, it crashes on big projects.
+Caf=C3=A9 team says the same.
+
+--=20
+Jane Doe
+Head of Ops
+
+On Mon, Oct 12, 2026 at 9:00 AM Acme Support <support@acme.test> wrote:
+> Thanks for reaching out!
+`;
+
+describe('email handler', () => {
+	let testEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env);
+	});
+
+	it('stores the reply without quotes or signature, with subject and message-id in metadata', async () => {
+		const message = inbound(plainMessage);
+		await worker.email(message, testEnv);
+
+		expect(message.setReject).not.toHaveBeenCalled();
+		const row = await env.DB.prepare('SELECT * FROM feedback').first();
+		expect(row).toMatchObject({
+			source: 'Email',
+			author: 'jane@example.com',
+			sentiment: 'negative',
+			external_id: 'abc123@mail.example.com',
+			message: 'The CSV export is broken again, it crashes on big projects.\nCafé team says the same.',
+		});
+		expect(JSON.parse(row.metadata)).toMatchObject({ subject: 'Export is broken 💥', messageId: 'abc123@mail.example.com' });
+
+		// A retried delivery with the same Message-ID doesn't add a row
+		await worker.email(inbound(plainMessage), testEnv);
+		expect((await env.DB.prepare('SELECT COUNT(*) AS count FROM feedback').first()).count).toBe(1);
+	});
+
+	it('prefers the text/plain part of multipart messages', async () => {
+		const raw = `From: sam@example.com
+Subject: Kudos
+Message-ID: <m2@example.com>
+Content-Type: multipart/alternative; boundary="b1"
+
+--b1
+Content-Type: text/plain; charset=utf-8
+Content-Transfer-Encoding: base64
+
+${btoa('Thanks, the new dashboard is great')}
+--b1
+Content-Type: text/html; charset=utf-8
+
+<p>Thanks, the <b>new</b> dashboard is great</p>
+--b1--
+`;
+		await worker.email(inbound(raw, { from: 'sam@example.com' }), testEnv);
+
+		const row = await env.DB.prepare('SELECT message, sentiment FROM feedback').first();
+		expect(row).toEqual({ message: 'Thanks, the new dashboard is great', sentiment: 'positive' });
+	});
+
+	it('quarantines auto-replies and bounces instead of storing feedback', async () => {
+		const autoReply = `From: bob@example.com
+Subject: Out of Office: Re: your survey
+Auto-Submitted: auto-replied
+Message-ID: <ooo@example.com>
+
+I'm away until Monday.
+`;
+		const bounce = `From: Mail Delivery System <MAILER-DAEMON@mx.example.com>
+Subject: Undelivered Mail Returned to Sender
+Content-Type: multipart/report; report-type=delivery-status; boundary="r"
+
+--r
+Content-Type: text/plain
+
+Delivery failed.
+--r--
+`;
+		const replyMessage = inbound(autoReply, { from: 'bob@example.com' });
+		await worker.email(replyMessage, testEnv);
+		await worker.email(inbound(bounce, { from: 'MAILER-DAEMON@mx.example.com' }), testEnv);
+
+		expect(replyMessage.setReject).not.toHaveBeenCalled();
+		expect((await env.DB.prepare('SELECT COUNT(*) AS count FROM feedback').first()).count).toBe(0);
+
+		const response = await worker.fetch(new Request('http://example.com/api/email/quarantine'), testEnv);
+		const { quarantined } = await response.json();
+		expect(quarantined.map((item) => item.kind).sort()).toEqual(['auto-reply', 'bounce']);
+		expect(quarantined.find((item) => item.kind === 'auto-reply')).toMatchObject({
+			sender: 'bob@example.com',
+			subject: 'Out of Office: Re: your survey',
+			message_id: 'ooo@example.com',
+		});
+	});
+
+	it('falls back to the envelope sender when From is not an address', async () => {
+		const message = inbound(
+			`From: <img src=x onerror=alert(1)
+Subject: hello
+
+The export is broken.
+`,
+			{ from: 'jane@example.com' },
+		);
+		await worker.email(message, testEnv);
+
+		const row = await env.DB.prepare('SELECT author FROM feedback').first();
+		expect(row.author).toBe('jane@example.com');
+	});
+
+	it('rejects messages with no text of their own', async () => {
+		const message = inbound(`From: jane@example.com
+Subject: Re: hello
+
+On Mon, Oct 12, 2026, Acme wrote:
+> quoted only
+`);
+		await worker.email(message, testEnv);
+
+		expect(message.setReject).toHaveBeenCalledWith('No feedback text found in message');
+		expect((await env.DB.prepare('SELECT COUNT(*) AS count FROM feedback').first()).count).toBe(0);
+	});
+});
@@ -0,0 +1,244 @@
+import { env, createExecutionContext, createScheduledController, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createMockAI, createTestEnv, seedFeedback } from './helpers';
+
+const FEATURES = ['Dark Mode', 'Search', 'Export'];
+
+const CORPUS = [
+	{ source: 'Discord', message: 'Dark mode is lovely', sentiment: 'positive' },
+	{ source: 'Discord', message: 'Search is fast, love search', sentiment: 'positive' },
+	{ source: 'Support', message: 'Export is broken', sentiment: 'negative' },
+	{ source: 'Support', message: 'Export fails again', sentiment: 'negative' },
+	{ source: 'Discord', message: 'Hello', sentiment: 'neutral' },
+	{ source: 'Support', message: 'Support is great, pricing is bad', sentiment: 'neutral' },
+	{ source: 'GitHub', message: 'Export broken, dark mode nice', sentiment: 'negative' },
+];
+
+// Already extracted aspects for the last two messages, which are counted without the LLM
+const ASPECTS = [
+	[5, 'support', 'positive'],
+	[5, 'pricing', 'negative'],
+	[6, 'export', 'negative'],
+	[6, 'dark mode', 'positive'],
+];
+
+describe('feature analysis runs', () => {
+	let testEnv;
+	let ids;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env, {
+			// Cites the numbered messages naming each known feature, plus a made-up count
+			// and an item that doesn't exist; every other prompt fails
+			AI: createMockAI((messages) => {
+				if (!messages[0].content.includes('feature extraction')) throw new Error('AI unavailable');
+				const lines = messages.at(-1).content.split('\n- ').slice(1).map((line) => line.toLowerCase());
+				return JSON.stringify(
+					FEATURES.map((feature) => ({
+						feature,
+						mentions: 40,
+						items: [...lines.flatMap((line, index) => (line.includes(feature.toLowerCase()) ? [index + 1] : [])), 99],
+					})),
+				);
+			}),
+		});
+
+		ids = await seedFeedback(env.DB, CORPUS);
+		for (const [index, aspect, sentiment] of ASPECTS) {
+			await env.DB.prepare('INSERT INTO feedback_aspects (feedback_id, aspect, sentiment, quote) VALUES (?, ?, ?, ?)')
+				.bind(ids[index], aspect, sentiment, aspect)
+				.run();
+			await env.DB.prepare('UPDATE feedback SET aspects_analyzed_at = CURRENT_TIMESTAMP WHERE id = ?').bind(ids[index]).run();
+		}
+	});
+
+	const call = async (method, path) => {
+		const response = await worker.fetch(new Request(`http://example.com${path}`, { method }), testEnv);
+		return { status: response.status, body: await response.json() };
+	};
+
+	const runToCompletion = async (query = '') => {
+		const started = await call('POST', `/api/feature-analysis/runs${query}`);
+		expect(started.status).toBe(201);
+		let run = started.body.run;
+		while (run.status === 'running') {
+			run = (await call('POST', `/api/feature-analysis/runs/${run.id}/advance`)).body.run;
+		}
+		return run;
+	};
+
+	const featurePrompts = (from = 0) =>
+		testEnv.AI.calls
+			.slice(from)
+			.filter((call) => call.input.messages?.[0].content.includes('feature extraction'))
+			.map((call) => call.input.messages.at(-1).content);
+
+	const tick = async (cron) => {
+		const ctx = createExecutionContext();
+		await worker.scheduled(createScheduledController({ cron }), testEnv, ctx);
+		await waitOnExecutionContext(ctx);
+	};
+
+	it('counts stored aspects and LLM-read feedback across the whole corpus', async () => {
+		const run = await runToCompletion();
+		expect(run).toMatchObject({ status: 'complete', trigger: 'manual', base_run_id: null, total: 6, covered: 6, positive_count: 2, negative_count: 3 });
+
+		// Only feedback without extracted aspects is sent to the LLM, one prompt per sentiment
+		const prompts = featurePrompts();
+		expect(prompts).toHaveLength(2);
+		expect(prompts.some((prompt) => prompt.includes('dark mode nice'))).toBe(false);
+
+		const { body } = await call('GET', `/api/feature-analysis/runs/${run.id}`);
+		expect(body.previousRunId).toBeNull();
+		// Mentions are counted from the cited feedback, not taken from the reply
+		expect(body.bestFeatures).toEqual([
+			{ feature: 'dark mode', mentions: 2, ids: [ids[0], ids[6]], rank: 1, previousRank: null, movement: null },
+			{ feature: 'search', mentions: 1, ids: [ids[1]], rank: 2, previousRank: null, movement: null },
+			{ feature: 'support', mentions: 1, ids: [ids[5]], rank: 3, previousRank: null, movement: null },
+		]);
+		expect(body.worstFeatures.map((item) => [item.feature, item.ids])).toEqual([
+			['export', [ids[2], ids[3], ids[6]]],
+			['pricing', [ids[5]]],
+		]);
+
+		// The evidence opens as a feedback list
+		const evidence = await call('GET', `/api/feedback?ids=${body.worstFeatures[0].ids.join(',')}`);
+		expect(evidence.body.feedback.map((item) => item.message)).toEqual(['Export broken, dark mode nice', 'Export fails again', 'Export is broken']);
+		expect((await call('GET', '/api/feedback?ids=1,two')).status).toBe(400);
+
+		expect((await call('POST', `/api/feature-analysis/runs/${run.id}/advance`)).status).toBe(409);
+	});
+
+	it('keeps one page of evidence per feature and pages through the rest', async () => {
+		await env.DB.prepare(
+			`WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 250)
+			 INSERT INTO feedback (source, message, sentiment) SELECT 'Discord', 'Export is broken ' || i, 'negative' FROM n`,
+		).run();
+		const { max } = await env.DB.prepare('SELECT MAX(id) as max FROM feedback').first();
+
+		const run = await runToCompletion();
+		const { body } = await call('GET', `/api/feature-analysis/runs/${run.id}`);
+		const [exportFeature] = body.worstFeatures;
+		// All mentions are counted, but only the newest 200 ids are kept with the list
+		expect(exportFeature).toMatchObject({ feature: 'export', mentions: 253 });
+		expect(exportFeature.ids).toHaveLength(200);
+		expect(exportFeature.ids.at(-1)).toBe(max);
+
+		const path = `/api/feature-analysis/runs/${run.id}/mentions?feature=export&sentiment=negative&limit=200`;
+		const first = await call('GET', path);
+		expect(first.body).toMatchObject({ feature: 'export', sentiment: 'negative', hasMore: true });
+		const second = await call('GET', `${path}&cursor=${encodeURIComponent(first.body.nextCursor)}`);
+		expect(second.body.hasMore).toBe(false);
+		const seen = [...first.body.feedback, ...second.body.feedback].map((item) => item.id);
+		expect(new Set(seen).size).toBe(253);
+		expect(seen).toEqual(expect.arrayContaining([ids[2], ids[3], ids[6]]));
+
+		expect((await call('GET', `/api/feature-analysis/runs/${run.id}/mentions?feature=export`)).status).toBe(400);
+		expect((await call('GET', '/api/feature-analysis/runs/999/mentions?feature=export&sentiment=negative')).status).toBe(404);
+	});
+
+	it('reads only new feedback incrementally and compares with the previous run', async () => {
+		const first = await runToCompletion();
+		ids.push(...await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'Search keeps crashing', sentiment: 'negative' },
+			{ source: 'Discord', message: 'Search crashes on export', sentiment: 'negative' },
+			{ source: 'Support', message: 'search is slow', sentiment: 'negative' },
+		]));
+		const calls = testEnv.AI.calls.length;
+
+		const second = await runToCompletion();
+		expect(second).toMatchObject({ base_run_id: first.id, total: 3, processed: 3, covered: 9, negative_count: 6 });
+		const prompts = featurePrompts(calls);
+		expect(prompts).toEqual([expect.stringContaining('Search keeps crashing')]);
+		expect(prompts[0]).not.toContain('Export is broken');
+
+		const { body } = await call('GET', `/api/feature-analysis/runs/${second.id}`);
+		expect(body.previousRunId).toBe(first.id);
+		expect(body.worstFeatures).toEqual([
+			{ feature: 'export', mentions: 4, ids: [ids[2], ids[3], ids[6], ids[8]], rank: 1, previousRank: 1, movement: 'same' },
+			{ feature: 'search', mentions: 3, ids: [ids[7], ids[8], ids[9]], rank: 2, previousRank: null, movement: 'new' },
+			{ feature: 'pricing', mentions: 1, ids: [ids[5]], rank: 3, previousRank: 2, movement: 'down' },
+		]);
+		expect(body.droppedWorst).toEqual([]);
+
+		// Once the last full recompute is a week old, the next run starts over
+		await env.DB.prepare("UPDATE feature_analysis_runs SET recomputed_at = datetime('now', '-8 days')").run();
+		const third = await runToCompletion();
+		expect(third).toMatchObject({ base_run_id: null, total: 9, covered: 9 });
+
+		const { runs } = (await call('GET', '/api/feature-analysis/runs')).body;
+		expect(runs.map((run) => run.id)).toEqual([third.id, second.id, first.id]);
+	});
+
+	it.each([
+		[
+			'the model call fails',
+			() => {
+				throw new Error('AI unavailable');
+			},
+		],
+		['the reply is JSON but not an array', () => JSON.stringify({ features: [{ feature: 'export', items: [1] }] })],
+	])('falls back to offline keyphrases when %s mid-run', async (_, respond) => {
+		testEnv.AI = createMockAI(respond);
+
+		const run = await runToCompletion();
+		expect(run).toMatchObject({ status: 'complete', total: 6, processed: 6, covered: 6 });
+
+		// The LLM-read rows still count, next to the stored aspects
+		const { body } = await call('GET', `/api/feature-analysis/runs/${run.id}`);
+		expect(body.worstFeatures[0]).toMatchObject({ feature: 'export', mentions: 3, ids: [ids[2], ids[3], ids[6]] });
+		expect(body.bestFeatures[0]).toMatchObject({ feature: 'dark mode', mentions: 2, ids: [ids[0], ids[6]] });
+	});
+
+	it('counts a batch once when a manual advance races the schedule', async () => {
+		// Hold every prompt until both advances have read the batch and asked (two prompts each)
+		const respond = testEnv.AI.run.bind(testEnv.AI);
+		let release;
+		const bothWaiting = new Promise((resolve) => (release = resolve));
+		let waiting = 0;
+		testEnv.AI.run = async (model, input) => {
+			if (++waiting === 4) release();
+			await bothWaiting;
+			return respond(model, input);
+		};
+
+		const { run } = (await call('POST', '/api/feature-analysis/runs')).body;
+		await Promise.all([call('POST', `/api/feature-analysis/runs/${run.id}/advance`), tick('*/10 * * * *')]);
+
+		const { body } = await call('GET', `/api/feature-analysis/runs/${run.id}`);
+		expect(body.run).toMatchObject({ status: 'complete', processed: 6, covered: 6, positive_count: 2, negative_count: 3 });
+		expect(body.worstFeatures[0]).toMatchObject({ feature: 'export', mentions: 3 });
+	});
+
+	it('runs on a schedule and serves the latest run without prompting', async () => {
+		// No run yet: stored aspects answer
+		expect((await call('GET', '/api/analyze-features')).body.method).toBe('aspects');
+
+		await tick('*/30 * * * *');
+		await tick('*/30 * * * *');
+		const { runs } = (await call('GET', '/api/feature-analysis/runs')).body;
+		expect(runs).toEqual([expect.objectContaining({ status: 'running', trigger: 'schedule' })]);
+		expect((await call('POST', '/api/feature-analysis/runs')).status).toBe(409);
+
+		await tick('*/10 * * * *');
+		const calls = testEnv.AI.calls.length;
+
+		const { body } = await call('GET', '/api/analyze-features');
+		expect(body).toMatchObject({
+			bestFeatures: [{ feature: 'dark mode', mentions: 2 }, { feature: 'search' }, { feature: 'support' }],
+			worstFeatures: [{ feature: 'export', mentions: 3 }, { feature: 'pricing' }],
+			analyzedCount: 6,
+			positiveCount: 2,
+			negativeCount: 3,
+			method: 'run',
+			run: { id: runs[0].id, previousRunId: null },
+		});
+		expect(testEnv.AI.calls).toHaveLength(calls);
+
+		// A run completed within the day: the schedule leaves it alone
+		await tick('*/30 * * * *');
+		expect((await call('GET', '/api/feature-analysis/runs')).body.runs).toHaveLength(1);
+	});
+});
@@ -0,0 +1,566 @@
+import { env, createExecutionContext, createScheduledController, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createMockQueue, createTestEnv, fakeEmbedding, seedFeedback } from './helpers';
+
+async function getJson(path) {
+	const response = await worker.fetch(new Request(`http://example.com${path}`), env);
+	return { status: response.status, body: await response.json() };
+}
+
+describe('GET /api/feedback', () => {
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'Exports are slow', sentiment: 'negative', author: 'a', timestamp: '2024-01-01 10:00:00' },
+			{ source: 'Support', message: 'Great support team', sentiment: 'positive', author: 'b', timestamp: '2024-01-02 10:00:00' },
+			{ source: 'Discord', message: 'Love the new UI', sentiment: 'positive', author: 'a', timestamp: '2024-01-02 10:00:00' },
+			{ source: 'GitHub', message: 'Export 100% broken', sentiment: 'negative', author: 'c', timestamp: '2024-01-03 10:00:00' },
+		]);
+	});
+
+	it('pages through feedback newest first with a stable cursor', async () => {
+		const first = await getJson('/api/feedback?limit=2');
+		expect(first.status).toBe(200);
+		expect(first.body.feedback.map((f) => f.message)).toEqual(['Export 100% broken', 'Love the new UI']);
+		expect(first.body.hasMore).toBe(true);
+		expect(first.body.stats).toBeUndefined();
+
+		const second = await getJson(`/api/feedback?limit=2&cursor=${encodeURIComponent(first.body.nextCursor)}`);
+		expect(second.body.feedback.map((f) => f.message)).toEqual(['Great support team', 'Exports are slow']);
+		expect(second.body.hasMore).toBe(false);
+		expect(second.body.nextCursor).toBeNull();
+	});
+
+	it('applies filters', async () => {
+		const bySource = await getJson('/api/feedback?source=Discord&author=a');
+		expect(bySource.body.feedback).toHaveLength(2);
+
+		const byRange = await getJson('/api/feedback?since=2024-01-02&until=2024-01-03');
+		expect(byRange.body.feedback.map((f) => f.message).sort()).toEqual(['Great support team', 'Love the new UI']);
+
+		const byText = await getJson('/api/feedback?contains=100%25');
+		expect(byText.body.feedback.map((f) => f.message)).toEqual(['Export 100% broken']);
+	});
+
+	it('returns stats only when asked', async () => {
+		const { body } = await getJson('/api/feedback?stats=true&limit=1');
+		expect(body.stats.total).toBe(4);
+	});
+
+	it('rejects malformed parameters', async () => {
+		expect((await getJson('/api/feedback?since=yesterday')).status).toBe(400);
+		expect((await getJson('/api/feedback?cursor=nope')).status).toBe(400);
+	});
+});
+
+describe('/api/feedback/:id', () => {
+	let testEnv;
+	let id;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		[id] = await seedFeedback(env.DB, [{ source: 'Discord', message: 'Exports are slow', sentiment: 'neutral' }]);
+		testEnv = createTestEnv(env);
+		await testEnv.VECTORIZE.insert([{ id: String(id), values: fakeEmbedding('Exports are slow'), metadata: { source: 'Discord', sentiment: 'neutral' } }]);
+	});
+
+	const call = (method, path, body) =>
+		worker.fetch(
+			new Request(`http://example.com${path}`, {
+				method,
+				headers: { 'Content-Type': 'application/json' },
+				body: body && JSON.stringify(body),
+			}),
+			testEnv,
+		);
+
+	it('returns a single item or 404', async () => {
+		const response = await call('GET', `/api/feedback/${id}`);
+		expect((await response.json()).feedback.message).toBe('Exports are slow');
+		expect((await call('GET', '/api/feedback/9999')).status).toBe(404);
+	});
+
+	it('updates fields and the vector metadata', async () => {
+		const response = await call('PATCH', `/api/feedback/${id}`, {
+			sentiment: 'negative',
+			category: 'Performance',
+			metadata: { ticket: 42 },
+		});
+		expect(response.status).toBe(200);
+		const { feedback } = await response.json();
+		expect(feedback).toMatchObject({ sentiment: 'negative', category: 'Performance', metadata: '{"ticket":42}' });
+		expect(testEnv.VECTORIZE.vectors.get(String(id)).metadata.sentiment).toBe('negative');
+	});
+
+	it('validates patches', async () => {
+		expect((await call('PATCH', `/api/feedback/${id}`, { sentiment: 'angry' })).status).toBe(400);
+		expect((await call('PATCH', `/api/feedback/${id}`, {})).status).toBe(400);
+		expect((await call('PATCH', '/api/feedback/9999', { author: 'x' })).status).toBe(404);
+	});
+
+	it('deletes the row and its vector', async () => {
+		expect((await call('DELETE', `/api/feedback/${id}`)).status).toBe(200);
+		expect(testEnv.VECTORIZE.vectors.has(String(id))).toBe(false);
+		expect((await call('GET', `/api/feedback/${id}`)).status).toBe(404);
+		expect((await call('DELETE', `/api/feedback/${id}`)).status).toBe(404);
+	});
+});
+
+describe('GET /api/search', () => {
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'Exports are slow and exporting CSV times out', sentiment: 'negative' },
+			{ source: 'Support', message: 'The export finished quickly', sentiment: 'positive', author: 'exporter' },
+			{ source: 'Discord', message: 'Love the new dashboard', sentiment: 'positive' },
+		]);
+	});
+
+	it('ranks matches and highlights snippets', async () => {
+		const { status, body } = await getJson('/api/search?q=export');
+		expect(status).toBe(200);
+		expect(body.results).toHaveLength(2);
+		expect(body.results[0].score).toBeGreaterThanOrEqual(body.results[1].score);
+		expect(body.results.find((r) => r.source === 'Support').snippet).toContain('<mark>export</mark>');
+	});
+
+	it('applies list filters and tolerates FTS syntax in the query', async () => {
+		const filtered = await getJson('/api/search?q=export&sentiment=positive');
+		expect(filtered.body.results.map((r) => r.source)).toEqual(['Support']);
+
+		const quoted = await getJson(`/api/search?q=${encodeURIComponent('"dashboard" OR (')}`);
+		expect(quoted.status).toBe(200);
+		expect(quoted.body.results).toHaveLength(0);
+	});
+
+	it('stays in sync with edits and deletes', async () => {
+		await env.DB.prepare("UPDATE feedback SET message = 'Dashboard charts are great' WHERE source = 'Discord' AND sentiment = 'positive'").run();
+		expect((await getJson('/api/search?q=charts')).body.results).toHaveLength(1);
+
+		await env.DB.prepare("DELETE FROM feedback WHERE source = 'Support'").run();
+		expect((await getJson('/api/search?q=quickly')).body.results).toHaveLength(0);
+	});
+
+	it('requires q', async () => {
+		expect((await getJson('/api/search')).status).toBe(400);
+	});
+});
+
+describe('GET /api/search hybrid mode', () => {
+	let testEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env);
+		const rows = [
+			{ source: 'Discord', message: 'exports slow again', sentiment: 'negative' },
+			{ source: 'Support', message: 'csv export button missing', sentiment: 'negative' },
+			{ source: 'Discord', message: 'slow page loads on dashboard', sentiment: 'negative' },
+		];
+		const ids = await seedFeedback(env.DB, rows);
+		await testEnv.VECTORIZE.insert(ids.map((id, i) => ({ id: String(id), values: fakeEmbedding(rows[i].message) })));
+	});
+
+	const search = async (query) => {
+		const response = await worker.fetch(new Request(`http://example.com/api/search?${query}`), testEnv);
+		return { status: response.status, body: await response.json() };
+	};
+
+	it('fuses semantic and keyword rankings and reports both scores', async () => {
+		const { body } = await search('q=exports+slow&mode=hybrid');
+		expect(body.mode).toBe('hybrid');
+		expect(body.results[0].message).toBe('exports slow again');
+		expect(body.results[0].semanticScore).toBeGreaterThan(0);
+		expect(body.results[0].keywordScore).toBeGreaterThan(0);
+
+		const semanticOnly = body.results.find((r) => r.keywordScore === null);
+		expect(semanticOnly.semanticScore).toBeGreaterThan(0);
+		expect(semanticOnly.score).toBeLessThan(body.results[0].score);
+	});
+
+	it('filters semantic matches too', async () => {
+		const { body } = await search('q=slow&mode=semantic&source=Support');
+		expect(body.results.every((r) => r.source === 'Support')).toBe(true);
+		expect(body.capped).toBe(false);
+	});
+
+	it('flags semantic results cut short by the candidate cap', async () => {
+		const rows = Array.from({ length: 100 }, (_, i) => ({ source: 'Discord', message: `exports slow ${i}` }));
+		const ids = await seedFeedback(env.DB, rows);
+		await testEnv.VECTORIZE.insert(ids.map((id, i) => ({ id: String(id), values: fakeEmbedding(rows[i].message) })));
+
+		// The Support row is further away than the 100 nearest neighbours
+		const filtered = await search('q=exports+slow&mode=semantic&source=Support');
+		expect(filtered.body.results).toEqual([]);
+		expect(filtered.body.capped).toBe(true);
+
+		const unfiltered = await search('q=exports+slow&mode=semantic&limit=5');
+		expect(unfiltered.body.results).toHaveLength(5);
+		expect(unfiltered.body).toMatchObject({ hasMore: true, capped: false });
+	});
+
+	it('rejects unknown modes', async () => {
+		expect((await search('q=slow&mode=fuzzy')).status).toBe(400);
+	});
+});
+
+describe('GET /api/stats/timeseries', () => {
+	const sqlTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+	const today = new Date();
+	const todayKey = today.toISOString().slice(0, 10);
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'a', sentiment: 'positive', timestamp: sqlTime(today) },
+			{ source: 'Support', message: 'b', sentiment: 'negative', timestamp: sqlTime(today) },
+			{ source: 'Discord', message: 'c', sentiment: 'negative', timestamp: sqlTime(new Date(today.getTime() - 86400000)) },
+			{ source: 'Discord', message: 'old', sentiment: 'negative', timestamp: '2020-01-01 00:00:00' },
+		]);
+	});
+
+	it('buckets counts by day with sentiment and source breakdowns', async () => {
+		const { status, body } = await getJson('/api/stats/timeseries?bucket=day&window=3d');
+		expect(status).toBe(200);
+		expect(body.series.length).toBeGreaterThanOrEqual(3);
+		expect(body.series.reduce((sum, point) => sum + point.total, 0)).toBe(3);
+
+		const latest = body.series.find((point) => point.bucket === todayKey);
+		expect(latest.sentiment).toMatchObject({ positive: 1, negative: 1 });
+		expect(latest.source).toEqual({ Discord: 1, Support: 1 });
+	});
+
+	it('supports hour and week buckets in other timezones', async () => {
+		const hourly = await getJson('/api/stats/timeseries?bucket=hour&window=2h&tz=Asia/Tokyo');
+		expect(hourly.body.timezone).toBe('Asia/Tokyo');
+		expect(hourly.body.series.at(-1).total).toBe(2);
+
+		const weekly = await getJson('/api/stats/timeseries?bucket=week&window=2w');
+		expect(weekly.body.series.every((point) => new Date(point.bucket).getUTCDay() === 1)).toBe(true);
+	});
+
+	it('validates parameters', async () => {
+		expect((await getJson('/api/stats/timeseries?bucket=month')).status).toBe(400);
+		expect((await getJson('/api/stats/timeseries?window=10y')).status).toBe(400);
+		expect((await getJson('/api/stats/timeseries?tz=Mars/Olympus')).status).toBe(400);
+	});
+});
+
+describe('stats rollups', () => {
+	const rollups = async () =>
+		(await env.DB.prepare('SELECT day, source, sentiment, count FROM feedback_stats WHERE count > 0 ORDER BY day, source, sentiment').all())
+			.results;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'a', sentiment: 'positive', timestamp: '2024-01-01 10:00:00' },
+			{ source: 'Discord', message: 'b', sentiment: 'positive', timestamp: '2024-01-01 11:00:00' },
+			{ source: 'Support', message: 'c', timestamp: '2024-01-02 10:00:00' },
+		]);
+	});
+
+	it('are maintained on insert, update and delete', async () => {
+		expect(await rollups()).toEqual([
+			{ day: '2024-01-01', source: 'Discord', sentiment: 'positive', count: 2 },
+			{ day: '2024-01-02', source: 'Support', sentiment: '', count: 1 },
+		]);
+
+		await env.DB.prepare("UPDATE feedback SET sentiment = 'negative' WHERE message = 'c'").run();
+		await env.DB.prepare("DELETE FROM feedback WHERE message = 'a'").run();
+		expect(await rollups()).toEqual([
+			{ day: '2024-01-01', source: 'Discord', sentiment: 'positive', count: 1 },
+			{ day: '2024-01-02', source: 'Support', sentiment: 'negative', count: 1 },
+		]);
+
+		const { body } = await getJson('/api/feedback?stats=true');
+		expect(body.stats).toEqual({
+			bySource: [
+				{ source: 'Discord', count: 1 },
+				{ source: 'Support', count: 1 },
+			],
+			bySentiment: [
+				{ sentiment: 'negative', count: 1 },
+				{ sentiment: 'positive', count: 1 },
+			],
+			total: 2,
+			unanalyzed: 0,
+			fallback: 0,
+		});
+	});
+
+	it('can be rebuilt from scratch after drifting', async () => {
+		await env.DB.prepare('UPDATE feedback_stats SET count = 99').run();
+		const response = await worker.fetch(new Request('http://example.com/api/stats/rebuild', { method: 'POST' }), env);
+		expect((await response.json()).stats.total).toBe(3);
+	});
+
+	it('re-derives recent days on schedule', async () => {
+		const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
+		await seedFeedback(env.DB, [{ source: 'X', message: 'd', sentiment: 'neutral', timestamp: now }]);
+		await env.DB.prepare("UPDATE feedback_stats SET count = 99 WHERE source = 'X'").run();
+
+		const ctx = createExecutionContext();
+		await worker.scheduled(createScheduledController({ cron: '*/30 * * * *' }), env, ctx);
+		await waitOnExecutionContext(ctx);
+
+		const recent = (await rollups()).find((row) => row.source === 'X');
+		expect(recent.count).toBe(1);
+	});
+});
+
+describe('GET /api/export', () => {
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'Plain message', sentiment: 'positive', timestamp: '2024-01-01 10:00:00' },
+			{ source: 'Support', message: 'Says "hi", then\nbreaks a line', sentiment: 'negative', timestamp: '2024-01-02 10:00:00' },
+		]);
+		await env.DB.prepare("UPDATE feedback SET urgency = 'HIGH', urgency_confidence = 0.9, cluster_id = 3 WHERE source = 'Support'").run();
+	});
+
+	const exportText = async (query) => {
+		const response = await worker.fetch(new Request(`http://example.com/api/export?${query}`), env);
+		return { response, text: await response.text() };
+	};
+
+	it('streams RFC 4180 CSV', async () => {
+		const { response, text } = await exportText('format=csv');
+		expect(response.headers.get('Content-Type')).toContain('text/csv');
+		expect(response.headers.get('Content-Disposition')).toMatch(/attachment; filename="feedback-export-.*\.csv"/);
+		expect(text).toBe(
+			'id,timestamp,source,sentiment,category,author,message,metadata\r\n' +
+				'2,2024-01-02 10:00:00,Support,negative,,,"Says ""hi"", then\nbreaks a line",\r\n' +
+				'1,2024-01-01 10:00:00,Discord,positive,,,Plain message,\r\n',
+		);
+	});
+
+	it('neutralizes spreadsheet formulas in CSV text fields', async () => {
+		await seedFeedback(env.DB, [
+			{ source: 'X', message: '=HYPERLINK("http://evil.test","click")', author: '@mallory', timestamp: '2024-01-03 10:00:00' },
+			{ source: 'X', message: '-1 for the new layout', author: '+bob', timestamp: '2024-01-04 10:00:00' },
+			{ source: 'X', message: '\t=1+1', author: '\rcarol', timestamp: '2024-01-05 10:00:00' },
+		]);
+		await env.DB.prepare("UPDATE feedback SET sentiment_score = -0.5 WHERE source = 'X'").run();
+
+		const { text } = await exportText('format=csv&source=X&include=sentiment');
+		expect(text.split('\r\n').slice(1, 4)).toEqual([
+			'5,2024-01-05 10:00:00,X,,,"\'\rcarol",\'\t=1+1,,-0.5,,',
+			"4,2024-01-04 10:00:00,X,,,'+bob,'-1 for the new layout,,-0.5,,",
+			'3,2024-01-03 10:00:00,X,,,\'@mallory,"\'=HYPERLINK(""http://evil.test"",""click"")",,-0.5,,',
+		]);
+	});
+
+	it('streams NDJSON with filters and optional columns', async () => {
+		const { text } = await exportText('format=ndjson&source=Support&include=urgency,clusters');
+		const lines = text.trim().split('\n').map((line) => JSON.parse(line));
+		expect(lines).toHaveLength(1);
+		expect(lines[0]).toMatchObject({ id: 2, urgency: 'HIGH', urgency_confidence: 0.9, urgency_reason: null, cluster_id: 3 });
+	});
+
+	it('rejects unknown formats and includes', async () => {
+		expect((await exportText('format=xlsx')).response.status).toBe(400);
+		expect((await exportText('include=everything')).response.status).toBe(400);
+	});
+});
+
+describe('POST /api/feedback/bulk', () => {
+	let testEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env);
+	});
+
+	const importText = async (body, contentType) => {
+		const response = await worker.fetch(
+			new Request('http://example.com/api/feedback/bulk', { method: 'POST', headers: { 'Content-Type': contentType }, body }),
+			testEnv,
+		);
+		return { status: response.status, body: await response.json() };
+	};
+
+	it('imports NDJSON and reports rejected lines', async () => {
+		const ndjson = [
+			JSON.stringify({ source: 'Discord', message: 'Love the new UI', timestamp: '2023-05-01T12:00:00Z', metadata: { channel: 'general' } }),
+			'',
+			'{not json',
+			JSON.stringify({ source: 'Support' }),
+			JSON.stringify({ source: 'Support', message: 'Exports are broken', timestamp: 'last tuesday' }),
+			JSON.stringify({ source: 'Support', message: 'Exports are broken' }),
+		].join('\n');
+
+		const { status, body } = await importText(ndjson, 'application/x-ndjson');
+		expect(status).toBe(200);
+		expect(body).toMatchObject({ total: 5, inserted: 2, rejected: 3, failed: 0 });
+		expect(body.results.map((r) => [r.line, r.status])).toEqual([
+			[1, 'inserted'],
+			[3, 'rejected'],
+			[4, 'rejected'],
+			[5, 'rejected'],
+			[6, 'inserted'],
+		]);
+		expect(body.results[2].errors).toEqual(['message is required']);
+		expect(body.results[0]).toMatchObject({ sentiment: 'positive', embedded: true });
+
+		const row = await env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(body.results[0].id).first();
+		expect(row).toMatchObject({ timestamp: '2023-05-01 12:00:00', metadata: '{"channel":"general"}', sentiment: 'positive' });
+		expect(testEnv.VECTORIZE.vectors.size).toBe(2);
+	});
+
+	it('imports CSV with quoted fields', async () => {
+		const csv = 'source,message,author\r\nDiscord,"Slow, and ""broken""\nagain",alice\r\nReddit,Great support,\r\nX,"unterminated,bob\r\n';
+		const { body } = await importText(csv, 'text/csv');
+		expect(body.results[0]).toMatchObject({ line: 2, status: 'inserted' });
+		expect(body.results[1]).toMatchObject({ line: 4, status: 'inserted' });
+		expect(body.results[2]).toMatchObject({ line: 5, status: 'rejected' });
+
+		const row = await env.DB.prepare('SELECT message, author FROM feedback WHERE id = ?').bind(body.results[0].id).first();
+		expect(row).toEqual({ message: 'Slow, and "broken"\nagain', author: 'alice' });
+	});
+
+	it('still inserts rows when embeddings fail', async () => {
+		testEnv.VECTORIZE.insert = async () => {
+			throw new Error('index unavailable');
+		};
+		const { body } = await importText(JSON.stringify({ source: 'X', message: 'hello' }), 'application/x-ndjson');
+		expect(body.results[0]).toMatchObject({ status: 'inserted', embedded: false });
+	});
+
+	it('requires source and message CSV columns', async () => {
+		expect((await importText('text,author\nhi,bob\n', 'text/csv')).status).toBe(400);
+	});
+
+	it('queues imported rows for analysis when the queue is bound', async () => {
+		testEnv.FEEDBACK_QUEUE = createMockQueue();
+		const ndjson = Array.from({ length: 250 }, (_, i) => JSON.stringify({ source: 'Support', message: `Export broke ${i}` })).join('\n');
+
+		const { status, body } = await importText(ndjson, 'application/x-ndjson');
+		expect(status).toBe(202);
+		expect(body).toMatchObject({ total: 250, inserted: 250, failed: 0 });
+		expect(body.results[0]).toEqual({ line: 1, status: 'inserted', id: expect.any(Number), processingStatus: 'queued' });
+		expect(testEnv.FEEDBACK_QUEUE.sent).toHaveLength(250);
+		expect(testEnv.FEEDBACK_QUEUE.sent[0]).toEqual({ feedbackId: body.results[0].id });
+
+		// No AI calls in the request; the consumer does the analysis
+		expect(testEnv.AI.calls).toEqual([]);
+		const { count } = await env.DB.prepare("SELECT COUNT(*) AS count FROM feedback WHERE processing_status = 'queued' AND sentiment IS NULL").first();
+		expect(count).toBe(250);
+	});
+
+	it('limits inline imports to a few hundred lines', async () => {
+		const ndjson = Array.from({ length: 201 }, (_, i) => JSON.stringify({ source: 'Support', message: `line ${i}` })).join('\n');
+		const { status, body } = await importText(ndjson, 'application/x-ndjson');
+		expect(status).toBe(413);
+		expect(body.error).toBe('Too many records: 201 (max 200 per request)');
+		expect(testEnv.AI.calls).toEqual([]);
+	});
+});
+
+describe('idempotent ingestion', () => {
+	let testEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env);
+	});
+
+	const post = (body, headers = {}) =>
+		worker.fetch(
+			new Request('http://example.com/api/feedback', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', ...headers },
+				body: JSON.stringify(body),
+			}),
+			testEnv,
+		);
+
+	it('returns the original row when an external id is re-posted', async () => {
+		const first = await post({ source: 'Discord', message: 'Love it', external_id: 'msg-1' });
+		expect(first.status).toBe(201);
+		const created = await first.json();
+
+		const retry = await post({ source: 'Discord', message: 'Love it', external_id: 'msg-1' });
+		expect(retry.status).toBe(200);
+		expect(await retry.json()).toEqual({ success: true, id: created.id, sentiment: 'positive', duplicate: true, duplicateOf: null });
+
+		// Same external id from another source is a different item
+		expect((await post({ source: 'Reddit', message: 'Love it', external_id: 'msg-1' })).status).toBe(201);
+
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM feedback').first();
+		expect(count).toBe(2);
+		expect(testEnv.VECTORIZE.vectors.size).toBe(2);
+	});
+
+	it('uses the Idempotency-Key header', async () => {
+		const first = await (await post({ source: 'Support', message: 'broken' }, { 'Idempotency-Key': 'abc' })).json();
+		const retry = await (await post({ source: 'Support', message: 'broken' }, { 'Idempotency-Key': 'abc' })).json();
+		expect(retry).toMatchObject({ id: first.id, duplicate: true });
+
+		// Kept apart from upstream ids: an item whose own id is "abc" is not a duplicate
+		const row = await env.DB.prepare('SELECT external_id FROM feedback WHERE id = ?').bind(first.id).first();
+		expect(row.external_id).toBe('idem:abc');
+		const upstream = await post({ source: 'Support', message: 'also broken', external_id: 'abc' });
+		expect(upstream.status).toBe(201);
+	});
+
+	it('skips already-imported bulk lines', async () => {
+		const ndjson = [
+			JSON.stringify({ source: 'Discord', message: 'one', external_id: 'a' }),
+			JSON.stringify({ source: 'Discord', message: 'one again', external_id: 'a' }),
+		].join('\n');
+		const bulk = (body) =>
+			worker.fetch(new Request('http://example.com/api/feedback/bulk', { method: 'POST', body }), testEnv).then((r) => r.json());
+
+		const first = await bulk(ndjson);
+		expect(first).toMatchObject({ inserted: 1, duplicates: 1 });
+		expect(first.results[1].id).toBe(first.results[0].id);
+
+		const rerun = await bulk(ndjson);
+		expect(rerun).toMatchObject({ inserted: 0, duplicates: 2 });
+		expect(testEnv.VECTORIZE.vectors.size).toBe(1);
+	});
+});
+
+describe('near-duplicate detection', () => {
+	let testEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env, { DUPLICATE_THRESHOLD: '0.9' });
+	});
+
+	const post = async (source, message) => {
+		const response = await worker.fetch(
+			new Request('http://example.com/api/feedback', { method: 'POST', body: JSON.stringify({ source, message }) }),
+			testEnv,
+		);
+		return response.json();
+	};
+
+	it('links near-duplicates to the canonical item', async () => {
+		const original = await post('Discord', 'CSV export times out on large projects');
+		expect(original.duplicateOf).toBeNull();
+
+		const copy = await post('Support', 'csv export times out on large projects!');
+		expect(copy.duplicateOf).toMatchObject({ id: original.id });
+		expect(copy.duplicateOf.score).toBeGreaterThanOrEqual(0.9);
+
+		// A duplicate of a duplicate still points at the canonical row
+		await testEnv.VECTORIZE.deleteByIds([String(original.id)]);
+		const third = await post('Reddit', 'CSV export times out on large projects');
+		expect(third.duplicateOf.id).toBe(original.id);
+
+		const unrelated = await post('Reddit', 'Love the dark mode');
+		expect(unrelated.duplicateOf).toBeNull();
+
+		const row = await env.DB.prepare('SELECT duplicate_of, duplicate_score FROM feedback WHERE id = ?').bind(copy.id).first();
+		expect(row.duplicate_of).toBe(original.id);
+
+		const response = await worker.fetch(new Request(`http://example.com/api/similar-feedback?id=${copy.id}`), testEnv);
+		const similar = await response.json();
+		expect(similar.duplicates.map((item) => item.id)).toEqual([original.id, third.id]);
+		expect(similar.similar.map((item) => item.id)).not.toContain(original.id);
+	});
+});
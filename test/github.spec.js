@@ -0,0 +1,108 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createTestEnv } from './helpers';
+
+const SECRET = 'webhook-secret';
+
+async function sign(body, secret = SECRET) {
+	const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body)));
+	return 'sha256=' + [...signature].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const issuePayload = {
+	action: 'opened',
+	issue: {
+		id: 9001,
+		number: 42,
+		title: 'Export is broken',
+		body: 'CSV export crashes on large projects',
+		html_url: 'https://github.com/acme/app/issues/42',
+		user: { login: 'octocat', type: 'User' },
+		labels: [{ name: 'bug' }, { name: 'export' }],
+	},
+	repository: { full_name: 'acme/app' },
+	sender: { login: 'octocat', type: 'User' },
+};
+
+describe('POST /api/ingest/github', () => {
+	let testEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env, { GITHUB_WEBHOOK_SECRET: SECRET });
+	});
+
+	const deliver = async (event, payload, signature) => {
+		const body = JSON.stringify(payload);
+		const response = await worker.fetch(
+			new Request('http://example.com/api/ingest/github', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'X-GitHub-Event': event,
+					'X-Hub-Signature-256': signature ?? (await sign(body)),
+				},
+				body,
+			}),
+			testEnv,
+		);
+		return { status: response.status, body: await response.json() };
+	};
+
+	it('stores issues with repo, number, labels and url in metadata', async () => {
+		const { status, body } = await deliver('issues', issuePayload);
+		expect(status).toBe(201);
+		expect(body.sentiment).toBe('negative');
+
+		const row = await env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(body.id).first();
+		expect(row).toMatchObject({
+			source: 'GitHub',
+			author: 'octocat',
+			message: 'Export is broken\n\nCSV export crashes on large projects',
+			external_id: 'issue:9001',
+		});
+		expect(JSON.parse(row.metadata)).toMatchObject({
+			repo: 'acme/app',
+			issueNumber: 42,
+			labels: ['bug', 'export'],
+			url: 'https://github.com/acme/app/issues/42',
+		});
+
+		// Redelivery doesn't create a second row
+		expect((await deliver('issues', issuePayload)).body).toMatchObject({ id: body.id, duplicate: true });
+	});
+
+	it('stores issue comments and discussions', async () => {
+		const comment = await deliver('issue_comment', {
+			action: 'created',
+			comment: { id: 7, body: 'Thanks, love the quick fix', html_url: 'https://github.com/acme/app/issues/42#c7', user: { login: 'dev' } },
+			issue: issuePayload.issue,
+			repository: issuePayload.repository,
+			sender: { type: 'User' },
+		});
+		expect(comment.status).toBe(201);
+
+		const discussion = await deliver('discussion', {
+			action: 'created',
+			discussion: { id: 3, number: 5, title: 'Idea', body: 'Dark mode please', html_url: 'https://github.com/acme/app/discussions/5', user: { login: 'fan' }, category: { name: 'Ideas' } },
+			repository: issuePayload.repository,
+			sender: { type: 'User' },
+		});
+		const row = await env.DB.prepare('SELECT metadata FROM feedback WHERE id = ?').bind(discussion.body.id).first();
+		expect(JSON.parse(row.metadata)).toMatchObject({ discussionNumber: 5, discussionCategory: 'Ideas' });
+	});
+
+	it('ignores other events, actions and bots', async () => {
+		expect((await deliver('push', {})).body.ignored).toBeTruthy();
+		expect((await deliver('issues', { ...issuePayload, action: 'closed' })).body.ignored).toBeTruthy();
+		expect((await deliver('issues', { ...issuePayload, sender: { type: 'Bot' } })).body.ignored).toBeTruthy();
+		expect((await deliver('ping', { zen: 'hi' })).status).toBe(200);
+	});
+
+	it('rejects bad signatures', async () => {
+		expect((await deliver('issues', issuePayload, await sign('{}'))).status).toBe(401);
+		expect((await deliver('issues', issuePayload, 'sha256=nope')).status).toBe(401);
+	});
+});
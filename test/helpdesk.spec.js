@@ -0,0 +1,107 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createTestEnv } from './helpers';
+import zendeskCreated from './fixtures/helpdesk/zendesk-ticket-created.json';
+import zendeskUpdated from './fixtures/helpdesk/zendesk-ticket-updated.json';
+import freshdeskCreated from './fixtures/helpdesk/freshdesk-ticket-created.json';
+
+const TOKEN = 'helpdesk-token';
+
+describe('POST /api/ingest/helpdesk', () => {
+	let testEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env, { HELPDESK_WEBHOOK_TOKEN: TOKEN });
+	});
+
+	const deliver = async (payload, token = TOKEN) => {
+		const response = await worker.fetch(
+			new Request('http://example.com/api/ingest/helpdesk', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+				body: JSON.stringify(payload),
+			}),
+			testEnv,
+		);
+		return { status: response.status, body: await response.json() };
+	};
+
+	const storedTicket = () => env.DB.prepare("SELECT * FROM feedback WHERE external_id = 'ticket:4821'").first();
+
+	it('maps requester, ticket id, priority and tags from a created ticket', async () => {
+		const { status, body } = await deliver(zendeskCreated);
+		expect(status).toBe(201);
+		expect(body.sentiment).toBe('negative');
+
+		const row = await storedTicket();
+		expect(row).toMatchObject({
+			source: 'Support',
+			author: 'dana@customer.example',
+			message: 'Export keeps timing out\n\nExporting our project to CSV is broken, it times out after a minute.',
+		});
+		expect(JSON.parse(row.metadata)).toMatchObject({
+			ticketId: 4821,
+			priority: 'high',
+			tags: ['export', 'enterprise'],
+			requester: { name: 'Dana Reyes', email: 'dana@customer.example' },
+			url: 'https://acme.zendesk.com/agent/tickets/4821',
+		});
+	});
+
+	it('appends new public requester comments to the existing row on update', async () => {
+		const { body: created } = await deliver(zendeskCreated);
+
+		const { status, body } = await deliver(zendeskUpdated);
+		expect(status).toBe(200);
+		expect(body).toMatchObject({ id: created.id, created: false, newComments: 1 });
+
+		const row = await storedTicket();
+		// Agent replies and private notes stay out of the feedback text
+		expect(row.message).toContain('Still slow today');
+		expect(row.message).not.toContain('looking into it');
+		expect(row.message).not.toContain('Internal');
+		expect(JSON.parse(row.metadata)).toMatchObject({ priority: 'urgent', tags: ['export', 'enterprise', 'escalated'], commentKeys: ['id:7003'] });
+
+		// Redelivering the same update doesn't append the comment twice
+		expect((await deliver(zendeskUpdated)).body.newComments).toBe(0);
+		expect((await storedTicket()).message.match(/Still slow today/g)).toHaveLength(1);
+		expect((await env.DB.prepare('SELECT COUNT(*) AS count FROM feedback').first()).count).toBe(1);
+	});
+
+	it('accepts Freshdesk-style payloads', async () => {
+		const { status, body } = await deliver(freshdeskCreated);
+		expect(status).toBe(201);
+		expect(body.sentiment).toBe('positive');
+
+		const row = await env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(body.id).first();
+		expect(row).toMatchObject({ external_id: 'ticket:133', author: 'lee@customer.example' });
+		expect(row.message).toBe('Love the new billing page\n\nGreat work on the billing page, thanks!');
+		expect(JSON.parse(row.metadata)).toMatchObject({ priority: 'low', tags: ['billing', 'praise'] });
+	});
+
+	it('keeps markup in a requester name out of the dashboard HTML', async () => {
+		const name = '<img src=x onerror=alert(1)>';
+		const ticket = { ...zendeskCreated.ticket, requester: { id: 902, name } };
+		const { status, body } = await deliver({ ...zendeskCreated, ticket });
+		expect(status).toBe(201);
+
+		// Stored as sent; escaping is the renderer's job
+		const row = await env.DB.prepare('SELECT author FROM feedback WHERE id = ?').bind(body.id).first();
+		expect(row.author).toBe(name);
+
+		const page = await (await worker.fetch(new Request('http://example.com/'), testEnv)).text();
+		expect(page).not.toMatch(/\$\{(item|original|s)\.(author|source)\}/);
+		expect(page).not.toMatch(/' • ' \+ (item|original)\.author/);
+		expect(page.match(/escapeHtml\((item|original)\.author\)/g)).toHaveLength(3);
+	});
+
+	it('rejects bad tokens and ignores unknown events', async () => {
+		expect((await deliver(zendeskCreated, 'wrong')).status).toBe(401);
+		expect(await deliver({ type: 'ticket.deleted', ticket: { id: 1 } })).toEqual({
+			status: 200,
+			body: { success: true, ignored: 'event ticket.deleted is not collected' },
+		});
+	});
+});
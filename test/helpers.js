@@ -0,0 +1,177 @@
+import { vi } from 'vitest';
+import schema from '../schema.sql?raw';
+
+/**
+ * Apply schema.sql to a D1 database. Statements are split on semicolons,
+ * keeping trigger bodies (BEGIN ... END;) together.
+ */
+export async function applySchema(db) {
+	const withoutComments = schema
+		.split('\n')
+		.map((line) => line.replace(/--.*$/, ''))
+		.join('\n');
+
+	const statements = [];
+	let current = '';
+	for (const part of withoutComments.split(';')) {
+		current += part;
+		const open = (current.match(/\bBEGIN\b/gi) || []).length;
+		const closed = (current.match(/\bEND\b/gi) || []).length;
+		if (open > closed) {
+			current += ';';
+			continue;
+		}
+		if (current.trim()) statements.push(current.trim());
+		current = '';
+	}
+
+	await db.batch(statements.map((sql) => db.prepare(sql)));
+}
+
+/**
+ * Insert feedback rows directly, bypassing the AI pipeline
+ */
+export async function seedFeedback(db, rows) {
+	const ids = [];
+	for (const row of rows) {
+		const result = await db
+			.prepare('INSERT INTO feedback (source, message, sentiment, category, author, timestamp) VALUES (?, ?, ?, ?, ?, ?)')
+			.bind(row.source, row.message, row.sentiment ?? null, row.category ?? null, row.author ?? null, row.timestamp ?? '2024-01-01 00:00:00')
+			.run();
+		ids.push(result.meta.last_row_id);
+	}
+	return ids;
+}
+
+const EMBEDDING_DIMENSIONS = 768;
+
+/**
+ * Deterministic bag-of-words embedding so that messages sharing words score as similar
+ */
+export function fakeEmbedding(text) {
+	const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+	for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+		let hash = 0;
+		for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+		vector[hash % EMBEDDING_DIMENSIONS] += 1;
+	}
+	const norm = Math.hypot(...vector) || 1;
+	return vector.map((value) => value / norm);
+}
+
+/**
+ * Workers AI stand-in. Embedding calls return fakeEmbedding(); chat calls are
+ * answered by `respond(messages, model)`, which defaults to a keyword sentiment guess.
+ */
+export function createMockAI(respond = defaultChatResponse) {
+	const calls = [];
+	return {
+		calls,
+		async run(model, input) {
+			calls.push({ model, input });
+			if (model.includes('bge')) {
+				return { data: input.text.map(fakeEmbedding) };
+			}
+			return { response: await respond(input.messages, model) };
+		},
+	};
+}
+
+function defaultChatResponse(messages) {
+	const text = messages[messages.length - 1].content.toLowerCase();
+	if (/love|great|thanks|incredible/.test(text)) return 'positive';
+	if (/broken|slow|crash|bad/.test(text)) return 'negative';
+	return 'neutral';
+}
+
+/**
+ * In-memory Vectorize index using cosine similarity
+ */
+export function createMockVectorize() {
+	const vectors = new Map();
+	const cosine = (a, b) => {
+		let dot = 0;
+		let normA = 0;
+		let normB = 0;
+		for (let i = 0; i < a.length; i++) {
+			dot += a[i] * b[i];
+			normA += a[i] * a[i];
+			normB += b[i] * b[i];
+		}
+		return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+	};
+
+	return {
+		vectors,
+		async insert(items) {
+			for (const item of items) {
+				if (!vectors.has(item.id)) vectors.set(item.id, structuredClone(item));
+			}
+			return { count: items.length };
+		},
+		async upsert(items) {
+			for (const item of items) vectors.set(item.id, structuredClone(item));
+			return { count: items.length };
+		},
+		async getByIds(ids) {
+			return ids.filter((id) => vectors.has(id)).map((id) => structuredClone(vectors.get(id)));
+		},
+		async deleteByIds(ids) {
+			ids.forEach((id) => vectors.delete(id));
+			return { count: ids.length };
+		},
+		async query(values, { topK = 5, returnMetadata = false, returnValues = false } = {}) {
+			const matches = [...vectors.values()]
+				.map((vector) => ({
+					id: vector.id,
+					score: cosine(values, vector.values),
+					...(returnMetadata ? { metadata: vector.metadata } : {}),
+					...(returnValues ? { values: vector.values } : {}),
+				}))
+				.sort((a, b) => b.score - a.score)
+				.slice(0, topK);
+			return { count: matches.length, matches };
+		},
+	};
+}
+
+/**
+ * Copy of the test env with AI and Vectorize replaced by the in-memory stand-ins.
+ * FEEDBACK_QUEUE is left out so POST /api/feedback runs inline unless a test passes a queue.
+ */
+export function createTestEnv(env, overrides = {}) {
+	return { ...env, AI: createMockAI(), VECTORIZE: createMockVectorize(), FEEDBACK_QUEUE: undefined, ...overrides };
+}
+
+/**
+ * Queue producer stand-in that records sent message bodies
+ */
+export function createMockQueue() {
+	const sent = [];
+	return {
+		sent,
+		async send(body) {
+			sent.push(structuredClone(body));
+		},
+		async sendBatch(messages) {
+			messages.forEach((message) => sent.push(structuredClone(message.body)));
+		},
+	};
+}
+
+/**
+ * A MessageBatch for calling a queue handler directly
+ */
+export function createMessageBatch(queue, bodies, attempts = 1) {
+	return {
+		queue,
+		messages: bodies.map((body, index) => ({
+			id: String(index),
+			body,
+			attempts,
+			timestamp: new Date(),
+			ack: vi.fn(),
+			retry: vi.fn(),
+		})),
+	};
+}
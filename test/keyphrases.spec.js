@@ -0,0 +1,69 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createMockAI, createTestEnv, seedFeedback } from './helpers';
+
+const CORPUS = [
+	{ source: 'Support', message: 'The CSV export is broken after the update', sentiment: 'negative' },
+	{ source: 'Discord', message: 'CSV exports keep failing since the update', sentiment: 'negative' },
+	{ source: 'GitHub', message: 'csv export fails with a timeout', sentiment: 'negative' },
+	{ source: 'Discord', message: 'Search is slow after the update', sentiment: 'negative' },
+	{ source: 'Discord', message: 'Dark mode looks great, thanks for the update', sentiment: 'positive' },
+	{ source: 'Discord', message: 'Love the dark mode feature', sentiment: 'positive' },
+	{ source: 'Support', message: 'The dark mode is lovely', sentiment: 'positive' },
+	// Not analyzed, but part of the corpus the phrases are weighed against
+	{ source: 'Discord', message: 'Is there an update for the feature list?', sentiment: 'neutral' },
+	{ source: 'Discord', message: 'Which update added this feature?', sentiment: 'neutral' },
+	{ source: 'GitHub', message: 'Feature request: update the docs', sentiment: 'neutral' },
+	{ source: 'Support', message: 'When is the next update?', sentiment: 'neutral' },
+];
+
+describe('offline keyphrase extraction', () => {
+	let ids;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		ids = await seedFeedback(env.DB, CORPUS);
+	});
+
+	const analyze = async (testEnv) => {
+		const call = async (method, path) => (await worker.fetch(new Request(`http://example.com${path}`, { method }), testEnv)).json();
+		let { run } = await call('POST', '/api/feature-analysis/runs?full=true');
+		while (run.status === 'running') {
+			({ run } = await call('POST', `/api/feature-analysis/runs/${run.id}/advance`));
+		}
+		// Just the lists, without the comparison with the previous run
+		const { bestFeatures, worstFeatures } = await call('GET', `/api/feature-analysis/runs/${run.id}`);
+		return [bestFeatures, worstFeatures].map((list) => list.map(({ feature, mentions, ids }) => ({ feature, mentions, ids })));
+	};
+
+	it('ranks feature phrases above corpus-wide filler with no AI binding', async () => {
+		const lists = await analyze(createTestEnv(env, { AI: undefined }));
+
+		// "update" and "feature" run through the whole corpus, so they don't make either list;
+		// stemming groups "CSV exports" with "csv export", and "csv" or "dark" aren't listed again
+		expect(lists).toEqual([
+			[{ feature: 'dark mode', mentions: 3, ids: [ids[4], ids[5], ids[6]] }],
+			[
+				{ feature: 'csv export', mentions: 3, ids: [ids[0], ids[1], ids[2]] },
+				{ feature: 'search', mentions: 1, ids: [ids[3]] },
+				{ feature: 'timeout', mentions: 1, ids: [ids[2]] },
+			],
+		]);
+	});
+
+	it('gives the same answer as a deterministic mode and as the fallback for unparseable replies', async () => {
+		const offline = await analyze(createTestEnv(env, { AI: undefined }));
+
+		const deterministic = createTestEnv(env, { FEATURE_EXTRACTOR: 'keyphrases' });
+		expect(await analyze(deterministic)).toEqual(await analyze(deterministic));
+		expect(deterministic.AI.calls).toHaveLength(0);
+
+		const unparseable = createTestEnv(env, { AI: createMockAI(() => 'Sure! The main features are export and dark mode.') });
+		const fallback = await analyze(unparseable);
+		expect(unparseable.AI.calls).toHaveLength(2);
+
+		expect(await analyze(deterministic)).toEqual(offline);
+		expect(fallback).toEqual(offline);
+	});
+});
@@ -0,0 +1,206 @@
+import { env, createExecutionContext, createScheduledController, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import worker from '../src';
+import { applySchema, createTestEnv } from './helpers';
+
+const REDDIT_BASE = 'http://reddit.test';
+const X_BASE = 'http://x.test';
+
+const redditPost = (id, createdUtc, title, selftext = '') => ({
+	kind: 't3',
+	data: {
+		name: `t3_${id}`,
+		title,
+		selftext,
+		author: `user_${id}`,
+		subreddit: 'acme',
+		permalink: `/r/acme/comments/${id}/`,
+		created_utc: createdUtc,
+		score: 3,
+		num_comments: 1,
+	},
+});
+
+describe('scheduled source pollers', () => {
+	let testEnv;
+	let redditPosts;
+	let redditPages;
+	let xPages;
+	let requests;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env, {
+			REDDIT_API_BASE: REDDIT_BASE,
+			REDDIT_SUBREDDITS: 'acme, acmehelp',
+			REDDIT_KEYWORDS: 'export,dashboard',
+			X_API_BASE: X_BASE,
+			X_KEYWORDS: 'acme app',
+			X_BEARER_TOKEN: 'x-token',
+		});
+		redditPosts = [];
+		redditPages = null;
+		xPages = {};
+		requests = [];
+
+		// Local stand-in for the Reddit and X APIs
+		vi.spyOn(globalThis, 'fetch').mockImplementation(async (input) => {
+			const url = new URL(typeof input === 'string' ? input : input.url);
+			requests.push(url);
+			if (url.origin === REDDIT_BASE) {
+				if (redditPages) return Response.json(redditPages[url.searchParams.get('after') || 'first']);
+				return Response.json({ data: { children: redditPosts } });
+			}
+			if (url.origin === X_BASE) {
+				return Response.json(xPages[url.searchParams.get('next_token') || 'first'] || { meta: { result_count: 0 } });
+			}
+			return new Response('not found', { status: 404 });
+		});
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	const poll = async () => {
+		const ctx = createExecutionContext();
+		await worker.scheduled(createScheduledController({ cron: '*/10 * * * *' }), testEnv, ctx);
+		await waitOnExecutionContext(ctx);
+	};
+
+	const cursors = async () => {
+		const { results } = await env.DB.prepare('SELECT source, cursor, last_error FROM poller_cursors ORDER BY source').all();
+		return results;
+	};
+
+	it('ingests matching Reddit posts and only fetches newer ones next time', async () => {
+		redditPosts = [
+			redditPost('b', 1760000200, 'The export is broken', 'CSV export crashes'),
+			redditPost('a', 1760000100, 'Love the new dashboard'),
+			redditPost('c', 1760000150, 'Anyone going to the meetup?'),
+		];
+		await poll();
+
+		expect(requests[0].pathname).toBe('/r/acme+acmehelp/new.json');
+		const { results } = await env.DB.prepare("SELECT * FROM feedback WHERE source = 'Reddit' ORDER BY id").all();
+		expect(results.map((row) => row.external_id)).toEqual(['t3_a', 't3_b']);
+		expect(results[1]).toMatchObject({
+			author: 'user_b',
+			sentiment: 'negative',
+			message: 'The export is broken\n\nCSV export crashes',
+			timestamp: '2025-10-09 08:56:40',
+		});
+		expect(JSON.parse(results[1].metadata)).toMatchObject({ subreddit: 'acme', url: 'https://www.reddit.com/r/acme/comments/b/' });
+		expect((await cursors()).find((row) => row.source === 'Reddit').cursor).toBe('1760000200');
+
+		// The next poll sees the same listing plus one new post
+		redditPosts = [redditPost('d', 1760000300, 'Dashboard loads slowly'), ...redditPosts];
+		await poll();
+		const { count } = await env.DB.prepare("SELECT COUNT(*) AS count FROM feedback WHERE source = 'Reddit'").first();
+		expect(count).toBe(3);
+		expect((await cursors()).find((row) => row.source === 'Reddit').cursor).toBe('1760000300');
+	});
+
+	it('follows X result pages and resumes from the newest id', async () => {
+		xPages.first = {
+			data: [{ id: '1002', text: 'acme app is great', author_id: 'u1', created_at: '2026-10-01T10:00:00.000Z' }],
+			includes: { users: [{ id: 'u1', username: 'fan' }] },
+			meta: { newest_id: '1002', next_token: 'p2' },
+		};
+		xPages.p2 = {
+			data: [{ id: '999', text: 'acme app keeps crashing', author_id: 'u2', created_at: '2026-10-01T09:00:00.000Z' }],
+			includes: { users: [{ id: 'u2', username: 'critic' }] },
+			meta: {},
+		};
+		await poll();
+
+		const xRequest = requests.find((url) => url.origin === X_BASE);
+		expect(xRequest.searchParams.get('query')).toBe('("acme app") -is:retweet');
+		const { results } = await env.DB.prepare("SELECT * FROM feedback WHERE source = 'X' ORDER BY id").all();
+		expect(results.map((row) => [row.external_id, row.author, row.sentiment])).toEqual([
+			['999', 'critic', 'negative'],
+			['1002', 'fan', 'positive'],
+		]);
+
+		requests = [];
+		xPages = {};
+		await poll();
+		expect(requests.find((url) => url.origin === X_BASE).searchParams.get('since_id')).toBe('1002');
+	});
+
+	it('carries on from where a Reddit poll hit its page limit', async () => {
+		await env.DB.prepare("INSERT INTO poller_cursors (source, cursor) VALUES ('Reddit', '1760000000')").run();
+		// Five full pages of new posts before reaching the cursor
+		redditPages = {};
+		const tokens = ['first', 'p2', 'p3', 'p4', 'p5', 'p6'];
+		tokens.slice(0, 5).forEach((token, index) => {
+			const id = `n${index}`;
+			redditPages[token] = { data: { children: [redditPost(id, 1760000500 - index, `Export bug ${id}`)], after: tokens[index + 1] } };
+		});
+		redditPages.p6 = {
+			data: { children: [redditPost('n5', 1760000050, 'Export bug n5'), redditPost('old', 1759999000, 'Old export bug')], after: 'p7' },
+		};
+
+		await poll();
+		const cursor = (await cursors()).find((row) => row.source === 'Reddit').cursor;
+		expect(JSON.parse(cursor)).toEqual({ since: '1760000000', after: 'p6', newest: '1760000500' });
+
+		requests = [];
+		await poll();
+		const redditRequests = requests.filter((url) => url.origin === REDDIT_BASE);
+		expect(redditRequests.map((url) => url.searchParams.get('after'))).toEqual(['p6']);
+
+		const { results } = await env.DB.prepare("SELECT external_id FROM feedback WHERE source = 'Reddit' ORDER BY timestamp").all();
+		expect(results.map((row) => row.external_id)).toEqual(['t3_n5', 't3_n4', 't3_n3', 't3_n2', 't3_n1', 't3_n0']);
+		expect((await cursors()).find((row) => row.source === 'Reddit').cursor).toBe('1760000500');
+	});
+
+	it('searches below the oldest X post fetched when a poll hit its page limit', async () => {
+		await env.DB.prepare("INSERT INTO poller_cursors (source, cursor) VALUES ('X', '900')").run();
+		const tokens = ['first', 'p2', 'p3', 'p4', 'p5'];
+		tokens.forEach((token, index) => {
+			const id = String(2000 - index);
+			xPages[token] = {
+				data: [{ id, text: `acme app post ${id}`, author_id: 'u1' }],
+				meta: { newest_id: '2000', next_token: tokens[index + 1] || 'p6' },
+			};
+		});
+
+		await poll();
+		const cursor = (await cursors()).find((row) => row.source === 'X').cursor;
+		expect(JSON.parse(cursor)).toEqual({ since: '900', until: '1996', newest: '2000' });
+
+		requests = [];
+		xPages = { first: { data: [{ id: '950', text: 'acme app post 950', author_id: 'u1' }], meta: { newest_id: '950' } } };
+		await poll();
+		const xRequest = requests.find((url) => url.origin === X_BASE);
+		expect([xRequest.searchParams.get('since_id'), xRequest.searchParams.get('until_id')]).toEqual(['900', '1996']);
+		expect((await cursors()).find((row) => row.source === 'X').cursor).toBe('2000');
+
+		const { count } = await env.DB.prepare("SELECT COUNT(*) AS count FROM feedback WHERE source = 'X'").first();
+		expect(count).toBe(6);
+	});
+
+	it('keeps the cursor and records the error when a source fails', async () => {
+		vi.mocked(globalThis.fetch).mockImplementation(async (input) => {
+			const url = new URL(typeof input === 'string' ? input : input.url);
+			return url.origin === X_BASE ? new Response('rate limited', { status: 429 }) : Response.json({ data: { children: [] } });
+		});
+		await env.DB.prepare("INSERT INTO poller_cursors (source, cursor) VALUES ('X', '500')").run();
+
+		await poll();
+
+		expect(await cursors()).toEqual([
+			{ source: 'Reddit', cursor: null, last_error: null },
+			{ source: 'X', cursor: '500', last_error: `${X_BASE}/2/tweets/search/recent responded 429` },
+		]);
+	});
+
+	it('skips sources that are not configured', async () => {
+		testEnv = createTestEnv(env, { REDDIT_API_BASE: REDDIT_BASE });
+		await poll();
+
+		expect(requests).toEqual([]);
+		expect(await cursors()).toEqual([]);
+	});
+});
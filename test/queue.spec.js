@@ -0,0 +1,120 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import worker from '../src';
+import { applySchema, createMessageBatch, createMockAI, createMockQueue, createTestEnv } from './helpers';
+
+describe('queued ingestion', () => {
+	let testEnv;
+	let queue;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		queue = createMockQueue();
+		testEnv = createTestEnv(env, { FEEDBACK_QUEUE: queue });
+	});
+
+	const post = async (payload, headers = {}) => {
+		const response = await worker.fetch(
+			new Request('http://example.com/api/feedback', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', ...headers },
+				body: JSON.stringify(payload),
+			}),
+			testEnv,
+		);
+		return { status: response.status, body: await response.json() };
+	};
+
+	const row = (id) => env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(id).first();
+
+	it('stores the raw row, returns 202 and processes it from the queue', async () => {
+		const { status, body } = await post({ source: 'Discord', message: 'Exports are broken and slow' });
+		expect(status).toBe(202);
+		expect(body).toMatchObject({ success: true, sentiment: null, processingStatus: 'queued', duplicate: false });
+		expect(queue.sent).toEqual([{ feedbackId: body.id }]);
+		expect(await row(body.id)).toMatchObject({ sentiment: null, processing_status: 'queued' });
+
+		const batch = createMessageBatch('feedback-ingest', queue.sent);
+		await worker.queue(batch, testEnv);
+
+		expect(batch.messages[0].ack).toHaveBeenCalled();
+		expect(await row(body.id)).toMatchObject({
+			sentiment: 'negative',
+			processing_status: 'processed',
+			processing_error: null,
+			// The mock model doesn't answer in JSON, so urgency falls back to the sentiment
+			urgency: 'HIGH',
+		});
+		expect(testEnv.VECTORIZE.vectors.has(String(body.id))).toBe(true);
+
+		// Re-posting with the same key returns the processed row without queueing again
+		const replay = await post({ source: 'Discord', message: 'Exports are broken and slow', external_id: 'm1' });
+		const again = await post({ source: 'Discord', message: 'Exports are broken and slow', external_id: 'm1' });
+		expect(again).toMatchObject({ status: 200, body: { id: replay.body.id, duplicate: true, processingStatus: 'queued' } });
+		expect(queue.sent).toHaveLength(2);
+	});
+
+	it('retries failures with backoff, then dead-letters them for replay', async () => {
+		testEnv.AI = createMockAI();
+		const run = testEnv.AI.run;
+		testEnv.AI.run = async (model, input) => {
+			if (model.includes('bge')) throw new Error('embedding model unavailable');
+			return run(model, input);
+		};
+
+		const { body } = await post({ source: 'Support', message: 'Love the app' });
+
+		const first = createMessageBatch('feedback-ingest', [{ feedbackId: body.id }], 1);
+		await worker.queue(first, testEnv);
+		expect(first.messages[0].retry).toHaveBeenCalledWith({ delaySeconds: 10 });
+		expect(await row(body.id)).toMatchObject({
+			sentiment: 'positive',
+			processing_status: 'retrying',
+			processing_error: 'embedding model unavailable',
+		});
+
+		const last = createMessageBatch('feedback-ingest', [{ feedbackId: body.id }], 5);
+		await worker.queue(last, testEnv);
+		expect(last.messages[0].ack).toHaveBeenCalled();
+		expect(last.messages[0].retry).not.toHaveBeenCalled();
+		expect((await row(body.id)).processing_status).toBe('failed');
+
+		const listed = await (await worker.fetch(new Request('http://example.com/api/dead-letters'), testEnv)).json();
+		expect(listed.deadLetters).toHaveLength(1);
+		expect(listed.deadLetters[0]).toMatchObject({
+			queue: 'feedback-ingest',
+			feedback_id: body.id,
+			body: { feedbackId: body.id },
+			error: 'embedding model unavailable',
+			attempts: 5,
+		});
+
+		const response = await worker.fetch(
+			new Request(`http://example.com/api/dead-letters/${listed.deadLetters[0].id}/replay`, { method: 'POST' }),
+			testEnv,
+		);
+		expect(response.status).toBe(200);
+		expect(queue.sent.at(-1)).toEqual({ feedbackId: body.id });
+		expect((await row(body.id)).processing_status).toBe('queued');
+
+		const after = await (await worker.fetch(new Request('http://example.com/api/dead-letters'), testEnv)).json();
+		expect(after.deadLetters).toEqual([]);
+	});
+
+	it('dead-letters the row right away when the queue rejects the message', async () => {
+		queue.send = vi.fn().mockRejectedValue(new Error('queue unavailable'));
+
+		const { status, body } = await post({ source: 'Support', message: 'Hello' });
+		expect(status).toBe(202);
+		expect(body.processingStatus).toBe('failed');
+
+		const deadLetter = await env.DB.prepare('SELECT * FROM dead_letters').first();
+		expect(deadLetter).toMatchObject({ feedback_id: body.id, error: 'queue unavailable', attempts: 0 });
+	});
+
+	it('acks messages for rows deleted before processing', async () => {
+		const batch = createMessageBatch('feedback-ingest', [{ feedbackId: 9999 }]);
+		await worker.queue(batch, testEnv);
+		expect(batch.messages[0].ack).toHaveBeenCalled();
+	});
+});
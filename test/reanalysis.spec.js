@@ -0,0 +1,167 @@
+import { env, createExecutionContext, createScheduledController, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createMockAI, createTestEnv, seedFeedback } from './helpers';
+
+describe('sentiment reanalysis runs', () => {
+	let testEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		// The "new" classifier calls everything about exports negative
+		testEnv = createTestEnv(env, {
+			AI: createMockAI((messages) => (/export/i.test(messages.at(-1).content) ? 'negative' : 'positive')),
+		});
+	});
+
+	const call = async (method, path) => {
+		const response = await worker.fetch(new Request(`http://example.com${path}`, { method }), testEnv);
+		return { status: response.status, body: await response.json() };
+	};
+
+	const sentiments = async () => {
+		const { results } = await env.DB.prepare('SELECT message, sentiment, sentiment_version FROM feedback ORDER BY id').all();
+		return results;
+	};
+
+	it('stages new labels, reports the change and applies them only on commit', async () => {
+		await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'Export is fine I guess', sentiment: 'neutral' },
+			{ source: 'Discord', message: 'Love it', sentiment: 'positive' },
+			{ source: 'Support', message: 'Export broke', sentiment: 'negative' },
+			{ source: 'Support', message: 'Export again', sentiment: 'positive' },
+		]);
+		// Manual corrections are never re-scored
+		await env.DB.prepare("UPDATE feedback SET sentiment_model = 'manual' WHERE message = 'Export again'").run();
+
+		const started = await call('POST', '/api/reanalysis');
+		expect(started.status).toBe(201);
+		expect(started.body.run).toMatchObject({ analyzer_version: 2, status: 'running', total: 3 });
+		expect((await call('POST', '/api/reanalysis')).status).toBe(409);
+
+		const runId = started.body.run.id;
+		const advanced = await call('POST', `/api/reanalysis/${runId}/advance`);
+		expect(advanced.body.run).toMatchObject({ status: 'ready', processed: 3, failed: 0 });
+
+		// Nothing is written to feedback until the run is committed
+		expect((await sentiments()).map((row) => row.sentiment)).toEqual(['neutral', 'positive', 'negative', 'positive']);
+
+		const { body } = await call('GET', `/api/reanalysis/${runId}`);
+		expect(body.report).toMatchObject({
+			changed: 1,
+			before: { positive: 1, negative: 1, neutral: 1 },
+			after: { positive: 1, negative: 2, neutral: 0 },
+			samples: [{ message: 'Export is fine I guess', from: 'neutral', to: 'negative' }],
+		});
+
+		const committed = await call('POST', `/api/reanalysis/${runId}/commit`);
+		expect(committed.body).toMatchObject({ success: true, applied: 3, run: { status: 'committed' } });
+		expect(await sentiments()).toEqual([
+			{ message: 'Export is fine I guess', sentiment: 'negative', sentiment_version: 2 },
+			{ message: 'Love it', sentiment: 'positive', sentiment_version: 2 },
+			{ message: 'Export broke', sentiment: 'negative', sentiment_version: 2 },
+			{ message: 'Export again', sentiment: 'positive', sentiment_version: null },
+		]);
+
+		// Everything is current now
+		expect((await call('POST', '/api/reanalysis')).body.run).toBeNull();
+	});
+
+	it('resumes from its cursor across scheduled batches', async () => {
+		await seedFeedback(
+			env.DB,
+			Array.from({ length: 60 }, (_, i) => ({ source: 'Discord', message: `Message ${i}`, sentiment: 'neutral' })),
+		);
+		const { body } = await call('POST', '/api/reanalysis');
+
+		const tick = async () => {
+			const ctx = createExecutionContext();
+			await worker.scheduled(createScheduledController({ cron: '*/10 * * * *' }), testEnv, ctx);
+			await waitOnExecutionContext(ctx);
+			return call('GET', `/api/reanalysis/${body.run.id}`);
+		};
+
+		const first = await tick();
+		expect(first.body.run).toMatchObject({ status: 'running', processed: 50 });
+		const second = await tick();
+		expect(second.body.run).toMatchObject({ status: 'ready', processed: 60 });
+		expect(second.body.report.changed).toBe(60);
+		expect(testEnv.AI.calls).toHaveLength(60);
+	});
+
+	// Hold every prompt until `count` have been asked or release() is called;
+	// `asked` resolves on the first prompt
+	const holdPrompts = (count) => {
+		const respond = testEnv.AI.run.bind(testEnv.AI);
+		let release;
+		let firstAsked;
+		const held = new Promise((resolve) => (release = resolve));
+		const asked = new Promise((resolve) => (firstAsked = resolve));
+		let waiting = 0;
+		testEnv.AI.run = async (model, input) => {
+			firstAsked();
+			if (++waiting === count) release();
+			await held;
+			return respond(model, input);
+		};
+		return { release, asked };
+	};
+
+	const tick = async () => {
+		const ctx = createExecutionContext();
+		await worker.scheduled(createScheduledController({ cron: '*/10 * * * *' }), testEnv, ctx);
+		await waitOnExecutionContext(ctx);
+	};
+
+	it('counts a batch once when a manual advance races the schedule', async () => {
+		await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'Export works', sentiment: 'positive' },
+			{ source: 'Discord', message: 'Love it', sentiment: 'neutral' },
+			{ source: 'Support', message: 'Export stalls', sentiment: 'positive' },
+		]);
+		const { body } = await call('POST', '/api/reanalysis');
+		holdPrompts(6);
+
+		await Promise.all([call('POST', `/api/reanalysis/${body.run.id}/advance`), tick()]);
+
+		const { body: report } = await call('GET', `/api/reanalysis/${body.run.id}`);
+		expect(report.run).toMatchObject({ status: 'ready', processed: 3, failed: 0 });
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM reanalysis_results').first();
+		expect(count).toBe(3);
+	});
+
+	it('drops a batch in flight when the run is discarded', async () => {
+		await seedFeedback(env.DB, [{ source: 'Discord', message: 'Export works', sentiment: 'positive' }]);
+		const { body } = await call('POST', '/api/reanalysis');
+		const { release, asked } = holdPrompts(Infinity);
+
+		const advancing = call('POST', `/api/reanalysis/${body.run.id}/advance`);
+		await asked;
+		await call('POST', `/api/reanalysis/${body.run.id}/discard`);
+		release();
+
+		expect((await advancing).body.run).toMatchObject({ status: 'discarded', processed: 0 });
+		const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM reanalysis_results').first();
+		expect(count).toBe(0);
+	});
+
+	it('skips rows relabeled after staging and can be discarded', async () => {
+		const [id] = await seedFeedback(env.DB, [
+			{ source: 'Discord', message: 'Export works', sentiment: 'positive' },
+			{ source: 'Discord', message: 'Export stalls', sentiment: 'positive' },
+		]);
+		const { body } = await call('POST', '/api/reanalysis');
+		await call('POST', `/api/reanalysis/${body.run.id}/advance`);
+
+		await env.DB.prepare("UPDATE feedback SET sentiment = 'neutral' WHERE id = ?").bind(id).run();
+		const committed = await call('POST', `/api/reanalysis/${body.run.id}/commit`);
+		expect(committed.body.applied).toBe(1);
+		expect((await sentiments()).map((row) => row.sentiment)).toEqual(['neutral', 'negative']);
+
+		await env.DB.prepare('UPDATE feedback SET sentiment_version = NULL').run();
+		const next = await call('POST', '/api/reanalysis');
+		const discarded = await call('POST', `/api/reanalysis/${next.body.run.id}/discard`);
+		expect(discarded.body.run.status).toBe('discarded');
+		expect((await call('POST', `/api/reanalysis/${next.body.run.id}/commit`)).status).toBe(409);
+	});
+});
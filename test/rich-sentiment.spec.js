@@ -0,0 +1,114 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createMockAI, createTestEnv } from './helpers';
+
+// Canned classifier replies, keyed by a word in the message
+const REPLIES = {
+	crash: '```json\n{"sentiment": "negative", "score": -0.9, "confidence": 0.95, "emotions": ["anger", "frustration"]}\n```',
+	slow: '{"sentiment": "negative", "score": -0.4, "confidence": 0.8, "emotions": ["frustration", "boredom"]}',
+	how: '{"score": 0.05, "confidence": 1.7, "emotions": ["Confusion"]}',
+	love: '{"sentiment": "positive", "score": 2, "confidence": 0.9, "emotions": ["delight"]}',
+};
+
+describe('rich sentiment', () => {
+	let testEnv;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		testEnv = createTestEnv(env, {
+			AI: createMockAI((messages) => {
+				const text = messages.at(-1).content.toLowerCase();
+				const key = Object.keys(REPLIES).find((word) => text.includes(word));
+				return key ? REPLIES[key] : 'neutral';
+			}),
+		});
+	});
+
+	const post = async (message) => {
+		const response = await worker.fetch(
+			new Request('http://example.com/api/feedback', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ source: 'Discord', message }),
+			}),
+			testEnv,
+		);
+		return (await response.json()).id;
+	};
+
+	const list = async (query) => {
+		const response = await worker.fetch(new Request(`http://example.com/api/feedback?${query}`), testEnv);
+		return { status: response.status, body: await response.json() };
+	};
+
+	const row = (id) =>
+		env.DB.prepare('SELECT sentiment, sentiment_score, sentiment_confidence, emotions FROM feedback WHERE id = ?').bind(id).first();
+
+	it('stores score, confidence and emotions, clamped to the known ranges and labels', async () => {
+		const crash = await post('It crashes on save');
+		const slow = await post('Sync is slow');
+		const how = await post('How do I export?');
+		const love = await post('I love it');
+		const plain = await post('Fine');
+
+		expect(await row(crash)).toEqual({
+			sentiment: 'negative',
+			sentiment_score: -0.9,
+			sentiment_confidence: 0.95,
+			emotions: '["frustration","anger"]',
+		});
+		expect(await row(slow)).toMatchObject({ sentiment_score: -0.4, emotions: '["frustration"]' });
+		// No label in the reply: the score decides it
+		expect(await row(how)).toEqual({ sentiment: 'neutral', sentiment_score: 0.05, sentiment_confidence: 1, emotions: '["confusion"]' });
+		expect(await row(love)).toMatchObject({ sentiment: 'positive', sentiment_score: 1 });
+		// A bare label still counts, just without a score
+		expect(await row(plain)).toEqual({ sentiment: 'neutral', sentiment_score: null, sentiment_confidence: null, emotions: '[]' });
+	});
+
+	it('filters by emotion and intensity and pages through the strongest feedback first', async () => {
+		const crash = await post('It crashes on save');
+		const slow = await post('Sync is slow');
+		const how = await post('How do I export?');
+		const love = await post('I love it');
+		const plain = await post('Fine');
+
+		const frustrated = await list('emotion=frustration');
+		expect(frustrated.body.feedback.map((item) => item.id)).toEqual([slow, crash]);
+
+		const strong = await list('min_intensity=0.5&sort=intensity');
+		expect(strong.body.feedback.map((item) => item.id)).toEqual([love, crash]);
+
+		const first = await list('sort=intensity&limit=2');
+		expect(first.body.feedback.map((item) => item.id)).toEqual([love, crash]);
+		const second = await list(`sort=intensity&limit=3&cursor=${encodeURIComponent(first.body.nextCursor)}`);
+		// Unscored feedback sorts last
+		expect(second.body.feedback.map((item) => item.id)).toEqual([slow, how, plain]);
+		expect(second.body.hasMore).toBe(false);
+
+		// Cursors only work with the order they came from
+		expect((await list(`cursor=${encodeURIComponent(first.body.nextCursor)}`)).status).toBe(400);
+		expect((await list('sort=loudest')).status).toBe(400);
+		expect((await list('emotion=joy')).status).toBe(400);
+		expect((await list('min_intensity=2')).status).toBe(400);
+	});
+
+	it('clears the model score when a person relabels the feedback', async () => {
+		const id = await post('It crashes on save');
+
+		await worker.fetch(
+			new Request(`http://example.com/api/feedback/${id}`, {
+				method: 'PATCH',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ sentiment: 'neutral' }),
+			}),
+			testEnv,
+		);
+		expect(await row(id)).toEqual({
+			sentiment: 'neutral',
+			sentiment_score: null,
+			sentiment_confidence: null,
+			emotions: '["frustration","anger"]',
+		});
+	});
+});
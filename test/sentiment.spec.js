@@ -0,0 +1,102 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach } from 'vitest';
+import worker from '../src';
+import { applySchema, createMockAI, createTestEnv } from './helpers';
+
+describe('sentiment analysis status', () => {
+	let testEnv;
+	let aiDown;
+
+	beforeEach(async () => {
+		await applySchema(env.DB);
+		aiDown = false;
+		testEnv = createTestEnv(env, {
+			AI: createMockAI((messages) => {
+				if (aiDown) throw new Error('AI unavailable');
+				const text = messages.at(-1).content;
+				if (text.includes('mumble')) return 'I am not sure what to make of this.';
+				return /love/i.test(text) ? 'positive' : 'negative';
+			}),
+		});
+	});
+
+	const post = async (message) => {
+		const response = await worker.fetch(
+			new Request('http://example.com/api/feedback', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ source: 'Discord', message }),
+			}),
+			testEnv,
+		);
+		return response.json();
+	};
+
+	const row = (id) => env.DB.prepare('SELECT sentiment, sentiment_status, sentiment_model, analyzed_at FROM feedback WHERE id = ?').bind(id).first();
+
+	it('records the status, model and time of each analysis', async () => {
+		const analyzed = await post('Love it');
+		const fallback = await post('mumble mumble');
+		aiDown = true;
+		const failed = await post('Love it too');
+
+		expect(await row(analyzed.id)).toMatchObject({
+			sentiment: 'positive',
+			sentiment_status: 'analyzed',
+			sentiment_model: '@cf/meta/llama-3-8b-instruct',
+		});
+		expect((await row(analyzed.id)).analyzed_at).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+		expect(await row(fallback.id)).toMatchObject({ sentiment: 'neutral', sentiment_status: 'fallback' });
+		expect(failed.sentiment).toBeNull();
+		expect(await row(failed.id)).toMatchObject({ sentiment: null, sentiment_status: 'failed' });
+	});
+
+	it('keeps unanalyzed and fallback feedback out of the sentiment distribution', async () => {
+		await post('Love it');
+		await post('mumble mumble');
+		aiDown = true;
+		await post('This is broken');
+
+		const response = await worker.fetch(new Request('http://example.com/api/feedback?stats=true'), testEnv);
+		const { stats } = await response.json();
+		expect(stats).toMatchObject({
+			total: 3,
+			unanalyzed: 1,
+			fallback: 1,
+			bySentiment: [
+				{ sentiment: 'neutral', count: 1 },
+				{ sentiment: 'positive', count: 1 },
+			],
+		});
+	});
+
+	it('retries failed analyses and updates the vector metadata', async () => {
+		aiDown = true;
+		const failed = await post('Love the new search');
+		aiDown = false;
+
+		const response = await worker.fetch(new Request('http://example.com/api/sentiment/retry-failed', { method: 'POST' }), testEnv);
+		expect(await response.json()).toEqual({ success: true, retried: 1, recovered: 1, failed: 0 });
+
+		expect(await row(failed.id)).toMatchObject({ sentiment: 'positive', sentiment_status: 'analyzed' });
+		expect(testEnv.VECTORIZE.vectors.get(String(failed.id)).metadata.sentiment).toBe('positive');
+
+		const again = await worker.fetch(new Request('http://example.com/api/sentiment/retry-failed', { method: 'POST' }), testEnv);
+		expect((await again.json()).retried).toBe(0);
+	});
+
+	it('marks manual corrections as analyzed', async () => {
+		aiDown = true;
+		const failed = await post('Hmm');
+
+		await worker.fetch(
+			new Request(`http://example.com/api/feedback/${failed.id}`, {
+				method: 'PATCH',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ sentiment: 'neutral' }),
+			}),
+			testEnv,
+		);
+		expect(await row(failed.id)).toMatchObject({ sentiment: 'neutral', sentiment_status: 'analyzed', sentiment_model: 'manual' });
+	});
+});